@@ -0,0 +1,168 @@
+/**
+ * assets.js
+ * Composant UI des images du livre.
+ * Responsabilités : Lister les images enregistrées avec leur utilisation dans les chapitres,
+ * signaler les images inutilisées et les références vers des images absentes, et supprimer des images.
+ */
+
+(function() {
+    'use strict';
+
+    const btnAssets = document.getElementById('btn-assets');
+    const assetsDialog = document.getElementById('assets-dialog');
+    const assetsSummary = document.getElementById('assets-summary');
+    const assetList = document.getElementById('asset-list');
+    const missingSection = document.getElementById('missing-assets');
+    const missingList = document.getElementById('missing-asset-list');
+    const btnCloseAssets = document.getElementById('btn-close-assets');
+
+    function formatSize(bytes) {
+        return `${(bytes / 1024).toFixed(1)} Ko`;
+    }
+
+    /**
+     * Associe chaque image référencée aux titres des chapitres qui l'utilisent.
+     * @returns {Map<string, string[]>}
+     */
+    function collectUsage() {
+        const usage = new Map();
+        window.AppStore.getState().chapters.forEach(chap => {
+            const content = window.AppStore.getChapterContent(chap.id);
+            window.Parser.getImageReferences(content).forEach(name => {
+                if (!usage.has(name)) usage.set(name, []);
+                usage.get(name).push(chap.title);
+            });
+        });
+        return usage;
+    }
+
+    function createAssetItem(asset, chapterTitles, isCover) {
+        const li = document.createElement('li');
+        li.className = 'asset-item';
+        li.setAttribute('data-id', asset.id);
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'asset-thumbnail';
+        thumbnail.alt = '';
+        window.AppStore.getAssetData(asset.id).then(dataUrl => {
+            if (dataUrl) thumbnail.src = dataUrl;
+        });
+
+        const info = document.createElement('div');
+        info.className = 'asset-info';
+
+        const name = document.createElement('span');
+        name.className = 'asset-name';
+        name.textContent = asset.name;
+
+        const reference = document.createElement('code');
+        reference.className = 'asset-reference';
+        reference.textContent = `${window.Parser.IMAGE_DIR}${asset.name} · ${formatSize(asset.size)}`;
+
+        const usage = document.createElement('span');
+        usage.className = 'asset-usage';
+        if (chapterTitles.length > 0) {
+            usage.textContent = `Utilisée dans : ${chapterTitles.join(', ')}`;
+        } else if (isCover) {
+            usage.textContent = 'Couverture du livre';
+        } else {
+            usage.textContent = 'Inutilisée';
+            li.classList.add('unused');
+        }
+
+        info.appendChild(name);
+        info.appendChild(reference);
+        info.appendChild(usage);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'asset-delete';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Supprimer cette image du livre';
+
+        li.appendChild(thumbnail);
+        li.appendChild(info);
+        li.appendChild(deleteBtn);
+        return li;
+    }
+
+    /**
+     * Reconstruit la liste des images et celle des références manquantes.
+     */
+    function renderAssets() {
+        const state = window.AppStore.getState();
+        const images = window.AppStore.listAssets().filter(asset => window.AppStore.IMAGE_MEDIA_TYPES.includes(asset.mediaType));
+        const usage = collectUsage();
+
+        assetList.innerHTML = '';
+        let unusedCount = 0;
+        images.forEach(asset => {
+            const chapterTitles = usage.get(asset.name) || [];
+            const isCover = asset.id === state.metadata.cover;
+            if (chapterTitles.length === 0 && !isCover) unusedCount++;
+            assetList.appendChild(createAssetItem(asset, chapterTitles, isCover));
+        });
+
+        // Références vers des images qui n'existent pas (ou plus) dans le livre
+        missingList.innerHTML = '';
+        const imageNames = new Set(images.map(asset => asset.name));
+        const missing = Array.from(usage.entries()).filter(([name]) => !imageNames.has(name));
+        missing.forEach(([name, chapterTitles]) => {
+            const li = document.createElement('li');
+            li.className = 'missing-asset-item';
+
+            const code = document.createElement('code');
+            code.textContent = `${window.Parser.IMAGE_DIR}${name}`;
+            li.appendChild(code);
+            li.appendChild(document.createTextNode(` — référencée dans : ${chapterTitles.join(', ')}`));
+            missingList.appendChild(li);
+        });
+        missingSection.hidden = missing.length === 0;
+
+        assetsSummary.textContent = images.length === 0
+            ? 'Aucune image. Glissez ou collez une image dans l\'éditeur pour l\'ajouter au chapitre.'
+            : `${images.length} image(s), dont ${unusedCount} inutilisée(s) · ${missing.length} référence(s) manquante(s)`;
+    }
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    btnAssets.addEventListener('click', () => {
+        renderAssets();
+        assetsDialog.showModal();
+    });
+
+    btnCloseAssets.addEventListener('click', () => assetsDialog.close());
+
+    assetList.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.asset-delete');
+        if (!deleteBtn) return;
+
+        const item = deleteBtn.closest('.asset-item');
+        const name = item.querySelector('.asset-name').textContent;
+        const warning = item.classList.contains('unused')
+            ? ''
+            : '\nElle est encore utilisée : ses références apparaîtront comme manquantes.';
+        if (confirm(`Supprimer l'image « ${name} » ?${warning}`)) {
+            window.AppStore.deleteAsset(item.getAttribute('data-id'));
+        }
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    ['app:assets-updated', 'app:metadata-updated', 'app:book-synced', 'app:chapter-renamed'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (assetsDialog.open) renderAssets();
+        });
+    });
+
+    // La liste porte sur le livre ouvert : on la ferme si le livre change
+    ['app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (assetsDialog.open) assetsDialog.close();
+        });
+    });
+
+})();
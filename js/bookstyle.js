@@ -0,0 +1,170 @@
+/**
+ * bookstyle.js
+ * Modèle de mise en page du livre.
+ * Responsabilités : Définir les modèles prédéfinis (roman classique, moderne, technique), appliquer un modèle
+ * aux réglages du livre, et produire la feuille de style commune à la prévisualisation, à l'export HTML
+ * et à l'EPUB (paragraphes, dialogues, lettrine, séparateur de scène, titres, CSS avancé).
+ */
+
+(function() {
+    'use strict';
+
+    // Modèles prédéfinis : valeurs des réglages style* (le CSS avancé n'en fait pas partie)
+    const PRESETS = {
+        classic: {
+            label: 'Roman classique',
+            values: {
+                styleParagraph: 'indent',
+                styleTextAlign: 'justify',
+                styleDropCaps: true,
+                styleSceneBreak: '❦',
+                styleBodyFont: 'serif',
+                styleHeadingFont: 'serif',
+                styleHeadingAlign: 'center',
+                styleHeadingMargin: 4
+            }
+        },
+        modern: {
+            label: 'Moderne',
+            values: {
+                styleParagraph: 'indent',
+                styleTextAlign: 'left',
+                styleDropCaps: false,
+                styleSceneBreak: '* * *',
+                styleBodyFont: 'serif',
+                styleHeadingFont: 'sans-serif',
+                styleHeadingAlign: 'left',
+                styleHeadingMargin: 2
+            }
+        },
+        technical: {
+            label: 'Technique',
+            values: {
+                styleParagraph: 'spacing',
+                styleTextAlign: 'left',
+                styleDropCaps: false,
+                styleSceneBreak: '',
+                styleBodyFont: 'sans-serif',
+                styleHeadingFont: 'sans-serif',
+                styleHeadingAlign: 'left',
+                styleHeadingMargin: 1.5
+            }
+        }
+    };
+
+    // Ornements proposés pour les changements de scène (--- dans le Markdown) ; '' : simple filet
+    const SCENE_BREAKS = {
+        '': 'Filet',
+        '* * *': '* * *',
+        '⁂': '⁂ (astérisme)',
+        '❦': '❦ (fleuron)',
+        '~': '~'
+    };
+
+    // Familles génériques proposées (une police embarquée attribuée au même rôle l'emporte)
+    const FONT_FAMILIES = {
+        serif: 'Georgia, "Times New Roman", serif',
+        'sans-serif': '"Helvetica Neue", Arial, sans-serif'
+    };
+
+    // Éléments après lesquels un paragraphe n'est pas renfoncé
+    const NO_INDENT_AFTER = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'blockquote'];
+
+    /**
+     * Préfixe chaque sélecteur d'une liste par la zone du texte (rien pour l'EPUB).
+     */
+    function scoped(scope, selectors) {
+        return selectors.map(selector => (scope ? `${scope} ${selector}` : selector)).join(', ');
+    }
+
+    function cssString(value) {
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.BookStyle)
+    // ========================================================================
+    window.BookStyle = {
+        PRESETS,
+        SCENE_BREAKS,
+
+        /**
+         * Applique un modèle prédéfini aux réglages du livre (le CSS avancé est conservé).
+         */
+        applyPreset(key) {
+            if (!PRESETS[key]) return false;
+            window.AppStore.updateSettings({ stylePreset: key, ...PRESETS[key].values });
+            return true;
+        },
+
+        /**
+         * Indique si les réglages du livre s'écartent du modèle appliqué.
+         */
+        isModified(settings) {
+            const preset = PRESETS[settings.stylePreset];
+            return !preset || Object.entries(preset.values).some(([key, value]) => settings[key] !== value);
+        },
+
+        /**
+         * Produit la feuille de style du livre à partir des réglages du livre ouvert.
+         * @param {Object} options
+         *   scope : sélecteur de la zone du texte ('' pour l'EPUB, où le texte est le body) ;
+         *   chapter : sélecteur des chapitres du corps (lettrine, premier paragraphe) ;
+         *   fontCss : règles des polices embarquées, placées après le modèle pour l'emporter ;
+         *   isolateCustom : limite le CSS avancé à la zone du texte (prévisualisation dans l'application)
+         * @returns {string}
+         */
+        buildCss({ scope = '', chapter, fontCss = '', isolateCustom = false }) {
+            const settings = window.AppStore.getState().settings;
+            const root = scope || 'body';
+            const headings = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+            const rules = [];
+
+            // Texte courant
+            rules.push(`${root} { font-family: ${FONT_FAMILIES[settings.styleBodyFont] || FONT_FAMILIES.serif}; text-align: ${settings.styleTextAlign === 'left' ? 'left' : 'justify'}; }`);
+
+            // Paragraphes : renfoncement (sauf en tête de chapitre et après un titre ou un séparateur) ou espacement
+            if (settings.styleParagraph === 'spacing') {
+                rules.push(`${scoped(scope, ['p'])} { margin: 0 0 1em; text-indent: 0; }`);
+            } else {
+                rules.push(`${scoped(scope, ['p'])} { margin: 0; text-indent: 1.5em; }`);
+                rules.push(`${scoped(scope, NO_INDENT_AFTER.map(tag => `${tag} + p`))}, ${chapter} > p:first-child { text-indent: 0; }`);
+            }
+
+            // Dialogues (classe posée par le parseur) : la première ligne déborde à gauche, les suivantes s'alignent sur la réplique
+            if (settings.styleDialogueHanging) {
+                rules.push(`${scoped(scope, ['p.dialogue'])} { padding-left: 1.5em; text-indent: -1.5em; }`);
+            }
+
+            // Lettrine sur le premier paragraphe des chapitres
+            if (settings.styleDropCaps) {
+                rules.push(`${chapter} > p:first-of-type::first-letter { float: left; font-size: 3.2em; line-height: 0.85; margin: 0.05em 0.08em 0 0; }`);
+                rules.push(`${chapter} > p:first-of-type { text-indent: 0; }`);
+            }
+
+            // Changement de scène (--- dans le Markdown) ; les filets de l'export (notes, chapitres) ont une classe
+            const sceneBreak = scoped(scope, ['hr:not([class])']);
+            if (settings.styleSceneBreak) {
+                rules.push(`${sceneBreak} { border: 0; margin: 1.5em 0; text-align: center; height: auto; }`);
+                rules.push(`${scoped(scope, ['hr:not([class])::after'])} { content: ${cssString(settings.styleSceneBreak)}; letter-spacing: 0.5em; }`);
+            } else {
+                rules.push(`${sceneBreak} { border: 0; border-top: 1px solid currentColor; width: 30%; margin: 1.5em auto; opacity: 0.5; }`);
+            }
+
+            // Titres
+            rules.push(`${scoped(scope, headings)} { font-family: ${FONT_FAMILIES[settings.styleHeadingFont] || FONT_FAMILIES['sans-serif']}; text-align: ${settings.styleHeadingAlign === 'left' ? 'left' : 'center'}; }`);
+            const margin = Math.max(0, Number(settings.styleHeadingMargin) || 0);
+            rules.push(`${scoped(scope, ['h1'])} { margin-top: ${margin}em; margin-bottom: 1.5em; }`);
+
+            let css = rules.map(rule => `${rule}\n`).join('') + fontCss;
+
+            // CSS avancé, en dernier pour pouvoir tout remplacer
+            const customCss = (settings.styleCustomCss || '').trim();
+            if (customCss) {
+                css += isolateCustom && scope ? `${scope} {\n${customCss}\n}\n` : `${customCss}\n`;
+            }
+            return css;
+        }
+    };
+
+})();
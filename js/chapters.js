@@ -1,8 +1,9 @@
 /**
  * chapters.js
  * Composant UI pour la gestion de la liste des chapitres (Barre latérale).
- * Responsabilités : Affichage, sélection, ajout, suppression, renommage inline
- * et réordonnancement (Drag & Drop via SortableJS).
+ * Responsabilités : Affichage, sélection, ajout, suppression, renommage inline,
+ * regroupement en parties repliables, réordonnancement imbriqué (Drag & Drop via SortableJS),
+ * badges de suivi (statut, étiquettes, progression), filtres et corbeille (restauration / purge).
  */
 
 (function() {
@@ -10,58 +11,282 @@
 
     const chapterList = document.getElementById('chapter-list');
     const btnAddChapter = document.getElementById('btn-add-chapter');
+    const btnAddPart = document.getElementById('btn-add-part');
     const statChapters = document.getElementById('stat-chapters');
 
-    let sortableInstance = null;
+    // Filtres
+    const filterStatus = document.getElementById('filter-status');
+    const filterLabel = document.getElementById('filter-label');
+
+    // Corbeille
+    const trashList = document.getElementById('trash-list');
+    const trashCount = document.getElementById('trash-count');
+    const trashRetention = document.getElementById('trash-retention');
+    const btnEmptyTrash = document.getElementById('btn-empty-trash');
+
+    // Une instance SortableJS par liste (racine + une par partie)
+    let sortableInstances = [];
+
+    // Parties repliées dans la barre latérale (état d'affichage, non persisté)
+    const collapsedPartIds = new Set();
 
     /**
      * Met à jour le compteur de chapitres dans la barre de statut.
      */
     function updateChapterCount() {
         const state = window.AppStore.getState();
-        statChapters.textContent = `${state.chapters.length} chapitre(s)`;
+        const partsText = state.parts.length > 0 ? `, ${state.parts.length} partie(s)` : '';
+        statChapters.textContent = `${state.chapters.length} chapitre(s)${partsText}`;
+    }
+
+    /**
+     * Affiche l'avancement vers l'objectif de mots (badge masqué sans objectif).
+     */
+    function updateProgressBadge(badge, info) {
+        if (!info.targetWords) {
+            badge.hidden = true;
+            return;
+        }
+        const percent = Math.round(info.wordCount / info.targetWords * 100);
+        badge.hidden = false;
+        badge.textContent = `${Math.min(percent, 100)} %`;
+        badge.title = `${info.wordCount} / ${info.targetWords} mot(s)`;
+        badge.classList.toggle('complete', percent >= 100);
+    }
+
+    /**
+     * Indique si un chapitre passe les filtres de statut et d'étiquette.
+     */
+    function matchesFilters(info) {
+        if (filterStatus.value && info.status !== filterStatus.value) return false;
+        if (filterLabel.value && !info.labels.includes(filterLabel.value)) return false;
+        return true;
+    }
+
+    function createChapterItem(chap, currentChapterId) {
+        const state = window.AppStore.getState();
+        const info = window.AppStore.getChapterInfo(chap.id);
+
+        const li = document.createElement('li');
+        li.className = 'chapter-item';
+        if (chap.id === currentChapterId) {
+            li.classList.add('active');
+        }
+        if (!matchesFilters(info)) {
+            li.classList.add('filtered-out');
+        }
+        li.setAttribute('data-id', chap.id);
+
+        // Pastille de statut
+        const statusDot = document.createElement('span');
+        statusDot.className = `chapter-status status-${info.status}`;
+        statusDot.title = window.AppStore.CHAPTER_STATUSES[info.status];
+
+        // Conteneur du titre (pour le double-clic)
+        const titleSpan = document.createElement('span');
+        titleSpan.className = 'chapter-title';
+        titleSpan.textContent = chap.title;
+        titleSpan.title = "Double-cliquez pour renommer";
+
+        // Type de page (seuls les types autres que « Chapitre » sont signalés)
+        const typeSpan = document.createElement('span');
+        typeSpan.className = 'chapter-type';
+        if (info.type !== 'chapter') {
+            typeSpan.textContent = window.AppStore.CHAPTER_TYPES[info.type].label;
+            li.classList.add(`matter-${window.AppStore.CHAPTER_TYPES[info.type].matter}`);
+        }
+
+        // Étiquettes
+        const labelsSpan = document.createElement('span');
+        labelsSpan.className = 'chapter-labels';
+        info.labels.forEach(labelId => {
+            const label = state.labels.find(l => l.id === labelId);
+            const dot = document.createElement('span');
+            dot.className = 'label-dot';
+            dot.style.backgroundColor = label.color;
+            dot.title = label.name;
+            labelsSpan.appendChild(dot);
+        });
+
+        // Progression vers l'objectif de mots
+        const badge = document.createElement('span');
+        badge.className = 'chapter-progress';
+        updateProgressBadge(badge, info);
+
+        // Bouton d'ouverture de la fiche (géré par workflow.js)
+        const infoBtn = document.createElement('button');
+        infoBtn.className = 'chapter-info';
+        infoBtn.textContent = '✎';
+        infoBtn.title = 'Fiche du chapitre (type, statut, notes, objectif, étiquettes)';
+
+        // Bouton de suppression
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'chapter-delete';
+        deleteBtn.innerHTML = '🗑️';
+        deleteBtn.title = 'Supprimer ce chapitre';
+
+        li.appendChild(statusDot);
+        li.appendChild(titleSpan);
+        li.appendChild(typeSpan);
+        li.appendChild(labelsSpan);
+        li.appendChild(badge);
+        li.appendChild(infoBtn);
+        li.appendChild(deleteBtn);
+        return li;
+    }
+
+    /**
+     * Crée le bloc d'une partie : en-tête (repli, titre, page de titre, suppression) et liste de ses chapitres.
+     */
+    function createPartItem(part, chapters, currentChapterId) {
+        const li = document.createElement('li');
+        li.className = 'part-item';
+        if (collapsedPartIds.has(part.id)) li.classList.add('collapsed');
+        li.setAttribute('data-id', part.id);
+
+        const header = document.createElement('div');
+        header.className = 'part-header';
+
+        const toggleBtn = document.createElement('button');
+        toggleBtn.className = 'part-toggle';
+        toggleBtn.textContent = collapsedPartIds.has(part.id) ? '▸' : '▾';
+        toggleBtn.title = 'Replier / déplier la partie';
+
+        const titleSpan = document.createElement('span');
+        titleSpan.className = 'part-title';
+        titleSpan.textContent = part.title;
+        titleSpan.title = "Double-cliquez pour renommer";
+
+        const titlePageBtn = document.createElement('button');
+        titlePageBtn.className = 'part-title-page';
+        titlePageBtn.classList.toggle('enabled', part.titlePage !== false);
+        titlePageBtn.textContent = '📄';
+        titlePageBtn.title = part.titlePage !== false
+            ? 'Page de titre de la partie dans l\'EPUB : activée'
+            : 'Page de titre de la partie dans l\'EPUB : désactivée';
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'part-delete';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Supprimer cette partie (ses chapitres sont conservés)';
+
+        header.appendChild(toggleBtn);
+        header.appendChild(titleSpan);
+        header.appendChild(titlePageBtn);
+        header.appendChild(deleteBtn);
+
+        const subList = document.createElement('ul');
+        subList.className = 'part-chapters';
+        chapters.forEach(chap => subList.appendChild(createChapterItem(chap, currentChapterId)));
+
+        // Filtre actif : une partie sans chapitre correspondant est masquée
+        const isFiltering = filterStatus.value || filterLabel.value;
+        if (isFiltering && !subList.querySelector('.chapter-item:not(.filtered-out)')) {
+            li.classList.add('filtered-out');
+        }
+
+        li.appendChild(header);
+        li.appendChild(subList);
+        return li;
     }
 
     /**
-     * Reconstruit entièrement le DOM de la liste des chapitres.
+     * Reconstruit entièrement le DOM de la liste des chapitres :
+     * chapitres hors partie en tête, puis chaque partie avec ses chapitres.
      */
     function renderChapterList() {
         const state = window.AppStore.getState();
         chapterList.innerHTML = '';
 
-        state.chapters.forEach(chap => {
+        state.chapters.filter(chap => !chap.partId).forEach(chap => {
+            chapterList.appendChild(createChapterItem(chap, state.currentChapterId));
+        });
+        state.parts.forEach(part => {
+            const chapters = state.chapters.filter(chap => chap.partId === part.id);
+            chapterList.appendChild(createPartItem(part, chapters, state.currentChapterId));
+        });
+
+        updateChapterCount();
+    }
+
+    /**
+     * Reconstruit la liste des étiquettes proposées au filtre (en conservant la sélection si possible).
+     */
+    function renderLabelFilter() {
+        const labels = window.AppStore.getState().labels;
+        const selected = filterLabel.value;
+        filterLabel.length = 1; // Conserve l'option « Toutes les étiquettes »
+        labels.forEach(label => {
+            filterLabel.appendChild(new Option(label.name, label.id));
+        });
+        filterLabel.value = labels.some(l => l.id === selected) ? selected : '';
+    }
+
+    /**
+     * Reconstruit la liste des chapitres en corbeille.
+     */
+    function renderTrash() {
+        const items = window.AppStore.listTrash();
+        const retentionDays = window.AppStore.getState().settings.trashRetentionDays;
+        trashList.innerHTML = '';
+        trashCount.textContent = items.length;
+        trashRetention.value = retentionDays;
+        btnEmptyTrash.disabled = items.length === 0;
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'trash-empty';
+            empty.textContent = 'La corbeille est vide.';
+            trashList.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
             const li = document.createElement('li');
-            li.className = 'chapter-item';
-            if (chap.id === state.currentChapterId) {
-                li.classList.add('active');
-            }
-            li.setAttribute('data-id', chap.id);
+            li.className = 'trash-item';
+            li.setAttribute('data-id', item.chapter.id);
+
+            const info = document.createElement('div');
+            info.className = 'trash-info';
 
-            // Conteneur du titre (pour le double-clic)
             const titleSpan = document.createElement('span');
-            titleSpan.className = 'chapter-title';
-            titleSpan.textContent = chap.title;
-            titleSpan.title = "Double-cliquez pour renommer";
-
-            // Bouton de suppression
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'chapter-delete';
-            deleteBtn.innerHTML = '🗑️';
-            deleteBtn.title = 'Supprimer ce chapitre';
-
-            li.appendChild(titleSpan);
-            li.appendChild(deleteBtn);
-            chapterList.appendChild(li);
+            titleSpan.className = 'trash-title';
+            titleSpan.textContent = item.chapter.title;
+
+            const dateSpan = document.createElement('span');
+            dateSpan.className = 'trash-date';
+            const deletedOn = new Date(item.deletedAt).toLocaleDateString('fr-FR');
+            dateSpan.textContent = retentionDays > 0
+                ? `Supprimé le ${deletedOn}, purgé le ${new Date(item.expiresAt).toLocaleDateString('fr-FR')}`
+                : `Supprimé le ${deletedOn}`;
+
+            info.appendChild(titleSpan);
+            info.appendChild(dateSpan);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'trash-restore';
+            restoreBtn.textContent = '♻️';
+            restoreBtn.title = 'Restaurer ce chapitre à sa place';
+
+            const purgeBtn = document.createElement('button');
+            purgeBtn.className = 'trash-purge';
+            purgeBtn.textContent = '✖';
+            purgeBtn.title = 'Supprimer définitivement';
+
+            li.appendChild(info);
+            li.appendChild(restoreBtn);
+            li.appendChild(purgeBtn);
+            trashList.appendChild(li);
         });
-
-        updateChapterCount();
     }
 
     /**
-     * Active le mode édition (input inline) pour le titre d'un chapitre.
+     * Active le mode édition (input inline) pour le titre d'un chapitre ou d'une partie.
+     * @param {HTMLElement} titleSpan Élément affichant le titre
+     * @param {string} currentTitle Titre actuel
+     * @param {Function} rename Reçoit le nouveau titre, renvoie false en cas d'échec
      */
-    function enableEditMode(liElement, chapterId, currentTitle) {
-        const titleSpan = liElement.querySelector('.chapter-title');
+    function enableEditMode(titleSpan, currentTitle, rename) {
         if (!titleSpan) return;
 
         const input = document.createElement('input');
@@ -70,7 +295,7 @@
         input.value = currentTitle;
 
         // Remplace le texte par l'input
-        liElement.replaceChild(input, titleSpan);
+        titleSpan.replaceWith(input);
         
         // Focus et sélectionne tout le texte pour une frappe rapide
         input.focus();
@@ -85,12 +310,16 @@
             const newTitle = input.value.trim();
             if (newTitle === '') {
                 // Titre vide refusé : on restaure l'ancien
-                liElement.replaceChild(titleSpan, input);
+                input.replaceWith(titleSpan);
             } else {
                 // Demande à l'AppStore de valider et sauvegarder
-                const success = window.AppStore.renameChapter(chapterId, newTitle);
+                const success = rename(newTitle);
                 if (!success) {
-                    liElement.replaceChild(titleSpan, input); // Restauration en cas d'échec
+                    input.replaceWith(titleSpan); // Restauration en cas d'échec
+                } else if (input.isConnected) {
+                    // Pas de re-rendu complet de la liste : on réaffiche le titre à la place de l'input
+                    titleSpan.textContent = newTitle;
+                    input.replaceWith(titleSpan);
                 }
             }
         };
@@ -98,7 +327,7 @@
         const cancel = () => {
             if (isSaved) return;
             isSaved = true;
-            liElement.replaceChild(titleSpan, input);
+            input.replaceWith(titleSpan);
         };
 
         // Gestion des touches du clavier
@@ -117,33 +346,108 @@
         input.addEventListener('blur', save);
     }
 
+    /**
+     * Lit l'arbre affiché après un glisser-déposer : ordre des parties et rattachement des chapitres.
+     */
+    function readStructureFromDom() {
+        const partIds = [];
+        const chapters = [];
+        Array.from(chapterList.children).forEach(li => {
+            const id = li.getAttribute('data-id');
+            if (li.classList.contains('part-item')) {
+                partIds.push(id);
+                li.querySelectorAll('.chapter-item').forEach(chapLi => {
+                    chapters.push({ id: chapLi.getAttribute('data-id'), partId: id });
+                });
+            } else {
+                chapters.push({ id, partId: null });
+            }
+        });
+        return { partIds, chapters };
+    }
+
     /**
      * Initialise SortableJS pour le réordonnancement par Drag & Drop.
+     * Les chapitres circulent entre la racine et les parties ; les parties restent à la racine.
      */
     function initSortable() {
-        if (sortableInstance) {
-            sortableInstance.destroy();
-        }
-        
-        sortableInstance = new Sortable(chapterList, {
+        sortableInstances.forEach(instance => instance.destroy());
+
+        const commonOptions = {
             animation: 150,
             ghostClass: 'sortable-ghost',
             delay: 100,
             delayOnTouchOnly: true,
+            fallbackOnBody: true,
+            swapThreshold: 0.65,
             onEnd: () => {
-                const newOrderIds = Array.from(chapterList.children).map(li => li.getAttribute('data-id'));
-                window.AppStore.reorderChapters(newOrderIds);
+                const { partIds, chapters } = readStructureFromDom();
+                // Sans changement (ex. chapitre hors partie lâché après une partie), on rétablit l'affichage
+                if (!window.AppStore.reorderStructure(partIds, chapters)) {
+                    renderChapterList();
+                    initSortable();
+                }
             }
+        };
+
+        sortableInstances = [
+            new Sortable(chapterList, {
+                ...commonOptions,
+                group: { name: 'chapters' },
+                draggable: '.chapter-item, .part-item'
+            })
+        ];
+        chapterList.querySelectorAll('.part-chapters').forEach(subList => {
+            sortableInstances.push(new Sortable(subList, {
+                ...commonOptions,
+                group: { name: 'chapters', put: (to, from, dragEl) => dragEl.classList.contains('chapter-item') },
+                draggable: '.chapter-item'
+            }));
         });
     }
 
+    /**
+     * Actions de l'en-tête d'une partie (repli, page de titre, suppression).
+     */
+    function handlePartHeaderClick(e, partLi) {
+        const partId = partLi.getAttribute('data-id');
+
+        if (e.target.closest('.part-delete')) {
+            if (confirm("Supprimer cette partie ?\nSes chapitres sont conservés et rejoignent la partie précédente.")) {
+                window.AppStore.deletePart(partId);
+            }
+        } else if (e.target.closest('.part-title-page')) {
+            const part = window.AppStore.getState().parts.find(p => p.id === partId);
+            window.AppStore.setPartTitlePage(partId, part.titlePage === false);
+        } else if (e.target.closest('.part-toggle')) {
+            if (collapsedPartIds.has(partId)) {
+                collapsedPartIds.delete(partId);
+            } else {
+                collapsedPartIds.add(partId);
+            }
+            partLi.classList.toggle('collapsed', collapsedPartIds.has(partId));
+            partLi.querySelector('.part-toggle').textContent = collapsedPartIds.has(partId) ? '▸' : '▾';
+        }
+    }
+
+    // Options du filtre de statut (fixes)
+    Object.entries(window.AppStore.CHAPTER_STATUSES).forEach(([value, label]) => {
+        filterStatus.appendChild(new Option(label, value));
+    });
+
     // ========================================================================
     // ÉVÉNEMENTS DOM
     // ========================================================================
 
     chapterList.addEventListener('click', (e) => {
+        const partHeader = e.target.closest('.part-header');
+        if (partHeader) {
+            handlePartHeaderClick(e, partHeader.closest('.part-item'));
+            return;
+        }
+
         const li = e.target.closest('.chapter-item');
-        if (!li) return;
+        if (!li || e.target.closest('.chapter-info')) return; // La fiche est ouverte par workflow.js
 
         const chapterId = li.getAttribute('data-id');
 
@@ -154,7 +458,7 @@
                 alert("Impossible de supprimer le dernier chapitre du livre.");
                 return;
             }
-            if (confirm("Voulez-vous vraiment supprimer ce chapitre et tout son contenu ?\nCette action est irréversible.")) {
+            if (confirm("Placer ce chapitre dans la corbeille ?\nVous pourrez le restaurer depuis la corbeille ou avec Ctrl+Z.")) {
                 window.AppStore.deleteChapter(chapterId);
             }
             return;
@@ -171,23 +475,72 @@
     chapterList.addEventListener('dblclick', (e) => {
         const titleSpan = e.target.closest('.chapter-title');
         if (titleSpan) {
-            const li = titleSpan.closest('.chapter-item');
-            const chapterId = li.getAttribute('data-id');
-            enableEditMode(li, chapterId, titleSpan.textContent);
+            const chapterId = titleSpan.closest('.chapter-item').getAttribute('data-id');
+            enableEditMode(titleSpan, titleSpan.textContent, newTitle => window.AppStore.renameChapter(chapterId, newTitle));
+            return;
+        }
+
+        const partTitle = e.target.closest('.part-title');
+        if (partTitle) {
+            const partId = partTitle.closest('.part-item').getAttribute('data-id');
+            enableEditMode(partTitle, partTitle.textContent, newTitle => window.AppStore.renamePart(partId, newTitle));
+        }
+    });
+
+    trashList.addEventListener('click', (e) => {
+        const li = e.target.closest('.trash-item');
+        if (!li) return;
+        const chapterId = li.getAttribute('data-id');
+
+        if (e.target.closest('.trash-restore')) {
+            window.AppStore.restoreFromTrash(chapterId);
+        } else if (e.target.closest('.trash-purge')) {
+            if (confirm("Supprimer définitivement ce chapitre et tout son contenu ?\nCette action est irréversible.")) {
+                window.AppStore.purgeFromTrash(chapterId);
+            }
+        }
+    });
+
+    btnEmptyTrash.addEventListener('click', () => {
+        if (confirm("Vider la corbeille ? Tous les chapitres qu'elle contient seront supprimés définitivement.")) {
+            window.AppStore.emptyTrash();
         }
     });
 
+    trashRetention.addEventListener('change', () => {
+        window.AppStore.setTrashRetentionDays(trashRetention.value);
+        renderTrash();
+    });
+
     btnAddChapter.addEventListener('click', () => {
         const state = window.AppStore.getState();
         window.AppStore.addChapter("Nouveau chapitre", state.currentChapterId);
     });
 
+    [filterStatus, filterLabel].forEach(select => {
+        select.addEventListener('change', () => {
+            renderChapterList();
+            initSortable();
+        });
+    });
+
+    btnAddPart.addEventListener('click', () => {
+        const title = prompt("Titre de la nouvelle partie :", "Nouvelle partie");
+        if (title === null) return;
+        window.AppStore.addPart(title);
+    });
+
     // ========================================================================
     // ÉVÉNEMENTS APPSTORE
     // ========================================================================
 
-    // CORRECTION : Restauration du tableau des événements qui nécessitent un re-rendu complet
-    const eventsToRender =;
+    // Les étiquettes proposées au filtre dépendent du livre ouvert (écouteur placé avant celui du rendu de la liste)
+    ['app:state-loaded', 'app:book-synced', 'app:labels-updated'].forEach(evt => {
+        window.addEventListener(evt, renderLabelFilter);
+    });
+
+    // Événements qui nécessitent un re-rendu complet (dont le changement de livre via state-loaded)
+    const eventsToRender = ['app:state-loaded', 'app:book-imported', 'app:book-synced', 'app:chapter-deleted', 'app:chapter-restored', 'app:chapters-reordered', 'app:chapter-info-updated', 'app:labels-updated'];
     eventsToRender.forEach(evt => {
         window.addEventListener(evt, () => {
             renderChapterList();
@@ -195,9 +548,21 @@
         });
     });
 
+    // Progression du chapitre courant pendant la frappe
+    window.addEventListener('app:content-updated', () => {
+        const chapterId = window.AppStore.getState().currentChapterId;
+        const li = chapterList.querySelector(`.chapter-item[data-id="${chapterId}"]`);
+        if (li) updateProgressBadge(li.querySelector('.chapter-progress'), window.AppStore.getChapterInfo(chapterId));
+    });
+
+    // La corbeille dépend du livre ouvert
+    ['app:state-loaded', 'app:trash-updated'].forEach(evt => {
+        window.addEventListener(evt, renderTrash);
+    });
+
     window.addEventListener('app:chapter-selected', (e) => {
         const selectedId = e.detail;
-        Array.from(chapterList.children).forEach(li => {
+        chapterList.querySelectorAll('.chapter-item').forEach(li => {
             if (li.getAttribute('data-id') === selectedId) {
                 li.classList.add('active');
             } else {
@@ -208,21 +573,20 @@
 
     window.addEventListener('app:chapter-added', (e) => {
         const newChapter = e.detail;
+        if (newChapter.partId) collapsedPartIds.delete(newChapter.partId); // Le nouveau chapitre doit être visible
         renderChapterList(); 
         initSortable();
         
-        // CORRECTION : Restauration du Template Literal pour le sélecteur d'attribut
-        const newLi = chapterList.querySelector(``);
+        const newLi = chapterList.querySelector(`.chapter-item[data-id="${newChapter.id}"]`);
         if (newLi) {
             window.AppStore.setCurrentChapter(newChapter.id);
-            enableEditMode(newLi, newChapter.id, newChapter.title);
+            enableEditMode(newLi.querySelector('.chapter-title'), newChapter.title, newTitle => window.AppStore.renameChapter(newChapter.id, newTitle));
         }
     });
 
     window.addEventListener('app:chapter-renamed', (e) => {
         const updatedChapter = e.detail;
-        // CORRECTION : Restauration du Template Literal
-        const li = chapterList.querySelector(``);
+        const li = chapterList.querySelector(`.chapter-item[data-id="${updatedChapter.id}"]`);
         if (li) {
             const titleSpan = li.querySelector('.chapter-title');
             if (titleSpan) titleSpan.textContent = updatedChapter.title;
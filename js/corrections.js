@@ -0,0 +1,292 @@
+/**
+ * corrections.js
+ * Composant UI de la correction typographique du texte source.
+ * Responsabilités : Proposer les corrections du moteur typographique (règles de la langue du livre) pour le chapitre
+ * courant ou tout le livre, les afficher côte à côte avec le texte actuel, laisser l'auteur accepter ou refuser
+ * chacune d'elles, puis écrire le texte retenu dans les chapitres via l'AppStore.
+ */
+
+(function() {
+    'use strict';
+
+    const btnCorrections = document.getElementById('btn-corrections');
+    const correctionsDialog = document.getElementById('corrections-dialog');
+    const correctionsSummary = document.getElementById('corrections-summary');
+    const correctionsList = document.getElementById('corrections-list');
+    const scopeInputs = Array.from(correctionsDialog.querySelectorAll('input[name="corrections-scope"]'));
+    const btnAcceptCorrections = document.getElementById('btn-accept-corrections');
+    const btnRejectCorrections = document.getElementById('btn-reject-corrections');
+    const btnCancelCorrections = document.getElementById('btn-cancel-corrections');
+    const btnApplyCorrections = document.getElementById('btn-apply-corrections');
+
+    // Espaces insécables rendues visibles (sinon rien ne distingue la correction du texte d'origine)
+    const VISIBLE_SPACES = {
+        '\u00A0': 'Espace insécable',
+        '\u202F': 'Espace fine insécable'
+    };
+
+    // Chapitres examinés : [{ chapterId, title, original, lines, changes: [{ index, parts }] }]
+    // parts : { type: 'equal', text } ou { type: 'change', before, after, accepted }
+    let review = [];
+    // Titres des chapitres que le moteur n'a pas pu corriger ligne à ligne (ils ne sont pas proposés)
+    let skipped = [];
+
+    function getScope() {
+        return scopeInputs.find(input => input.checked).value;
+    }
+
+    function getHunks() {
+        return review.flatMap(item => item.changes.flatMap(change => change.parts.filter(part => part.type === 'change')));
+    }
+
+    /**
+     * Découpe une ligne modifiée en passages inchangés et en corrections (comparaison mot à mot).
+     */
+    function splitChange(before, after) {
+        const parts = [];
+        let hunk = null;
+        window.TextDiff.diffInline(before, after).forEach(op => {
+            if (op.type === 'equal') {
+                hunk = null;
+                parts.push({ type: 'equal', text: op.text });
+                return;
+            }
+            if (!hunk) {
+                hunk = { type: 'change', before: '', after: '', accepted: true };
+                parts.push(hunk);
+            }
+            hunk[op.type === 'removed' ? 'before' : 'after'] += op.text;
+        });
+        return parts;
+    }
+
+    /**
+     * Calcule les corrections des chapitres visés. Le moteur conserve le nombre de lignes :
+     * chaque ligne est comparée à sa version corrigée.
+     */
+    function analyze() {
+        const state = window.AppStore.getState();
+        const chapters = getScope() === 'book'
+            ? state.chapters
+            : state.chapters.filter(chap => chap.id === state.currentChapterId);
+
+        skipped = [];
+        review = chapters.map(chap => {
+            const original = window.AppStore.getChapterContent(chap.id);
+            const lines = original.split('\n');
+            const corrected = window.TypographyEngine.process(original).split('\n');
+            if (corrected.length !== lines.length) {
+                skipped.push(chap.title);
+                return null;
+            }
+
+            const changes = [];
+            lines.forEach((line, index) => {
+                if (corrected[index] !== line) changes.push({ index, parts: splitChange(line, corrected[index]) });
+            });
+            return { chapterId: chap.id, title: chap.title, original, lines, changes };
+        }).filter(item => item && item.changes.length > 0);
+    }
+
+    /**
+     * Ajoute un texte à un élément en rendant visibles les espaces insécables.
+     */
+    function appendText(parent, text) {
+        text.split(/([\u00A0\u202F])/).forEach(piece => {
+            if (!piece) return;
+            if (VISIBLE_SPACES[piece]) {
+                const space = document.createElement('span');
+                space.className = 'correction-space';
+                space.title = VISIBLE_SPACES[piece];
+                space.textContent = '⍽';
+                parent.appendChild(space);
+            } else {
+                parent.appendChild(document.createTextNode(piece));
+            }
+        });
+    }
+
+    /**
+     * Affiche une correction dans la colonne du texte corrigé : le texte retenu, ou barré
+     * quand la correction supprime (acceptée) ou ajoute (refusée) seulement.
+     */
+    function renderHunk(button, hunk) {
+        const shown = hunk.accepted ? hunk.after : hunk.before;
+        button.classList.toggle('rejected', !hunk.accepted);
+        button.title = hunk.accepted ? 'Correction acceptée (cliquer pour la refuser)' : 'Correction refusée (cliquer pour l\'accepter)';
+        button.classList.toggle('struck', !shown);
+        button.innerHTML = '';
+        appendText(button, shown || (hunk.accepted ? hunk.before : hunk.after));
+    }
+
+    function renderSummary() {
+        const hunks = getHunks();
+        const accepted = hunks.filter(hunk => hunk.accepted).length;
+        const locale = window.TypographyEngine.getLocale(window.AppStore.getState().metadata.language);
+        const rules = locale ? `typographie : ${locale.label}` : 'règles communes à toutes les langues';
+
+        const skippedNote = skipped.length > 0
+            ? ` Chapitre(s) non examiné(s), leur correction ne conservant pas le découpage en lignes : ${skipped.map(title => `« ${title} »`).join(', ')}.`
+            : '';
+        const upToDate = skipped.length > 0 ? '.' : ' : le texte suit déjà les règles retenues pour ce livre.';
+
+        correctionsSummary.textContent = (hunks.length === 0
+            ? `Aucune correction proposée (${rules})${upToDate}`
+            : `${accepted} correction(s) acceptée(s) sur ${hunks.length}, dans ${review.length} chapitre(s) (${rules}). `
+                + 'Cliquez sur une correction pour la refuser ou l\'accepter.') + skippedNote;
+        btnApplyCorrections.disabled = accepted === 0;
+        btnAcceptCorrections.disabled = hunks.length === 0;
+        btnRejectCorrections.disabled = hunks.length === 0;
+    }
+
+    function createChangeRow(change, itemIndex, changeIndex) {
+        const row = document.createElement('div');
+        row.className = 'correction-row';
+
+        const line = document.createElement('span');
+        line.className = 'correction-line';
+        line.textContent = change.index + 1;
+
+        const before = document.createElement('div');
+        before.className = 'correction-before';
+        const after = document.createElement('div');
+        after.className = 'correction-after';
+
+        change.parts.forEach((part, partIndex) => {
+            if (part.type === 'equal') {
+                appendText(before, part.text);
+                appendText(after, part.text);
+                return;
+            }
+            if (part.before) {
+                const removed = document.createElement('span');
+                removed.className = 'correction-removed';
+                appendText(removed, part.before);
+                before.appendChild(removed);
+            }
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'correction-hunk';
+            button.setAttribute('data-hunk', `${itemIndex}:${changeIndex}:${partIndex}`);
+            renderHunk(button, part);
+            after.appendChild(button);
+        });
+
+        row.appendChild(line);
+        row.appendChild(before);
+        row.appendChild(after);
+        return row;
+    }
+
+    /**
+     * Reconstruit la liste des corrections, groupées par chapitre.
+     */
+    function renderCorrections() {
+        correctionsList.innerHTML = '';
+        review.forEach((item, itemIndex) => {
+            const heading = document.createElement('h3');
+            heading.className = 'corrections-chapter';
+            heading.textContent = item.title;
+            correctionsList.appendChild(heading);
+
+            item.changes.forEach((change, changeIndex) => {
+                correctionsList.appendChild(createChangeRow(change, itemIndex, changeIndex));
+            });
+        });
+        renderSummary();
+    }
+
+    function refresh() {
+        analyze();
+        renderCorrections();
+    }
+
+    /**
+     * Écrit le texte retenu dans les chapitres (une version de chacun est conservée avant la correction).
+     */
+    async function applyCorrections() {
+        const contents = {};
+        for (const item of review) {
+            // Un autre onglet a pu modifier le chapitre pendant l'examen
+            if (window.AppStore.getChapterContent(item.chapterId) !== item.original) {
+                alert(`Le chapitre « ${item.title} » a été modifié entre-temps : les corrections proposées ont été recalculées.`);
+                refresh();
+                return;
+            }
+
+            const lines = item.lines.slice();
+            item.changes.forEach(change => {
+                lines[change.index] = change.parts
+                    .map(part => (part.type === 'equal' ? part.text : part.accepted ? part.after : part.before))
+                    .join('');
+            });
+            contents[item.chapterId] = lines.join('\n');
+        }
+
+        btnApplyCorrections.disabled = true;
+        try {
+            await window.AppStore.replaceChapterContents(contents, 'Avant correction typographique');
+            correctionsDialog.close();
+        } catch (err) {
+            console.error("Erreur lors de l'application des corrections :", err);
+            alert("Les corrections n'ont pas pu être enregistrées.");
+            renderSummary();
+        }
+    }
+
+    function setAllAccepted(accepted) {
+        getHunks().forEach(hunk => {
+            hunk.accepted = accepted;
+        });
+        correctionsList.querySelectorAll('.correction-hunk').forEach(button => {
+            const [itemIndex, changeIndex, partIndex] = button.getAttribute('data-hunk').split(':').map(Number);
+            renderHunk(button, review[itemIndex].changes[changeIndex].parts[partIndex]);
+        });
+        renderSummary();
+    }
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    btnCorrections.addEventListener('click', () => {
+        if (!window.AppStore.getState().currentChapterId) return;
+        refresh();
+        correctionsDialog.showModal();
+    });
+
+    scopeInputs.forEach(input => input.addEventListener('change', refresh));
+
+    correctionsList.addEventListener('click', (e) => {
+        const button = e.target.closest('.correction-hunk');
+        if (!button) return;
+        const [itemIndex, changeIndex, partIndex] = button.getAttribute('data-hunk').split(':').map(Number);
+        const hunk = review[itemIndex].changes[changeIndex].parts[partIndex];
+        hunk.accepted = !hunk.accepted;
+        renderHunk(button, hunk);
+        renderSummary();
+    });
+
+    btnAcceptCorrections.addEventListener('click', () => setAllAccepted(true));
+    btnRejectCorrections.addEventListener('click', () => setAllAccepted(false));
+    btnCancelCorrections.addEventListener('click', () => correctionsDialog.close());
+    btnApplyCorrections.addEventListener('click', applyCorrections);
+
+    correctionsDialog.addEventListener('close', () => {
+        review = [];
+        skipped = [];
+        correctionsList.innerHTML = '';
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    // Les corrections portent sur le chapitre courant ou le livre ouvert : on ferme la fenêtre s'ils changent
+    ['app:chapter-selected', 'app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (correctionsDialog.open) correctionsDialog.close();
+        });
+    });
+
+})();
@@ -0,0 +1,161 @@
+/**
+ * designer.js
+ * Composant UI du style du livre.
+ * Responsabilités : Choisir un modèle prédéfini, régler les paragraphes, la lettrine, le séparateur de scène
+ * et les titres, activer ou désactiver les règles typographiques de la langue du livre, et saisir du CSS avancé. Chaque modification est enregistrée dans les réglages du livre
+ * et se voit aussitôt dans la prévisualisation.
+ */
+
+(function() {
+    'use strict';
+
+    const btnStyle = document.getElementById('btn-style');
+    const styleDialog = document.getElementById('style-dialog');
+    const selectPreset = document.getElementById('style-preset');
+    const presetState = document.getElementById('style-preset-state');
+    const selectSceneBreak = document.getElementById('style-scene-break');
+    const typographyLocale = document.getElementById('style-typography-locale');
+    const typographyRules = document.getElementById('style-typography-rules');
+    const inputCustomCss = document.getElementById('style-custom-css');
+    const btnCloseStyle = document.getElementById('btn-close-style');
+
+    // CSS avancé saisi mais pas encore enregistré
+    let customCssDirty = false;
+
+    // Champs liés directement à un réglage du livre (data-setting), hors modèle et CSS avancé
+    const fields = Array.from(styleDialog.querySelectorAll('[data-setting]'));
+
+    function readField(field) {
+        if (field.type === 'checkbox') return field.checked;
+        if (field.type === 'number') return Math.max(0, parseFloat(field.value) || 0);
+        return field.value;
+    }
+
+    /**
+     * Liste les règles typographiques applicables à la langue du livre, cochées sauf si elles sont désactivées.
+     */
+    function renderTypography() {
+        const state = window.AppStore.getState();
+        const locale = window.TypographyEngine.getLocale(state.metadata.language);
+        const disabled = state.settings.typographyDisabled || [];
+
+        typographyLocale.textContent = locale
+            ? `Langue du livre : ${locale.label}. Décochez une règle pour ne plus l'appliquer à ce livre.`
+            : `Langue « ${state.metadata.language || '?'} » non reconnue : seules les règles communes s'appliquent.`;
+
+        typographyRules.innerHTML = '';
+        window.TypographyEngine.getRules(state.metadata.language).forEach(rule => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = rule.id;
+            input.checked = !disabled.includes(rule.id);
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(` ${rule.label}`));
+            typographyRules.appendChild(label);
+        });
+    }
+
+    /**
+     * Reporte les réglages du livre dans la fenêtre.
+     */
+    function renderStyle() {
+        const settings = window.AppStore.getState().settings;
+
+        selectPreset.value = settings.stylePreset;
+        presetState.textContent = window.BookStyle.isModified(settings) ? 'Modifié' : '';
+
+        fields.forEach(field => {
+            const value = settings[field.getAttribute('data-setting')];
+            if (field.type === 'checkbox') {
+                field.checked = !!value;
+            } else {
+                field.value = value;
+            }
+        });
+
+        renderTypography();
+
+        // Le CSS en cours de saisie n'est pas écrasé
+        if (document.activeElement !== inputCustomCss) inputCustomCss.value = settings.styleCustomCss;
+    }
+
+    // Options fixes : modèles et ornements
+    Object.entries(window.BookStyle.PRESETS).forEach(([key, preset]) => {
+        selectPreset.appendChild(new Option(preset.label, key));
+    });
+    Object.entries(window.BookStyle.SCENE_BREAKS).forEach(([value, label]) => {
+        selectSceneBreak.appendChild(new Option(label, value));
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    btnStyle.addEventListener('click', () => {
+        renderStyle();
+        styleDialog.showModal();
+    });
+
+    btnCloseStyle.addEventListener('click', () => styleDialog.close());
+
+    selectPreset.addEventListener('change', () => {
+        const settings = window.AppStore.getState().settings;
+        if (window.BookStyle.isModified(settings)
+            && !confirm('Appliquer ce modèle ? Les réglages modifiés seront remplacés (le CSS avancé est conservé).')) {
+            selectPreset.value = settings.stylePreset;
+            return;
+        }
+        window.BookStyle.applyPreset(selectPreset.value);
+    });
+
+    fields.forEach(field => {
+        field.addEventListener('change', () => {
+            window.AppStore.updateSettings({ [field.getAttribute('data-setting')]: readField(field) });
+        });
+    });
+
+    // Les règles décochées restent désactivées même si elles ne s'appliquent pas à la langue actuelle
+    typographyRules.addEventListener('change', (e) => {
+        const disabled = new Set(window.AppStore.getState().settings.typographyDisabled);
+        if (e.target.checked) {
+            disabled.delete(e.target.value);
+        } else {
+            disabled.add(e.target.value);
+        }
+        window.AppStore.updateSettings({ typographyDisabled: Array.from(disabled) });
+    });
+
+    // Le CSS avancé est enregistré à la perte de focus (et à la fermeture de la fenêtre)
+    function saveCustomCss() {
+        if (!customCssDirty) return;
+        customCssDirty = false;
+        window.AppStore.updateSettings({ styleCustomCss: inputCustomCss.value });
+    }
+
+    inputCustomCss.addEventListener('input', () => {
+        customCssDirty = true;
+    });
+    inputCustomCss.addEventListener('change', saveCustomCss);
+    styleDialog.addEventListener('close', saveCustomCss);
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    ['app:settings-updated', 'app:metadata-updated', 'app:book-synced'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (styleDialog.open) renderStyle();
+        });
+    });
+
+    // Les réglages sont ceux du livre ouvert : on ferme la fenêtre si le livre change
+    ['app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            // La saisie en cours concernait le livre précédent
+            customCssDirty = false;
+            if (styleDialog.open) styleDialog.close();
+        });
+    });
+
+})();
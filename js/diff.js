@@ -0,0 +1,130 @@
+/**
+ * diff.js
+ * Calcul de différences ligne à ligne entre deux textes, ou mot à mot entre deux lignes.
+ * Responsabilité unique : Produire une liste d'opérations (identique / ajout / suppression)
+ * exploitable par les panneaux de comparaison, sans aucune dépendance au DOM.
+ */
+
+(function() {
+    'use strict';
+
+    // Au-delà de ce nombre de cellules, la table LCS coûterait trop cher en mémoire :
+    // la zone centrale est alors présentée comme entièrement remplacée.
+    const MAX_LCS_CELLS = 4000000;
+
+    // Découpage d'une ligne pour la comparaison mot à mot : mots, suites d'espaces, signe isolé
+    const INLINE_TOKEN = /[\p{L}\p{N}]+|\s+|[^\p{L}\p{N}\s]/gu;
+
+    /**
+     * Calcule la plus longue sous-séquence commune et renvoie les opérations correspondantes.
+     */
+    function lcsOperations(oldLines, newLines) {
+        const n = oldLines.length;
+        const m = newLines.length;
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = oldLines[i] === newLines[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        const operations = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (oldLines[i] === newLines[j]) {
+                operations.push({ type: 'equal', text: oldLines[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                operations.push({ type: 'removed', text: oldLines[i] });
+                i++;
+            } else {
+                operations.push({ type: 'added', text: newLines[j] });
+                j++;
+            }
+        }
+        while (i < n) operations.push({ type: 'removed', text: oldLines[i++] });
+        while (j < m) operations.push({ type: 'added', text: newLines[j++] });
+
+        return operations;
+    }
+
+    /**
+     * Compare deux suites d'éléments (lignes ou mots) : préfixe et suffixe communs, puis LCS sur la zone centrale.
+     */
+    function diffSequences(oldItems, newItems) {
+        // 1. Préfixe et suffixe communs : réduit fortement la taille de la table LCS
+        let start = 0;
+        while (start < oldItems.length && start < newItems.length && oldItems[start] === newItems[start]) {
+            start++;
+        }
+        let oldEnd = oldItems.length;
+        let newEnd = newItems.length;
+        while (oldEnd > start && newEnd > start && oldItems[oldEnd - 1] === newItems[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        const head = oldItems.slice(0, start).map(text => ({ type: 'equal', text }));
+        const tail = oldItems.slice(oldEnd).map(text => ({ type: 'equal', text }));
+        const oldMiddle = oldItems.slice(start, oldEnd);
+        const newMiddle = newItems.slice(start, newEnd);
+
+        // 2. Zone centrale
+        let middle;
+        if ((oldMiddle.length + 1) * (newMiddle.length + 1) > MAX_LCS_CELLS) {
+            middle = oldMiddle.map(text => ({ type: 'removed', text }))
+                .concat(newMiddle.map(text => ({ type: 'added', text })));
+        } else {
+            middle = lcsOperations(oldMiddle, newMiddle);
+        }
+
+        return head.concat(middle, tail);
+    }
+
+    window.TextDiff = {
+        /**
+         * Compare deux textes ligne par ligne.
+         * @param {string} oldText Texte de référence
+         * @param {string} newText Texte comparé
+         * @returns {Array<{type: 'equal'|'added'|'removed', text: string}>}
+         */
+        diffLines(oldText, newText) {
+            return diffSequences((oldText || '').split('\n'), (newText || '').split('\n'));
+        },
+
+        /**
+         * Compare deux lignes mot à mot ; les opérations consécutives de même type sont fusionnées.
+         * @returns {Array<{type: 'equal'|'added'|'removed', text: string}>}
+         */
+        diffInline(oldText, newText) {
+            const operations = diffSequences((oldText || '').match(INLINE_TOKEN) || [], (newText || '').match(INLINE_TOKEN) || []);
+            return operations.reduce((merged, op) => {
+                const last = merged[merged.length - 1];
+                if (last && last.type === op.type) {
+                    last.text += op.text;
+                } else {
+                    merged.push({ ...op });
+                }
+                return merged;
+            }, []);
+        },
+
+        /**
+         * Résume une liste d'opérations en nombre de lignes ajoutées et supprimées.
+         */
+        summarize(operations) {
+            return operations.reduce((acc, op) => {
+                if (op.type === 'added') acc.added++;
+                if (op.type === 'removed') acc.removed++;
+                return acc;
+            }, { added: 0, removed: 0 });
+        }
+    };
+
+})();
@@ -71,9 +71,8 @@
         let html = '';
 
         for (let i = 0; i < lines.length; i++) {
-            // CORRECTION : Restauration de l'index du tableau
             // Un espace insécable est requis pour donner une hauteur aux lignes vides
-            ghostElement.textContent = lines || '\u200B';
+            ghostElement.textContent = lines[i] || '\u200B';
             const height = ghostElement.getBoundingClientRect().height;
             html += `<div class="line-number-node" style="height: ${height}px;">${i + 1}</div>`;
         }
@@ -116,9 +115,8 @@
                 : window.AppStore.getChapterContent(chap.id);
             
             totalWords += countWords(content);
-            // CORRECTION : Restauration du tableau d'initialisation du Blob
             // Calcul approximatif de la taille en octets (UTF-8)
-            totalBytes += new Blob().size;
+            totalBytes += new Blob([content]).size;
         });
 
         statWordsTotal.textContent = `Livre : ${totalWords} mot(s)`;
@@ -181,15 +179,31 @@
         updateStats();
     });
 
-    // Écouteur en cas d'import complet du livre
-    window.addEventListener('app:book-imported', () => {
-        const state = window.AppStore.getState();
-        if (state.currentChapterId) {
-            textarea.value = window.AppStore.getChapterContent(state.currentChapterId);
-            textarea.scrollTop = 0;
+    // Contenu remplacé hors de la frappe (restauration d'une version, autre onglet) : on resynchronise le textarea
+    window.addEventListener('app:content-updated', (e) => {
+        const newContent = e.detail;
+        if (typeof newContent === 'string' && newContent !== textarea.value) {
+            // Conservation de la position du curseur et du défilement
+            const { selectionStart, selectionEnd, scrollTop } = textarea;
+            textarea.value = newContent;
+            textarea.setSelectionRange(Math.min(selectionStart, newContent.length), Math.min(selectionEnd, newContent.length));
+            textarea.scrollTop = scrollTop;
             updateLineNumbers();
             updateStats();
         }
     });
 
+    // Écouteur en cas de chargement d'un livre (démarrage, changement de livre) ou d'import complet
+    ['app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            const state = window.AppStore.getState();
+            if (state.currentChapterId) {
+                textarea.value = window.AppStore.getChapterContent(state.currentChapterId);
+                textarea.scrollTop = 0;
+                updateLineNumbers();
+                updateStats();
+            }
+        });
+    });
+
 })();
\ No newline at end of file
@@ -1,13 +1,41 @@
 /**
  * epub.js
- * Moteur de génération d'archives EPUB 3 (compatibilité EPUB 2).
- * Responsabilités : Construire la structure OEBPS, l'OPF, le NCX, convertir le HTML en XHTML valide,
- * zipper le tout en mémoire sans compression pour le mimetype, et déclencher le téléchargement.
+ * Moteur de génération d'archives EPUB 3 (compatibilité EPUB 2 facultative).
+ * Options propres à chaque livre : EPUB 3 seul, page de titre et table des matières facultatives, style du titre des chapitres, nom du fichier.
+ * Responsabilités : Construire la structure OEBPS, l'OPF, le NCX et la navigation (imbriqués par parties, avec repères),
+ * mettre en page et qualifier (epub:type) les pages liminaires et de fin, placer les notes (pop-up EPUB 3)
+ * en bas de chaque chapitre ou dans un chapitre « Notes » final, réécrire les liens entre chapitres vers le bon fichier,
+ * convertir le HTML en XHTML valide (analyse DOM puis réécriture, valeurs échappées par un seul chemin), embarquer la couverture et les images référencées par les chapitres,
+ * embarquer les polices attribuées aux rôles du texte (obscurcissement IDPF et META-INF/encryption.xml en option),
+ * zipper le tout en mémoire sans compression pour le mimetype, et déclencher le téléchargement
+ * (après le contrôle du paquet, qui s'appuie sur la correspondance entre lignes XHTML et lignes Markdown des chapitres).
  */
 
 (function() {
     'use strict';
 
+    // Sémantique EPUB (epub:type) de chaque type de chapitre. Le vocabulaire EPUB n'a pas de terme
+    // pour « À propos de l'auteur » : la page n'est alors qualifiée que par sa position (backmatter).
+    const EPUB_TYPES = {
+        chapter: 'chapter',
+        dedication: 'dedication',
+        epigraph: 'epigraph',
+        copyright: 'copyright-page',
+        foreword: 'foreword',
+        acknowledgments: 'acknowledgments',
+        afterword: 'afterword',
+        about: null
+    };
+
+    // Fichier du chapitre regroupant les notes en fin de livre
+    const ENDNOTES_FILE = 'notes.xhtml';
+
+    // Dossier des polices embarquées (relatif à OEBPS, comme la feuille de style)
+    const FONT_DIR = 'fonts/';
+
+    // Styles du titre imprimé en tête des chapitres (réglage epubHeadingStyle)
+    const HEADING_STYLES = ['title', 'number-title', 'number', 'none'];
+
     /**
      * Génère un UUID v4 pour l'identifiant unique du livre.
      */
@@ -15,40 +43,264 @@
         if (typeof crypto !== 'undefined' && crypto.randomUUID) {
             return crypto.randomUUID();
         }
-        // CORRECTION : Restauration de la regex //g
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(//g, function(c) {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
             const r = Math.random() * 16 | 0;
             const v = c === 'x' ? r : (r & 0x3 | 0x8);
             return v.toString(16);
         });
     }
 
+    // Éléments vides du HTML : auto-fermés en XHTML (<br />)
+    const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+    /**
+     * Échappe un texte ou une valeur d'attribut pour le XML. Toutes les valeurs insérées dans les fichiers
+     * du paquet (titres, métadonnées, chemins) passent par ici.
+     * Les caractères interdits en XML 1.0 sont retirés ; l'espace insécable est écrit en référence numérique,
+     * le XML ne connaissant pas les entités nommées du HTML (&nbsp;).
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/\u00A0/g, '&#160;');
+    }
+
+    function serializeNode(node, keepSourceLines) {
+        if (node.nodeType === 3) return escapeXml(node.nodeValue);
+        // Commentaires et instructions de traitement ne sont pas repris
+        if (node.nodeType !== 1) return '';
+
+        const tag = node.localName.toLowerCase();
+        const attributes = Array.from(node.attributes)
+            .filter(attr => keepSourceLines || attr.name !== 'data-source-line')
+            .map(attr => ` ${attr.name}="${escapeXml(attr.value)}"`)
+            .join('');
+        if (VOID_ELEMENTS.has(tag)) return `<${tag}${attributes} />`;
+
+        const children = Array.from(node.childNodes).map(child => serializeNode(child, keepSourceLines)).join('');
+        return `<${tag}${attributes}>${children}</${tag}>`;
+    }
+
+    /**
+     * Convertit le HTML issu de markdown-it en XHTML : le HTML est analysé en DOM (qui corrige l'imbrication
+     * et décode les entités), puis réécrit élément par élément. Les liseuses rejettent un XML mal formé.
+     * @param {boolean} [keepSourceLines] Conserve les data-source-line (retirées par stripSourceLines une fois
+     *        le fichier assemblé, après la correspondance des lignes)
+     */
+    function serializeToXHTML(html, keepSourceLines = false) {
+        const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html');
+        return Array.from(doc.body.childNodes).map(node => serializeNode(node, keepSourceLines)).join('');
+    }
+
+    /**
+     * Retire les data-source-line d'un fichier produit par serializeToXHTML (format d'attribut connu).
+     */
+    function stripSourceLines(xhtml) {
+        return xhtml.replace(/ data-source-line="\d+"/g, '');
+    }
+
+    /**
+     * Ligne Markdown d'origine de chaque ligne d'un fichier XHTML encore annoté (data-source-line) :
+     * la dernière annotation rencontrée jusqu'à cette ligne, ou null avant la première.
+     * @returns {Array<number|null>} indexé par numéro de ligne XHTML - 1
+     */
+    function mapSourceLines(xhtml) {
+        let current = null;
+        return xhtml.split('\n').map(line => {
+            const matches = line.match(/data-source-line="\d+"/g);
+            if (matches) current = Number(matches[matches.length - 1].match(/\d+/)[0]);
+            return current;
+        });
+    }
+
+    /**
+     * Options d'export EPUB du livre, valeurs inconnues ramenées aux valeurs par défaut.
+     */
+    function readExportOptions(settings, title) {
+        const cleanName = (name) => name.replace(/\.epub$/i, '').replace(/[\\/:*?"<>|]/g, '').trim().replace(/\s+/g, '_');
+        return {
+            epub2: settings.epubVersion !== 'epub3',
+            titlePage: settings.epubTitlePage !== false,
+            toc: settings.epubToc !== false,
+            headingStyle: HEADING_STYLES.includes(settings.epubHeadingStyle) ? settings.epubHeadingStyle : 'title',
+            fileName: `${cleanName(settings.epubFileName || '') || cleanName(title) || 'livre'}.epub`
+        };
+    }
+
+    /**
+     * Titre imprimé en tête d'un chapitre du corps selon le style choisi.
+     * @param {number} number Numéro du chapitre parmi les chapitres exportés de type « Chapitre »
+     */
+    function buildChapterHeading(safeTitle, style, number) {
+        switch (style) {
+            case 'number-title':
+                return `<h1><span class="chapter-number">Chapitre ${number}</span> <span class="chapter-title">${safeTitle}</span></h1>\n`;
+            case 'number':
+                return `<h1>Chapitre ${number}</h1>\n`;
+            case 'none':
+                return '';
+            default:
+                return `<h1>${safeTitle}</h1>\n`;
+        }
+    }
+
+    /**
+     * Extrait la partie base64 d'une data URL (format attendu par JSZip avec { base64: true }).
+     */
+    function dataUrlToBase64(dataUrl) {
+        return dataUrl.substring(dataUrl.indexOf(',') + 1);
+    }
+
+    /**
+     * Écrit dans OEBPS/fonts les polices attribuées à un rôle du texte, obscurcies si demandé.
+     * @param {string} uniqueIdentifier Identifiant unique du livre (clé de l'obscurcissement)
+     * @returns {Promise<Array>} Polices embarquées (ressources du livre)
+     */
+    async function embedFonts(oebps, uniqueIdentifier, obfuscate) {
+        const fonts = [];
+        for (const font of window.BookFonts.getUsedFonts()) {
+            const dataUrl = await window.AppStore.getAssetData(font.id);
+            if (!dataUrl) continue;
+            if (obfuscate) {
+                const bytes = await window.BookFonts.obfuscate(window.BookFonts.dataUrlToBytes(dataUrl), uniqueIdentifier);
+                oebps.file(`${FONT_DIR}${font.name}`, bytes);
+            } else {
+                oebps.file(`${FONT_DIR}${font.name}`, dataUrlToBase64(dataUrl), { base64: true });
+            }
+            fonts.push(font);
+        }
+        return fonts;
+    }
+
+    /**
+     * META-INF/encryption.xml : déclare les polices obscurcies selon l'algorithme de l'IDPF.
+     * @param {string[]} paths Chemins des polices dans l'archive
+     */
+    function buildEncryptionXml(paths) {
+        const entries = paths.map(path => `
+    <enc:EncryptedData>
+        <enc:EncryptionMethod Algorithm="http://www.idpf.org/2008/embedding"/>
+        <enc:CipherData>
+            <enc:CipherReference URI="${escapeXml(path)}"/>
+        </enc:CipherData>
+    </enc:EncryptedData>`).join('');
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:enc="http://www.w3.org/2001/04/xmlenc#">${entries}
+</encryption>`;
+    }
+
+    /**
+     * Regroupe les chapitres pour la table des matières : chapitres hors partie,
+     * puis une entrée par partie contenant ses chapitres (ordre de lecture conservé).
+     * @returns {Array<{part: Object|null, chapters: Array}>}
+     */
+    function groupByPart(chapters, parts) {
+        const groups = [{ part: null, chapters: chapters.filter(chap => !chap.partId) }];
+        parts.forEach(part => {
+            groups.push({ part, chapters: chapters.filter(chap => chap.partId === part.id) });
+        });
+        return groups;
+    }
+
+    /**
+     * Construit les entrées Dublin Core et « meta refines » du bloc <metadata> de l'OPF.
+     * @param {Object} metadata Métadonnées du livre
+     * @param {Object} base { uuid, title, author, lang, modified, epub2Cover } (valeurs par défaut déjà appliquées)
+     */
+    function buildOpfMetadata(metadata, base) {
+        const lines = [
+            `<dc:identifier id="pub-id">${base.uuid}</dc:identifier>`,
+            `<dc:title id="title">${escapeXml(base.title)}</dc:title>`,
+            `<dc:creator id="creator">${escapeXml(base.author)}</dc:creator>`,
+            `<meta refines="#creator" property="role" scheme="marc:relators">aut</meta>`,
+            `<dc:language>${escapeXml(base.lang)}</dc:language>`
+        ];
+
+        // ISBN : identifiant secondaire typé selon la liste ONIX 5 (15 = ISBN-13, 02 = ISBN-10)
+        const isbn = (metadata.isbn || '').replace(/[^0-9Xx]/g, '');
+        if (isbn) {
+            lines.push(`<dc:identifier id="isbn">urn:isbn:${isbn}</dc:identifier>`);
+            lines.push(`<meta refines="#isbn" property="identifier-type" scheme="onix:codelist5">${isbn.length === 10 ? '02' : '15'}</meta>`);
+        }
+
+        // Contributeurs : les co-auteurs sont des dc:creator, les autres rôles des dc:contributor
+        (metadata.contributors || []).filter(c => c.name && c.name.trim()).forEach((contributor, index) => {
+            const id = `contributor-${index + 1}`;
+            const element = contributor.role === 'aut' ? 'dc:creator' : 'dc:contributor';
+            lines.push(`<${element} id="${id}">${escapeXml(contributor.name.trim())}</${element}>`);
+            lines.push(`<meta refines="#${id}" property="role" scheme="marc:relators">${escapeXml(contributor.role)}</meta>`);
+        });
+
+        if (metadata.publisher) lines.push(`<dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>`);
+        if (metadata.description) lines.push(`<dc:description>${escapeXml(metadata.description)}</dc:description>`);
+        (metadata.subjects || []).forEach(subject => {
+            lines.push(`<dc:subject>${escapeXml(subject)}</dc:subject>`);
+        });
+        if (metadata.rights) lines.push(`<dc:rights>${escapeXml(metadata.rights)}</dc:rights>`);
+        lines.push(`<dc:date>${escapeXml(metadata.pubDate || base.modified)}</dc:date>`);
+
+        // Série : collection EPUB 3, doublée des balises Calibre lues par de nombreuses liseuses
+        if (metadata.series) {
+            lines.push(`<meta property="belongs-to-collection" id="series">${escapeXml(metadata.series)}</meta>`);
+            lines.push(`<meta refines="#series" property="collection-type">series</meta>`);
+            if (metadata.seriesIndex) lines.push(`<meta refines="#series" property="group-position">${escapeXml(String(metadata.seriesIndex))}</meta>`);
+            lines.push(`<meta name="calibre:series" content="${escapeXml(metadata.series)}"/>`);
+            if (metadata.seriesIndex) lines.push(`<meta name="calibre:series_index" content="${escapeXml(String(metadata.seriesIndex))}"/>`);
+        }
+
+        // Couverture pour les liseuses EPUB 2 (EPUB 3 utilise la propriété cover-image du manifeste)
+        if (base.epub2Cover) lines.push(`<meta name="cover" content="cover-image"/>`);
+
+        lines.push(`<meta property="dcterms:modified">${base.modified}</meta>`);
+        return lines.map(line => `\n        ${line}`).join('');
+    }
+
     /**
-     * Nettoie le HTML issu de markdown-it pour en faire un XHTML 1.1 strict.
-     * Les liseuses crashent si le XML est malformé.
+     * Contenu de la page de titre : série, titre, auteur, contributeurs, éditeur et ISBN.
      */
-    function sanitizeToXHTML(html) {
-        // CORRECTION : Restauration de la regex pour supprimer les numéros de ligne
-        let xhtml = html.replace(/data-source-line="\d+"/g, '');
-        
-        // CORRECTION : Restauration de la regex pour forcer la fermeture des balises HTML vides (br, hr, img)
-        xhtml = xhtml.replace(/<(br|hr|img)(*?)(?<!\/)>/gi, '<$1$2 />');
-        
-        return xhtml;
+    function buildTitlePage(metadata, title, author) {
+        const roles = window.AppStore.CONTRIBUTOR_ROLES;
+        let html = '<div class="title-page" style="text-align: center; margin-top: 20vh;">';
+
+        if (metadata.series) {
+            const index = metadata.seriesIndex ? `, tome ${escapeXml(String(metadata.seriesIndex))}` : '';
+            html += `\n                <p style="font-variant: small-caps;">${escapeXml(metadata.series)}${index}</p>`;
+        }
+        html += `
+                <h1 style="font-size: 2.5em;">${escapeXml(title)}</h1>
+                <h2 style="font-size: 1.5em; font-weight: normal;">${escapeXml(author)}</h2>`;
+
+        (metadata.contributors || []).filter(c => c.name && c.name.trim()).forEach(contributor => {
+            html += `\n                <p>${roles[contributor.role] || ''} : ${escapeXml(contributor.name.trim())}</p>`;
+        });
+
+        const year = metadata.pubDate ? metadata.pubDate.substring(0, 4) : '';
+        const imprint = [metadata.publisher, year].filter(Boolean).map(escapeXml).join(' · ');
+        if (imprint) html += `\n                <p style="margin-top: 4em;">${imprint}</p>`;
+        if (metadata.isbn) html += `\n                <p style="font-size: 0.8em;">ISBN ${escapeXml(metadata.isbn)}</p>`;
+
+        return html + '\n            </div>';
     }
 
     /**
      * Squelette de base pour tous les fichiers XHTML de l'EPUB.
+     * @param {string} title Titre du document (texte brut, échappé ici)
+     * @param {string} bodyContent Contenu XHTML déjà sérialisé
+     * @param {string} [bodyType] epub:type du <body> (frontmatter, bodymatter, backmatter...)
      */
-    function getXHTMLTemplate(title, bodyContent, lang) {
+    function getXHTMLTemplate(title, bodyContent, lang, bodyType) {
         return `<?xml version="1.0" encoding="utf-8"?>
-<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(lang)}" lang="${escapeXml(lang)}">
 <head>
     <meta charset="utf-8" />
-    <title>${title}</title>
+    <title>${escapeXml(title)}</title>
     <link rel="stylesheet" type="text/css" href="style.css" />
 </head>
-<body>
+<body${bodyType ? ` epub:type="${bodyType}"` : ''}>
 ${bodyContent}
 </body>
 </html>`;
@@ -57,29 +309,48 @@ ${bodyContent}
     window.EpubGenerator = {
 
         /**
-         * Orchestre la génération complète de l'EPUB.
+         * Génère puis télécharge l'EPUB (options d'export du livre), sans contrôle du paquet.
          */
         async generate() {
+            const book = await this.build();
+            if (book) await this.download(book);
+        },
+
+        /**
+         * Construit l'archive EPUB en mémoire selon les options d'export du livre (réglages epub*) :
+         * EPUB 3 seul ou compatible EPUB 2, page de titre, table des matières dans le livre, titre des chapitres.
+         * @returns {Promise<Object|null>} { zip, fileName, sources } où sources associe le chemin de chaque fichier
+         *          de chapitre ('OEBPS/chapter_1.xhtml') à { chapterId, chapterTitle, lines, content }
+         *          (lines : voir mapSourceLines ; content : source Markdown du chapitre),
+         *          ou null si le livre n'a rien à exporter
+         */
+        async build() {
             // Sécurité si l'AppStore a échoué à s'initialiser
-            if (!window.AppStore) return;
+            if (!window.AppStore) return null;
 
             const state = window.AppStore.getState();
+            // Chapitres exportés (éventuellement limités aux chapitres finalisés)
+            const exportChapters = window.AppStore.getExportChapters();
             
-            if (!state.chapters || state.chapters.length === 0) {
-                alert("Erreur : Le livre est vide. Ajoutez au moins un chapitre pour exporter.");
-                return;
+            if (exportChapters.length === 0) {
+                alert(state.settings.exportFinalOnly
+                    ? "Erreur : Aucun chapitre n'est marqué « Final ». Changez leur statut ou exportez tous les chapitres."
+                    : "Erreur : Le livre est vide. Ajoutez au moins un chapitre pour exporter.");
+                return null;
             }
 
             // Récupération des métadonnées avec valeurs par défaut
             const title = state.metadata.title.trim() || 'Livre sans titre';
             const author = state.metadata.author.trim() || 'Auteur inconnu';
             const lang = state.metadata.language.trim() || 'fr';
+            const options = readExportOptions(state.settings, title);
             
-            // Format ISO 8601 pour la date de publication
-            const dateISO = new Date().toISOString().split('.') + 'Z';
+            // Format ISO 8601 pour la date de modification (et de publication à défaut de date saisie)
+            const dateISO = new Date().toISOString().split('.')[0] + 'Z';
             const uuid = `urn:uuid:${generateUUID()}`;
 
             const zip = new JSZip();
+            const sources = new Map();
 
             // 1. Fichier mimetype (Doit être le premier, non compressé selon la spec EPUB)
             zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
@@ -95,111 +366,319 @@ ${bodyContent}
 
             const oebps = zip.folder("OEBPS");
 
-            // 3. Feuille de style commune
+            // 3. Feuille de style commune : mise en page propre à l'EPUB, puis modèle de style du livre
             const cssContent = `
-body { font-family: serif; line-height: 1.6; margin: 5%; text-align: justify; }
-h1, h2, h3 { font-family: sans-serif; color: #333; }
-h1 { text-align: center; margin-bottom: 2em; page-break-before: always; }
+body { line-height: 1.6; margin: 5%; }
+h1, h2, h3 { color: #333; }
+h1 { page-break-before: always; }
 h4.separator { text-align: center; margin: 2em 0; border-top: 1px solid #ccc; padding-top: 1em; }
+h1.part-title { margin-top: 30%; font-size: 2em; }
+h1 .chapter-number { display: block; font-size: 0.6em; font-weight: normal; text-transform: uppercase; letter-spacing: 0.1em; margin-bottom: 0.5em; }
 blockquote { border-left: 2px solid #666; padding-left: 1em; margin-left: 0; font-style: italic; }
 img { max-width: 100%; height: auto; }
-            `;
-            oebps.file("style.css", cssContent);
+section.dedication, section.epigraph { margin-top: 30%; font-style: italic; }
+section.dedication { text-align: center; }
+section.epigraph { margin-left: 30%; text-align: right; }
+section.copyright { margin-top: 60%; font-size: 0.8em; text-align: left; }
+section.copyright p { margin: 0.3em 0; }
+section.dedication p, section.epigraph p, section.copyright p, div.title-page p { text-indent: 0; }
+div.title-page h1, div.title-page h2 { text-align: center; margin-top: 0; }
+section.footnotes { margin-top: 2em; border-top: 1px solid #ccc; font-size: 0.85em; }
+aside.note p { margin: 0.5em 0; }
+a.footnote-backref { text-decoration: none; }
+`;
+            // Polices du livre : fichiers, règles @font-face et attribution aux rôles du texte (après le modèle)
+            const obfuscateFonts = !!state.settings.obfuscateFonts;
+            const fonts = await embedFonts(oebps, uuid, obfuscateFonts);
+            const fontCss = window.BookFonts.buildCss(fonts, { urlFor: font => `${FONT_DIR}${font.name}` });
+            oebps.file("style.css", cssContent + window.BookStyle.buildCss({ chapter: 'section.chapter', fontCss }));
+            if (obfuscateFonts && fonts.length > 0) {
+                zip.folder("META-INF").file("encryption.xml", buildEncryptionXml(fonts.map(font => `OEBPS/${FONT_DIR}${font.name}`)));
+            }
 
             // 4. Construction de la table des matières (NCX et Navigation EPUB 3)
             let ncxNavPoints = '';
             let epub3NavList = '';
+            // Le document de navigation est toujours déclaré (obligatoire en EPUB 3), même hors du fil de lecture
             let opfManifest = `
-        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
         <item id="toc" href="toc.xhtml" media-type="application/xhtml+xml" properties="nav"/>
-        <item id="titlepage" href="title.xhtml" media-type="application/xhtml+xml"/>
         <item id="css" href="style.css" media-type="text/css"/>`;
-            let opfSpine = `
-        <itemref idref="titlepage"/>
-        <itemref idref="toc"/>`;
-
-            // Page de titre
-            const titlePageHtml = `<div style="text-align: center; margin-top: 20vh;">
-                <h1 style="font-size: 2.5em;">${title}</h1>
-                <h2 style="font-size: 1.5em; font-weight: normal;">${author}</h2>
+            if (options.epub2) opfManifest = `
+        <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>` + opfManifest;
+            let opfSpine = '';
+            if (options.titlePage) {
+                opfManifest += `\n        <item id="titlepage" href="title.xhtml" media-type="application/xhtml+xml"/>`;
+                opfSpine += `\n        <itemref idref="titlepage"/>`;
+            }
+
+            // La table des matières suit les pages liminaires placées en tête du livre (dédicace, épigraphe...) :
+            // elle est insérée dans la spine juste avant la première page qui n'en est pas une.
+            let tocInSpine = false;
+            const addToSpine = (idref, isFrontMatter) => {
+                if (options.toc && !tocInSpine && !isFrontMatter) {
+                    opfSpine += `\n        <itemref idref="toc"/>`;
+                    tocInSpine = true;
+                }
+                opfSpine += `\n        <itemref idref="${idref}"/>`;
+            };
+            // Début du texte (repère bodymatter) : première page de partie ou premier chapitre du corps
+            let bodyStartHref = null;
+
+            // Fichier de chaque chapitre exporté (même numérotation que addChapter) pour les liens entre chapitres.
+            // Les titres portent l'identifiant du fichier en préfixe (docId) : chapter_3.xhtml#chapter_3-le-depart
+            const chapterFiles = new Map();
+            groupByPart(exportChapters, state.parts).forEach(group => {
+                group.chapters.forEach(chap => chapterFiles.set(chap.id, `chapter_${chapterFiles.size + 1}`));
+            });
+            const resolveTarget = window.ChapterLinks.createResolver(exportChapters);
+            const resolveChapterLink = (target) => {
+                const destination = resolveTarget(target);
+                if (!destination) return null;
+                const fileId = chapterFiles.get(destination.chapterId);
+                return destination.slug ? `${fileId}.xhtml#${fileId}-${destination.slug}` : `${fileId}.xhtml`;
+            };
+
+            // Notes regroupées en fin de livre (réglage du livre), par chapitre : [{ title, notes }]
+            const useEndnotes = !!state.settings.endnotes;
+            const endnotes = [];
+
+            // Page de titre (facultative)
+            if (options.titlePage) {
+                const titlePageHtml = buildTitlePage(state.metadata, title, author);
+                oebps.file("title.xhtml", getXHTMLTemplate(title, titlePageHtml, lang, 'titlepage'));
+            }
+
+            // Couverture (facultative) : image + page cover.xhtml placée en tête de spine
+            const cover = await window.AppStore.getCoverImage();
+            if (cover) {
+                const coverHref = `${window.Parser.IMAGE_DIR}${cover.name}`;
+                oebps.file(coverHref, dataUrlToBase64(cover.dataUrl), { base64: true });
+                opfManifest += `\n        <item id="cover-image" href="${escapeXml(coverHref)}" media-type="${cover.mediaType}" properties="cover-image"/>`;
+                opfManifest += `\n        <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>`;
+                opfSpine = `\n        <itemref idref="cover"/>` + opfSpine;
+
+                const coverHtml = `<div style="text-align: center; height: 100%;">
+                <img src="${escapeXml(coverHref)}" alt="${escapeXml(title)}" style="max-height: 100%; max-width: 100%;" />
             </div>`;
-            oebps.file("title.xhtml", getXHTMLTemplate(title, titlePageHtml, lang));
+                oebps.file("cover.xhtml", getXHTMLTemplate(title, coverHtml, lang, 'cover'));
+            }
 
-            // Parcours des chapitres
-            state.chapters.forEach((chap, index) => {
-                const playOrder = index + 1;
-                const fileId = `chapter_${playOrder}`;
-                const fileName = `${fileId}.xhtml`;
-                const safeTitle = chap.title.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            // Images référencées par les chapitres exportés (même chemin images/nom que dans le Markdown)
+            const imageNames = new Set();
+            exportChapters.forEach(chap => {
+                window.Parser.getImageReferences(window.AppStore.getChapterContent(chap.id)).forEach(name => imageNames.add(name));
+            });
+            const images = await window.AppStore.getImagesByName(Array.from(imageNames));
+            let imageNumber = 0;
+            images.forEach((image, name) => {
+                // La couverture réutilisée dans le texte est déjà déclarée
+                if (cover && name === cover.name) return;
+                imageNumber++;
+                const href = `${window.Parser.IMAGE_DIR}${name}`;
+                oebps.file(href, dataUrlToBase64(image.dataUrl), { base64: true });
+                opfManifest += `\n        <item id="image_${imageNumber}" href="${escapeXml(href)}" media-type="${image.mediaType}"/>`;
+            });
 
-                // Nav NCX (EPUB 2)
-                ncxNavPoints += `
-        <navPoint id="navPoint-${playOrder}" playOrder="${playOrder}">
-            <navLabel><text>${safeTitle}</text></navLabel>
-            <content src="${fileName}"/>
-        </navPoint>`;
+            fonts.forEach((font, index) => {
+                opfManifest += `\n        <item id="font_${index + 1}" href="${escapeXml(`${FONT_DIR}${font.name}`)}" media-type="${font.mediaType}"/>`;
+            });
+
+            // Parcours des chapitres, regroupés par partie
+            let playOrder = 0;
+            let chapterNumber = 0;
+            // Numérotation imprimée (styles « Chapitre N ») : seuls les chapitres de type « Chapitre » comptent
+            let storyNumber = 0;
+            let partNumber = 0;
+            const indent = (depth) => '    '.repeat(depth);
 
-                // Nav EPUB 3 (XHTML)
-                epub3NavList += `<li><a href="${fileName}">${safeTitle}</a></li>\n`;
+            // Écrit un chapitre et renvoie ses entrées de navigation au niveau d'imbrication donné
+            const addChapter = (chap, depth) => {
+                chapterNumber++;
+                playOrder++;
+                const fileId = `chapter_${chapterNumber}`;
+                const fileName = `${fileId}.xhtml`;
+                const safeTitle = escapeXml(chap.title);
+                const typeKey = window.AppStore.getChapterInfo(chap.id).type;
+                const type = window.AppStore.CHAPTER_TYPES[typeKey];
 
                 // OPF Registration
                 opfManifest += `\n        <item id="${fileId}" href="${fileName}" media-type="application/xhtml+xml"/>`;
-                opfSpine += `\n        <itemref idref="${fileId}"/>`;
+                addToSpine(fileId, type.matter === 'front');
+                if (!bodyStartHref && type.matter === 'body') bodyStartHref = fileName;
 
                 // Contenu du chapitre
                 const rawContent = window.AppStore.getChapterContent(chap.id);
-                const htmlContent = window.Parser.render(rawContent);
-                const xhtmlContent = sanitizeToXHTML(htmlContent);
+                const rendered = window.Parser.renderWithNotes(rawContent, useEndnotes
+                    ? { epub: true, docId: fileId, resolveChapterLink, noteType: 'endnote', notesHref: ENDNOTES_FILE, textHref: fileName }
+                    : { epub: true, docId: fileId, resolveChapterLink, noteType: 'footnote' });
+                // Les annotations data-source-line sont retirées une fois le fichier assemblé (correspondance des lignes)
+                let xhtmlContent = serializeToXHTML(rendered.body, true);
+                if (rendered.notes && useEndnotes) {
+                    endnotes.push({ title: safeTitle, notes: serializeToXHTML(rendered.notes) });
+                } else if (rendered.notes) {
+                    xhtmlContent += `\n<section epub:type="footnotes" class="footnotes">\n${serializeToXHTML(rendered.notes, true)}</section>`;
+                }
                 
-                // On ajoute systématiquement le h1 avec le titre du chapitre en tête
-                const bodyContent = `<h1>${safeTitle}</h1>\n${xhtmlContent}`;
-                oebps.file(fileName, getXHTMLTemplate(safeTitle, bodyContent, lang));
+                // Le h1 du titre est omis pour les pages qui n'en portent pas (dédicace, épigraphe, copyright)
+                let heading = type.showTitle ? `<h1>${safeTitle}</h1>\n` : '';
+                if (typeKey === 'chapter') heading = buildChapterHeading(safeTitle, options.headingStyle, ++storyNumber);
+                const epubType = EPUB_TYPES[typeKey] ? ` epub:type="${EPUB_TYPES[typeKey]}"` : '';
+                const bodyContent = `<section${epubType} class="${typeKey}">\n${heading}${xhtmlContent}\n</section>`;
+                const fileContent = getXHTMLTemplate(chap.title, bodyContent, lang, `${type.matter}matter`);
+                sources.set(`OEBPS/${fileName}`, { chapterId: chap.id, chapterTitle: chap.title, lines: mapSourceLines(fileContent), content: rawContent });
+                oebps.file(fileName, stripSourceLines(fileContent));
+
+                return {
+                    // Nav NCX (EPUB 2)
+                    ncx: `
+${indent(depth + 2)}<navPoint id="navPoint-${playOrder}" playOrder="${playOrder}">
+${indent(depth + 3)}<navLabel><text>${safeTitle}</text></navLabel>
+${indent(depth + 3)}<content src="${fileName}"/>
+${indent(depth + 2)}</navPoint>`,
+                    // Nav EPUB 3 (XHTML)
+                    nav: `${depth > 0 ? indent(depth + 3) : ''}<li><a href="${fileName}">${safeTitle}</a></li>\n`
+                };
+            };
+
+            groupByPart(exportChapters, state.parts).forEach(({ part, chapters }) => {
+                if (!part) {
+                    chapters.forEach(chap => {
+                        const entry = addChapter(chap, 0);
+                        ncxNavPoints += entry.ncx;
+                        epub3NavList += entry.nav;
+                    });
+                    return;
+                }
+
+                // Une partie sans page de titre ni chapitre n'a rien à afficher
+                const hasTitlePage = part.titlePage !== false;
+                if (!hasTitlePage && chapters.length === 0) return;
+
+                partNumber++;
+                const safePartTitle = escapeXml(part.title);
+                let partHref = null;
+                let partPlayOrder;
+
+                // Page de titre de la partie (optionnelle), insérée avant ses chapitres
+                if (hasTitlePage) {
+                    playOrder++;
+                    partPlayOrder = playOrder;
+                    const fileId = `part_${partNumber}`;
+                    partHref = `${fileId}.xhtml`;
+                    opfManifest += `\n        <item id="${fileId}" href="${partHref}" media-type="application/xhtml+xml"/>`;
+                    addToSpine(fileId, false);
+                    if (!bodyStartHref) bodyStartHref = partHref;
+                    oebps.file(partHref, getXHTMLTemplate(part.title, `<section epub:type="part">\n<h1 class="part-title">${safePartTitle}</h1>\n</section>`, lang, 'bodymatter'));
+                }
+
+                const entries = chapters.map(chap => addChapter(chap, 1));
+                if (!partHref) {
+                    // Sans page de titre, la partie pointe vers son premier chapitre
+                    partHref = `chapter_${chapterNumber - chapters.length + 1}.xhtml`;
+                    partPlayOrder = playOrder - chapters.length + 1;
+                }
+
+                ncxNavPoints += `
+        <navPoint id="navPoint-part-${partNumber}" playOrder="${partPlayOrder}">
+            <navLabel><text>${safePartTitle}</text></navLabel>
+            <content src="${partHref}"/>${entries.map(entry => entry.ncx).join('')}
+        </navPoint>`;
+
+                const subList = entries.length > 0
+                    ? `\n            <ol>\n${entries.map(entry => entry.nav).join('')}            </ol>\n        `
+                    : '';
+                epub3NavList += `<li><a href="${partHref}">${safePartTitle}</a>${subList}</li>\n`;
             });
 
+            // Chapitre des notes de fin, après tous les autres
+            if (endnotes.length > 0) {
+                playOrder++;
+                opfManifest += `\n        <item id="endnotes" href="${ENDNOTES_FILE}" media-type="application/xhtml+xml"/>`;
+                addToSpine('endnotes', false);
+                const notesHtml = endnotes.map(entry => `<h2>${entry.title}</h2>\n${entry.notes}`).join('\n');
+                oebps.file(ENDNOTES_FILE, getXHTMLTemplate("Notes", `<section epub:type="endnotes" class="endnotes">\n<h1>Notes</h1>\n${notesHtml}</section>`, lang, 'backmatter'));
+
+                ncxNavPoints += `
+        <navPoint id="navPoint-${playOrder}" playOrder="${playOrder}">
+            <navLabel><text>Notes</text></navLabel>
+            <content src="${ENDNOTES_FILE}"/>
+        </navPoint>`;
+                epub3NavList += `<li><a href="${ENDNOTES_FILE}">Notes</a></li>\n`;
+            }
+
+            // Livre composé uniquement de pages liminaires : la table des matières ferme la marche
+            if (options.toc && !tocInSpine) opfSpine += `\n        <itemref idref="toc"/>`;
+            if (!bodyStartHref) bodyStartHref = 'chapter_1.xhtml';
+
+            // Profondeur réelle de la navigation (2 dès qu'une partie contient des chapitres)
+            const navDepth = exportChapters.some(chap => chap.partId) ? 2 : 1;
+
             // 5. Génération du toc.ncx
             const ncxContent = `<?xml version="1.0" encoding="UTF-8"?>
 <ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
     <head>
         <meta name="dtb:uid" content="${uuid}"/>
-        <meta name="dtb:depth" content="1"/>
+        <meta name="dtb:depth" content="${navDepth}"/>
         <meta name="dtb:totalPageCount" content="0"/>
         <meta name="dtb:maxPageNumber" content="0"/>
     </head>
-    <docTitle><text>${title.replace(/&/g, '&amp;')}</text></docTitle>
-    <docAuthor><text>${author.replace(/&/g, '&amp;')}</text></docAuthor>
+    <docTitle><text>${escapeXml(title)}</text></docTitle>
+    <docAuthor><text>${escapeXml(author)}</text></docAuthor>
     <navMap>${ncxNavPoints}
     </navMap>
 </ncx>`;
-            oebps.file("toc.ncx", ncxContent);
+            if (options.epub2) oebps.file("toc.ncx", ncxContent);
 
             // 6. Génération du toc.xhtml (Navigation EPUB 3)
+            // Repères (landmarks) : couverture, table des matières (si elle est dans le livre) et début du texte
+            const landmarks = [
+                cover ? `<li><a epub:type="cover" href="cover.xhtml">Couverture</a></li>` : '',
+                options.toc ? `<li><a epub:type="toc" href="toc.xhtml#toc">Table des matières</a></li>` : '',
+                `<li><a epub:type="bodymatter" href="${bodyStartHref}">Début du texte</a></li>`
+            ].filter(Boolean).join('\n        ');
+
             const tocHtml = `<h1>Table des matières</h1>
 <nav epub:type="toc" id="toc">
     <ol>
         ${epub3NavList}
     </ol>
+</nav>
+<nav epub:type="landmarks" id="landmarks" hidden="hidden">
+    <h2>Repères</h2>
+    <ol>
+        ${landmarks}
+    </ol>
 </nav>`;
+
+            // Équivalent EPUB 2 des repères (compatibilité EPUB 2 seulement)
+            const guide = [
+                cover ? `<reference type="cover" title="Couverture" href="cover.xhtml"/>` : '',
+                options.titlePage ? `<reference type="title-page" title="Page de titre" href="title.xhtml"/>` : '',
+                options.toc ? `<reference type="toc" title="Table des matières" href="toc.xhtml"/>` : '',
+                `<reference type="text" title="Début du texte" href="${bodyStartHref}"/>`
+            ].filter(Boolean).map(line => `\n        ${line}`).join('');
+            const guideBlock = options.epub2 ? `\n    <guide>${guide}\n    </guide>` : '';
             oebps.file("toc.xhtml", getXHTMLTemplate("Table des matières", tocHtml, lang));
 
             // 7. Génération de l'OPF (content.opf)
             const opfContent = `<?xml version="1.0" encoding="UTF-8"?>
 <package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="pub-id">
-    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
-        <dc:identifier id="pub-id">${uuid}</dc:identifier>
-        <dc:title>${title.replace(/&/g, '&amp;')}</dc:title>
-        <dc:creator>${author.replace(/&/g, '&amp;')}</dc:creator>
-        <dc:language>${lang}</dc:language>
-        <dc:date>${dateISO}</dc:date>
-        <meta property="dcterms:modified">${dateISO}</meta>
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">${buildOpfMetadata(state.metadata, { uuid, title, author, lang, modified: dateISO, epub2Cover: !!cover && options.epub2 })}
     </metadata>
     <manifest>${opfManifest}
     </manifest>
-    <spine toc="ncx">${opfSpine}
-    </spine>
+    <spine${options.epub2 ? ' toc="ncx"' : ''}>${opfSpine}
+    </spine>${guideBlock}
 </package>`;
             oebps.file("content.opf", opfContent);
 
-            // 8. Compression et téléchargement
+            return { zip, fileName: options.fileName, sources };
+        },
+
+        /**
+         * Compresse une archive construite par build() et déclenche son téléchargement.
+         */
+        async download({ zip, fileName }) {
             try {
                 const blob = await zip.generateAsync({ 
                     type: "blob",
@@ -208,11 +687,7 @@ img { max-width: 100%; height: auto; }
                     compressionOptions: { level: 9 }
                 });
 
-                // CORRECTION : Restauration de la regex de nettoyage du nom de fichier
-                let fileName = title.replace(//g, '').trim().replace(/\s+/g, '_');
-                if (!fileName) fileName = 'livre';
-                
-                saveAs(blob, `${fileName}.epub`);
+                saveAs(blob, fileName);
                 
             } catch (err) {
                 console.error("Erreur lors de la création de l'EPUB :", err);
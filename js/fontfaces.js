@@ -0,0 +1,139 @@
+/**
+ * fontfaces.js
+ * Polices embarquées du livre.
+ * Responsabilités : Reconnaître les polices importées (TTF, OTF, WOFF), les associer aux rôles du texte
+ * (texte courant, titres, dialogues), produire les règles @font-face et font-family communes
+ * à la prévisualisation et à l'EPUB, et obscurcir les fichiers selon l'algorithme de l'IDPF.
+ */
+
+(function() {
+    'use strict';
+
+    // Rôles du texte : réglage du livre (identifiant de la police attribuée), éléments visés et police de repli.
+    // Le sélecteur vide désigne la racine du texte (body dans l'EPUB, la zone de prévisualisation sinon).
+    const FONT_ROLES = {
+        body: { label: 'Texte courant', setting: 'fontBody', selector: '', fallback: 'serif' },
+        headings: { label: 'Titres', setting: 'fontHeadings', selector: 'h1, h2, h3, h4, h5, h6', fallback: 'sans-serif' },
+        dialogue: { label: 'Dialogues', setting: 'fontDialogue', selector: 'p.dialogue', fallback: 'serif' }
+    };
+
+    // Type de police d'après l'extension (les navigateurs n'en fournissent généralement pas pour ces fichiers)
+    const FONT_EXTENSIONS = { ttf: 'font/ttf', otf: 'font/otf', woff: 'font/woff' };
+
+    // Format annoncé dans src: url(...) format(...)
+    const CSS_FORMATS = { 'font/ttf': 'truetype', 'font/otf': 'opentype', 'font/woff': 'woff' };
+
+    // L'algorithme de l'IDPF n'obscurcit que le début du fichier
+    const OBFUSCATED_LENGTH = 1040;
+
+    /**
+     * Nom de famille CSS d'une police, tiré de son nom de ressource (sûr et unique dans le livre) :
+     * « Garamond.otf » -> « Garamond-otf ».
+     */
+    function familyName(font) {
+        return `${font.name.replace(/\.[^.]+$/, '')}-${font.name.split('.').pop()}`;
+    }
+
+    /**
+     * Décode une data URL base64 en octets.
+     */
+    function dataUrlToBytes(dataUrl) {
+        const binary = atob(dataUrl.substring(dataUrl.indexOf(',') + 1));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.BookFonts)
+    // ========================================================================
+    window.BookFonts = {
+        FONT_ROLES,
+        dataUrlToBytes,
+
+        /**
+         * Renvoie le type d'une police d'après son nom de fichier, ou null si le format n'est pas pris en charge.
+         */
+        getFontMediaType(fileName) {
+            const extension = fileName.split('.').pop().toLowerCase();
+            return FONT_EXTENSIONS[extension] || null;
+        },
+
+        /**
+         * Liste les polices du livre ouvert.
+         */
+        listFonts() {
+            return window.AppStore.listAssets().filter(asset => window.AppStore.FONT_MEDIA_TYPES.includes(asset.mediaType));
+        },
+
+        /**
+         * Liste les polices attribuées à au moins un rôle : seules celles-ci sont embarquées.
+         */
+        getUsedFonts() {
+            const settings = window.AppStore.getState().settings;
+            const usedIds = new Set(Object.values(FONT_ROLES).map(role => settings[role.setting]).filter(Boolean));
+            return this.listFonts().filter(font => usedIds.has(font.id));
+        },
+
+        /**
+         * Produit les règles @font-face des polices données et l'attribution de chaque rôle.
+         * @param {Array} fonts Polices à déclarer (ressources du livre)
+         * @param {Object} options { urlFor: (police) => adresse du fichier, scope: sélecteur de la zone de texte (défaut : body) }
+         * @returns {string} Feuille de style ('' si aucune police n'est attribuée)
+         */
+        buildCss(fonts, { urlFor, scope = '' }) {
+            const settings = window.AppStore.getState().settings;
+            const byId = new Map(fonts.map(font => [font.id, font]));
+
+            const faces = fonts.map(font => `@font-face { font-family: "${familyName(font)}"; `
+                + `src: url("${urlFor(font)}") format("${CSS_FORMATS[font.mediaType]}"); }`);
+
+            const rules = Object.values(FONT_ROLES)
+                .filter(role => byId.has(settings[role.setting]))
+                .map(role => {
+                    const selector = role.selector
+                        ? role.selector.split(',').map(part => (scope ? `${scope} ${part.trim()}` : part.trim())).join(', ')
+                        : (scope || 'body');
+                    return `${selector} { font-family: "${familyName(byId.get(settings[role.setting]))}", ${role.fallback}; }`;
+                });
+
+            return faces.concat(rules).map(line => `${line}\n`).join('');
+        },
+
+        /**
+         * Règles des polices attribuées, fichiers intégrés en data URL (prévisualisation, export HTML autonome).
+         * @param {string} scope Sélecteur de la zone du texte
+         * @returns {Promise<string>}
+         */
+        async buildInlineCss(scope) {
+            const fonts = [];
+            const dataUrls = new Map();
+            for (const font of this.getUsedFonts()) {
+                const dataUrl = await window.AppStore.getAssetData(font.id);
+                if (!dataUrl) continue;
+                fonts.push(font);
+                dataUrls.set(font.id, dataUrl);
+            }
+            return this.buildCss(fonts, { urlFor: font => dataUrls.get(font.id), scope });
+        },
+
+        /**
+         * Obscurcit (ou rétablit, l'opération étant symétrique) une police selon l'algorithme de l'IDPF :
+         * les 1040 premiers octets sont combinés (XOR) avec l'empreinte SHA-1 de l'identifiant unique du livre.
+         * @param {Uint8Array} bytes Fichier de la police
+         * @param {string} uniqueIdentifier Valeur du dc:identifier désigné par unique-identifier
+         * @returns {Promise<Uint8Array>} Copie obscurcie du fichier
+         */
+        async obfuscate(bytes, uniqueIdentifier) {
+            // Les espaces, tabulations et retours à la ligne ne font pas partie de la clé
+            const identifier = uniqueIdentifier.replace(/[ \u0009\u000D\u000A]/g, '');
+            const key = new Uint8Array(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(identifier)));
+
+            const result = new Uint8Array(bytes);
+            const length = Math.min(OBFUSCATED_LENGTH, result.length);
+            for (let i = 0; i < length; i++) result[i] ^= key[i % key.length];
+            return result;
+        }
+    };
+
+})();
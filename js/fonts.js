@@ -0,0 +1,201 @@
+/**
+ * fonts.js
+ * Composant UI des polices du livre.
+ * Responsabilités : Ajouter des polices (TTF, OTF, WOFF) aux ressources du livre, les lister avec leur utilisation,
+ * les attribuer au texte courant, aux titres et aux dialogues, régler leur obscurcissement dans l'EPUB
+ * et supprimer des polices.
+ */
+
+(function() {
+    'use strict';
+
+    const btnFonts = document.getElementById('btn-fonts');
+    const fontsDialog = document.getElementById('fonts-dialog');
+    const fontsSummary = document.getElementById('fonts-summary');
+    const fontList = document.getElementById('font-list');
+    const btnAddFont = document.getElementById('btn-add-font');
+    const fileFont = document.getElementById('file-font');
+    const fontRoles = document.getElementById('font-roles');
+    const inputObfuscate = document.getElementById('font-obfuscate');
+    const btnCloseFonts = document.getElementById('btn-close-fonts');
+
+    function formatSize(bytes) {
+        return `${(bytes / 1024).toFixed(1)} Ko`;
+    }
+
+    /**
+     * Lit un fichier de police en data URL typée (le type fourni par le navigateur est souvent vide).
+     */
+    function readFontAsDataUrl(file, mediaType) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(`data:${mediaType};base64,${reader.result.substring(reader.result.indexOf(',') + 1)}`);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    function createFontItem(font, roleLabels) {
+        const li = document.createElement('li');
+        li.className = 'asset-item';
+        li.setAttribute('data-id', font.id);
+
+        const info = document.createElement('div');
+        info.className = 'asset-info';
+
+        const name = document.createElement('span');
+        name.className = 'asset-name';
+        name.textContent = font.name;
+
+        const details = document.createElement('span');
+        details.className = 'asset-reference';
+        details.textContent = `${font.mediaType.replace('font/', '').toUpperCase()} · ${formatSize(font.size)}`;
+
+        const usage = document.createElement('span');
+        usage.className = 'asset-usage';
+        if (roleLabels.length > 0) {
+            usage.textContent = `Utilisée pour : ${roleLabels.join(', ')}`;
+        } else {
+            usage.textContent = 'Inutilisée (non embarquée dans l\'EPUB)';
+            li.classList.add('unused');
+        }
+
+        info.appendChild(name);
+        info.appendChild(details);
+        info.appendChild(usage);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'asset-delete';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Supprimer cette police du livre';
+
+        li.appendChild(info);
+        li.appendChild(deleteBtn);
+        return li;
+    }
+
+    /**
+     * Reconstruit la liste des polices, les listes d'attribution et l'option d'obscurcissement.
+     */
+    function renderFonts() {
+        const settings = window.AppStore.getState().settings;
+        const fonts = window.BookFonts.listFonts();
+        const roles = Object.entries(window.BookFonts.FONT_ROLES);
+
+        fontList.innerHTML = '';
+        fonts.forEach(font => {
+            const roleLabels = roles.filter(([, role]) => settings[role.setting] === font.id).map(([, role]) => role.label);
+            fontList.appendChild(createFontItem(font, roleLabels));
+        });
+
+        fontRoles.querySelectorAll('select').forEach(select => {
+            const role = window.BookFonts.FONT_ROLES[select.getAttribute('data-role')];
+            select.innerHTML = '';
+            select.appendChild(new Option('Police par défaut', ''));
+            fonts.forEach(font => select.appendChild(new Option(font.name, font.id)));
+            select.value = settings[role.setting];
+            select.disabled = fonts.length === 0;
+        });
+
+        inputObfuscate.checked = !!settings.obfuscateFonts;
+
+        fontsSummary.textContent = fonts.length === 0
+            ? 'Aucune police. Ajoutez un fichier TTF, OTF ou WOFF pour l\'attribuer au texte.'
+            : `${fonts.length} police(s). Seules les polices attribuées sont embarquées dans l'EPUB.`;
+    }
+
+    async function addFonts(files) {
+        for (const file of files) {
+            const mediaType = window.BookFonts.getFontMediaType(file.name);
+            if (!mediaType) {
+                alert(`Format de police non pris en charge : ${file.name}\nFormats acceptés : TTF, OTF, WOFF.`);
+                continue;
+            }
+            try {
+                await window.AppStore.addAsset({ name: file.name, mediaType, dataUrl: await readFontAsDataUrl(file, mediaType) });
+            } catch (err) {
+                console.error("Erreur lors de l'ajout d'une police :", err);
+                alert(`Erreur lors de la lecture de la police ${file.name}.`);
+            }
+        }
+    }
+
+    // Une ligne d'attribution par rôle du texte (fixes)
+    Object.entries(window.BookFonts.FONT_ROLES).forEach(([key, role]) => {
+        const row = document.createElement('div');
+        row.className = 'info-row';
+
+        const label = document.createElement('label');
+        label.htmlFor = `font-role-${key}`;
+        label.textContent = role.label;
+
+        const select = document.createElement('select');
+        select.id = `font-role-${key}`;
+        select.setAttribute('data-role', key);
+
+        row.appendChild(label);
+        row.appendChild(select);
+        fontRoles.appendChild(row);
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    btnFonts.addEventListener('click', () => {
+        renderFonts();
+        fontsDialog.showModal();
+    });
+
+    btnCloseFonts.addEventListener('click', () => fontsDialog.close());
+
+    btnAddFont.addEventListener('click', () => fileFont.click());
+
+    fileFont.addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files);
+        // Réinitialisation de la valeur pour permettre d'ajouter à nouveau le même fichier
+        e.target.value = '';
+        await addFonts(files);
+    });
+
+    fontRoles.addEventListener('change', (e) => {
+        const role = window.BookFonts.FONT_ROLES[e.target.getAttribute('data-role')];
+        if (role) window.AppStore.updateSettings({ [role.setting]: e.target.value });
+    });
+
+    inputObfuscate.addEventListener('change', () => {
+        window.AppStore.updateSettings({ obfuscateFonts: inputObfuscate.checked });
+    });
+
+    fontList.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.asset-delete');
+        if (!deleteBtn) return;
+
+        const item = deleteBtn.closest('.asset-item');
+        const name = item.querySelector('.asset-name').textContent;
+        const warning = item.classList.contains('unused')
+            ? ''
+            : '\nElle est encore attribuée : le texte reprendra la police par défaut.';
+        if (confirm(`Supprimer la police « ${name} » ?${warning}`)) {
+            window.AppStore.deleteAsset(item.getAttribute('data-id'));
+        }
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    ['app:assets-updated', 'app:settings-updated', 'app:book-synced'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (fontsDialog.open) renderFonts();
+        });
+    });
+
+    // La liste porte sur le livre ouvert : on la ferme si le livre change
+    ['app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (fontsDialog.open) fontsDialog.close();
+        });
+    });
+
+})();
@@ -0,0 +1,708 @@
+/**
+ * importer.js
+ * Import de livres produits par d'autres outils.
+ * Responsabilités : Lire une archive EPUB (container.xml -> OPF -> spine), convertir chaque document XHTML
+ * en chapitre Markdown, et extraire les métadonnées principales, la couverture et les images ;
+ * lire un manuscrit Word (word/document.xml) et le découper en chapitres selon un niveau de titre.
+ */
+
+(function() {
+    'use strict';
+
+    // Éléments de bloc : leur contenu est séparé du reste par une ligne vide
+    const BLOCK_TAGS = new Set(['div', 'section', 'article', 'aside', 'header', 'footer', 'main', 'body', 'figure', 'nav', 'table', 'tr', 'dl', 'dd', 'dt']);
+    // Pages de service générées par l'outil d'origine (epub:type ou référence EPUB 2 du <guide>)
+    const SERVICE_PAGE_TYPES = new Set(['cover', 'titlepage', 'title-page', 'toc']);
+    // Notes (epub:type) et documents qui ne contiennent que des notes (notes de fin regroupées)
+    const NOTE_TYPES = new Set(['footnote', 'endnote', 'rearnote', 'note']);
+    const NOTES_PAGE_TYPES = new Set(['footnotes', 'endnotes', 'rearnotes']);
+    // Éléments sans contenu textuel utile
+    const IGNORED_TAGS = new Set(['head', 'title', 'script', 'style', 'svg']);
+
+    /**
+     * Analyse un document XML (OPF, XHTML). Les documents XHTML mal formés sont relus comme HTML.
+     */
+    function parseXml(text, fallbackToHtml = false) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(text, fallbackToHtml ? 'application/xhtml+xml' : 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length === 0) return doc;
+        if (fallbackToHtml) return parser.parseFromString(text, 'text/html');
+        throw new Error("Document XML illisible dans l'archive.");
+    }
+
+    function firstByName(root, localName) {
+        return root.getElementsByTagNameNS('*', localName)[0] || null;
+    }
+
+    function hasEpubType(element, types) {
+        return (element.getAttribute('epub:type') || '').split(/\s+/).some(type => types.has(type));
+    }
+
+    /**
+     * Résout un chemin relatif (href d'un document) par rapport au dossier d'un fichier de l'archive.
+     */
+    function resolvePath(basePath, href) {
+        const segments = basePath.split('/').slice(0, -1);
+        decodeURIComponent(href.split('#')[0]).split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment !== '.' && segment !== '') {
+                segments.push(segment);
+            }
+        });
+        return segments.join('/');
+    }
+
+    /**
+     * Clé « chemin#ancre » de la cible d'un lien (un lien « #ancre » vise le document lui-même).
+     */
+    function resolveTarget(basePath, href) {
+        const hashIndex = href.indexOf('#');
+        if (hashIndex === -1) return null;
+        const path = hashIndex === 0 ? basePath : resolvePath(basePath, href.slice(0, hashIndex));
+        return `${path}#${decodeURIComponent(href.slice(hashIndex + 1))}`;
+    }
+
+    function escapeMarkdown(text) {
+        return text.replace(/([\\`*_[\]])/g, '\\$1');
+    }
+
+    /**
+     * Entoure un contenu en ligne de marqueurs d'emphase en laissant les espaces à l'extérieur.
+     */
+    function wrapInline(content, marker) {
+        const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+    }
+
+    /**
+     * Convertisseur XHTML -> Markdown (sous-ensemble utile d'un livre : titres, paragraphes, emphase,
+     * citations, listes, code, images, liens externes et notes).
+     * @param {Function} resolveImage (src) => nom de l'image importée, ou null
+     * @param {Function} resolveNote (href) => élément de la note visée par un appel de note, ou null
+     */
+    function createConverter(resolveImage, resolveNote) {
+        // Notes appelées par le document converti, dans l'ordre des appels
+        let noteNumbers = new Map();
+
+        function convertChildren(node) {
+            return Array.from(node.childNodes).map(convertNode).join('');
+        }
+
+        // Contenu en ligne d'un bloc : sans espaces superflus en début et fin de ligne
+        function inline(node) {
+            return convertChildren(node).replace(/ *\n */g, '\n').trim();
+        }
+
+        function convertList(node, ordered) {
+            const items = Array.from(node.children).filter(child => child.localName.toLowerCase() === 'li');
+            const lines = items.map((item, index) => {
+                const marker = ordered ? `${index + 1}. ` : '- ';
+                const content = convertChildren(item).replace(/\n{3,}/g, '\n\n').trim();
+                // Les lignes suivantes d'un élément sont indentées sous son marqueur
+                return marker + content.split('\n').join(`\n${' '.repeat(marker.length)}`).replace(/\n +\n/g, '\n\n');
+            });
+            return `\n\n${lines.join('\n')}\n\n`;
+        }
+
+        function convertNode(node) {
+            if (node.nodeType === 3) return escapeMarkdown(node.nodeValue.replace(/\s+/g, ' '));
+            if (node.nodeType !== 1) return '';
+
+            const tag = node.localName.toLowerCase();
+            // Les notes sont reportées en fin de chapitre (définitions [^n]: ...)
+            if (IGNORED_TAGS.has(tag) || hasEpubType(node, NOTE_TYPES)) return '';
+
+            const heading = tag.match(/^h([1-6])$/);
+            if (heading) return `\n\n${'#'.repeat(Number(heading[1]))} ${inline(node).replace(/\n/g, ' ')}\n\n`;
+            if (BLOCK_TAGS.has(tag)) return `\n\n${convertChildren(node)}\n\n`;
+
+            switch (tag) {
+                case 'p':
+                    return `\n\n${inline(node)}\n\n`;
+                case 'figcaption':
+                    return `\n\n${wrapInline(inline(node), '*')}\n\n`;
+                case 'br':
+                    return '\n';
+                case 'hr':
+                    return '\n\n* * *\n\n';
+                case 'em':
+                case 'i':
+                case 'cite':
+                    return wrapInline(convertChildren(node), '*');
+                case 'strong':
+                case 'b':
+                    return wrapInline(convertChildren(node), '**');
+                case 'code':
+                    return node.textContent ? `\`${node.textContent}\`` : '';
+                case 'pre':
+                    return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+                case 'blockquote': {
+                    const content = convertChildren(node).replace(/\n{3,}/g, '\n\n').trim();
+                    return `\n\n${content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+                }
+                case 'ul':
+                    return convertList(node, false);
+                case 'ol':
+                    return convertList(node, true);
+                case 'a': {
+                    const href = node.getAttribute('href') || '';
+                    const note = resolveNote(href);
+                    if (note) {
+                        if (!noteNumbers.has(note)) noteNumbers.set(note, noteNumbers.size + 1);
+                        return `[^${noteNumbers.get(note)}]`;
+                    }
+                    // Lien retour d'une note vers son appel
+                    if (node.classList.contains('footnote-backref') || hasEpubType(node, new Set(['backlink']))) return '';
+
+                    const text = convertChildren(node);
+                    // Les liens internes à l'EPUB ne survivent pas au découpage : seul le texte est gardé
+                    return /^(https?:|mailto:)/i.test(href) && text.trim() ? `[${text.trim()}](${href})` : text;
+                }
+                case 'img': {
+                    const name = resolveImage(node.getAttribute('src'));
+                    return name ? window.Parser.imageReference(name, node.getAttribute('alt') || '') : '';
+                }
+                default:
+                    return convertChildren(node);
+            }
+        }
+
+        function normalize(markdown) {
+            return markdown
+                .replace(/[ \t]+\n/g, '\n')
+                .replace(/\n\s*\n/g, '\n\n')
+                .trim();
+        }
+
+        return function toMarkdown(root) {
+            noteNumbers = new Map();
+            let markdown = normalize(convertChildren(root));
+
+            // Définitions des notes (une note peut en appeler une autre : la liste grandit pendant la boucle)
+            const definitions = [];
+            for (const [note, number] of noteNumbers) {
+                const content = normalize(convertChildren(note)).split('\n').join('\n    ');
+                definitions.push(`[^${number}]: ${content}`.replace(/\n +\n/g, '\n\n'));
+            }
+            if (definitions.length > 0) markdown += `\n\n${definitions.join('\n\n')}`;
+            return markdown;
+        };
+    }
+
+    async function readZipText(zip, path) {
+        const entry = zip.file(path);
+        if (!entry) throw new Error(`Fichier absent de l'archive : ${path}`);
+        return entry.async('string');
+    }
+
+    // ========================================================================
+    // MANUSCRITS WORD (DOCX)
+    // ========================================================================
+
+    // Types MIME des images d'un document Word, d'après leur extension (les formats EMF/WMF et WebP sont ignorés)
+    const DOCX_IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', svg: 'image/svg+xml' };
+    // Conteneurs dont les runs font partie du texte (liens, révisions acceptées, champs, balises intelligentes)
+    const DOCX_RUN_CONTAINERS = new Set(['hyperlink', 'ins', 'smartTag', 'fldSimple', 'sdt', 'sdtContent']);
+
+    function wChild(element, localName) {
+        return Array.from(element.children).find(child => child.localName === localName) || null;
+    }
+
+    function wVal(element) {
+        return element ? element.getAttribute('w:val') : null;
+    }
+
+    // Propriété booléenne Word : <w:b/> est actif, <w:b w:val="0"/> ne l'est pas
+    function isOn(element) {
+        if (!element) return false;
+        const value = element.getAttribute('w:val');
+        return value === null || !['0', 'false', 'off'].includes(value);
+    }
+
+    /**
+     * Styles du document : niveau de titre (niveau hiérarchique ou style « heading N »), style « Title »,
+     * gras et italique des styles de caractères. L'héritage (basedOn) est résolu.
+     * @returns {Map<string, {level: number, isTitle: boolean, bold: boolean, italic: boolean}>}
+     */
+    function readDocxStyles(doc) {
+        const raw = new Map();
+        if (doc) {
+            Array.from(doc.getElementsByTagNameNS('*', 'style')).forEach(style => {
+                const pPr = wChild(style, 'pPr');
+                const rPr = wChild(style, 'rPr');
+                const outline = pPr ? wVal(wChild(pPr, 'outlineLvl')) : null;
+                const name = (wVal(wChild(style, 'name')) || '').toLowerCase();
+                const heading = name.match(/^heading\s*([1-6])$/);
+                raw.set(style.getAttribute('w:styleId'), {
+                    basedOn: wVal(wChild(style, 'basedOn')),
+                    level: outline !== null && Number(outline) < 6 ? Number(outline) + 1 : (heading ? Number(heading[1]) : 0),
+                    isTitle: name === 'title',
+                    bold: rPr ? isOn(wChild(rPr, 'b')) : false,
+                    italic: rPr ? isOn(wChild(rPr, 'i')) : false
+                });
+            });
+        }
+
+        const resolved = new Map();
+        const resolve = (id, depth = 0) => {
+            if (resolved.has(id)) return resolved.get(id);
+            const style = raw.get(id);
+            if (!style) return { level: 0, isTitle: false, bold: false, italic: false };
+            const parent = style.basedOn && depth < 10 ? resolve(style.basedOn, depth + 1) : null;
+            const result = {
+                level: style.level || (parent && !style.isTitle ? parent.level : 0),
+                isTitle: style.isTitle || (!!parent && parent.isTitle),
+                bold: style.bold || (!!parent && parent.bold),
+                italic: style.italic || (!!parent && parent.italic)
+            };
+            resolved.set(id, result);
+            return result;
+        };
+        raw.forEach((style, id) => resolve(id));
+        return resolved;
+    }
+
+    /**
+     * Numérotation des listes : numId -> (niveau -> liste numérotée ou à puces).
+     * @returns {Map<string, Map<string, boolean>>}
+     */
+    function readDocxNumbering(doc) {
+        const numbering = new Map();
+        if (!doc) return numbering;
+
+        const abstracts = new Map();
+        Array.from(doc.getElementsByTagNameNS('*', 'abstractNum')).forEach(abstract => {
+            const levels = new Map();
+            Array.from(abstract.getElementsByTagNameNS('*', 'lvl')).forEach(lvl => {
+                levels.set(lvl.getAttribute('w:ilvl'), wVal(wChild(lvl, 'numFmt')) !== 'bullet');
+            });
+            abstracts.set(abstract.getAttribute('w:abstractNumId'), levels);
+        });
+        Array.from(doc.getElementsByTagNameNS('*', 'num')).forEach(num => {
+            numbering.set(num.getAttribute('w:numId'), abstracts.get(wVal(wChild(num, 'abstractNumId'))) || new Map());
+        });
+        return numbering;
+    }
+
+    /**
+     * Relations d'une partie du document (images, liens) : identifiant -> { target, external }.
+     */
+    function readDocxRelationships(doc, basePath) {
+        const relationships = new Map();
+        if (!doc) return relationships;
+        Array.from(doc.getElementsByTagNameNS('*', 'Relationship')).forEach(rel => {
+            const target = rel.getAttribute('Target') || '';
+            const external = rel.getAttribute('TargetMode') === 'External';
+            relationships.set(rel.getAttribute('Id'), {
+                type: rel.getAttribute('Type') || '',
+                external,
+                target: external ? target : (target.startsWith('/') ? target.slice(1) : resolvePath(basePath, target))
+            });
+        });
+        return relationships;
+    }
+
+    async function readOptionalXml(zip, path) {
+        return zip.file(path) ? parseXml(await zip.file(path).async('string')) : null;
+    }
+
+    /**
+     * Convertisseur de paragraphes Word -> Markdown en ligne (gras, italique, sauts de ligne, appels de note, images).
+     * @param {Object} context { styles, resolveImage(relId, alt) => Markdown, noteRefs: Set des notes appelées }
+     */
+    function createDocxConverter(context) {
+        // Segments d'un paragraphe : texte mis en forme, ou Markdown déjà produit (image, note, saut de ligne)
+        function collectSegments(container, segments) {
+            Array.from(container.children).forEach(child => {
+                const tag = child.localName;
+                if (tag === 'r') {
+                    collectRun(child, segments);
+                } else if (DOCX_RUN_CONTAINERS.has(tag)) {
+                    collectSegments(child, segments);
+                }
+            });
+            return segments;
+        }
+
+        function collectRun(run, segments) {
+            const rPr = wChild(run, 'rPr');
+            const charStyle = rPr ? context.styles.get(wVal(wChild(rPr, 'rStyle'))) : null;
+            const bold = (rPr && wChild(rPr, 'b')) ? isOn(wChild(rPr, 'b')) : !!(charStyle && charStyle.bold);
+            const italic = (rPr && wChild(rPr, 'i')) ? isOn(wChild(rPr, 'i')) : !!(charStyle && charStyle.italic);
+            const addText = (text) => segments.push({ text, bold, italic });
+
+            Array.from(run.children).forEach(child => {
+                switch (child.localName) {
+                    case 't':
+                        addText(child.textContent);
+                        break;
+                    case 'tab':
+                        addText(' ');
+                        break;
+                    case 'noBreakHyphen':
+                        addText('-');
+                        break;
+                    case 'br':
+                        // Les sauts de page et de colonne n'ont pas d'équivalent dans le texte
+                        if (!child.getAttribute('w:type') || child.getAttribute('w:type') === 'textWrapping') segments.push({ markdown: '\\\n' });
+                        break;
+                    case 'footnoteReference':
+                    case 'endnoteReference': {
+                        const key = `${child.localName === 'footnoteReference' ? 'fn' : 'en'}${child.getAttribute('w:id')}`;
+                        context.noteRefs.add(key);
+                        segments.push({ markdown: `[^${key}]` });
+                        break;
+                    }
+                    case 'drawing':
+                    case 'pict': {
+                        const blip = child.getElementsByTagNameNS('*', 'blip')[0];
+                        const imageData = child.getElementsByTagNameNS('*', 'imagedata')[0];
+                        const relId = blip ? blip.getAttribute('r:embed') : (imageData ? imageData.getAttribute('r:id') : null);
+                        const docPr = child.getElementsByTagNameNS('*', 'docPr')[0];
+                        const alt = docPr ? (docPr.getAttribute('descr') || docPr.getAttribute('title') || '') : '';
+                        const image = relId ? context.resolveImage(relId, alt) : '';
+                        if (image) segments.push({ markdown: image });
+                        break;
+                    }
+                }
+            });
+        }
+
+        /**
+         * Markdown en ligne d'un paragraphe (les runs consécutifs de même mise en forme sont fusionnés).
+         */
+        return function convertParagraph(paragraph) {
+            const merged = [];
+            collectSegments(paragraph, []).forEach(segment => {
+                const last = merged[merged.length - 1];
+                if (segment.text !== undefined && last && last.text !== undefined && last.bold === segment.bold && last.italic === segment.italic) {
+                    last.text += segment.text;
+                } else {
+                    merged.push({ ...segment });
+                }
+            });
+
+            return merged.map(segment => {
+                if (segment.markdown !== undefined) return segment.markdown;
+                const text = escapeMarkdown(segment.text.replace(/\s+/g, ' '));
+                const marker = (segment.bold ? '**' : '') + (segment.italic ? '*' : '');
+                return marker ? wrapInline(text, marker) : text;
+            }).join('').trim();
+        };
+    }
+
+    /**
+     * Paragraphes du corps dans l'ordre du document (cellules de tableaux et contrôles de contenu compris).
+     */
+    function collectDocxParagraphs(container, paragraphs = []) {
+        Array.from(container.children).forEach(child => {
+            if (child.localName === 'p') {
+                paragraphs.push(child);
+            } else if (child.localName === 'tbl') {
+                paragraphs.push(...Array.from(child.getElementsByTagNameNS('*', 'p')));
+            } else if (child.localName === 'sdt' || child.localName === 'sdtContent') {
+                collectDocxParagraphs(child, paragraphs);
+            }
+        });
+        return paragraphs;
+    }
+
+    /**
+     * Markdown d'une suite de blocs DOCX (titres décalés sous le niveau de découpage, listes, paragraphes)
+     * suivi des définitions des notes appelées, renumérotées à partir de 1.
+     */
+    function docxBlocksToMarkdown(blocks, splitLevel, notes) {
+        let markdown = '';
+        let counters = [];
+        blocks.forEach((block, index) => {
+            const previous = blocks[index - 1];
+            // Les éléments d'une même liste se suivent ligne à ligne ; une autre liste est séparée comme un paragraphe
+            const sameList = block.kind === 'item' && previous && previous.kind === 'item' && previous.list === block.list;
+            if (index > 0) markdown += sameList ? '\n' : '\n\n';
+
+            if (block.kind === 'heading') {
+                markdown += `${'#'.repeat(Math.min(6, block.level - splitLevel + 1))} ${block.text}`;
+            } else if (block.kind === 'item') {
+                if (!sameList) counters = [];
+                counters.length = block.depth + 1;
+                counters[block.depth] = (counters[block.depth] || 0) + 1;
+                const marker = block.ordered ? `${counters[block.depth]}.` : '-';
+                markdown += `${'    '.repeat(block.depth)}${marker} ${block.text}`;
+            } else {
+                markdown += block.text;
+            }
+        });
+
+        // Appels [^fn3] -> [^1] dans l'ordre d'apparition du chapitre
+        const numbers = new Map();
+        markdown = markdown.replace(/(^|[^\\])\[\^((?:fn|en)\d+)\]/g, (match, before, key) => {
+            if (!numbers.has(key)) numbers.set(key, numbers.size + 1);
+            return `${before}[^${numbers.get(key)}]`;
+        });
+        const definitions = Array.from(numbers.entries())
+            .map(([key, number]) => `[^${number}]: ${(notes.get(key) || '').split('\n').join('\n    ').replace(/\n +\n/g, '\n\n')}`);
+        return definitions.length > 0 ? `${markdown}\n\n${definitions.join('\n\n')}` : markdown;
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.BookImporter)
+    // ========================================================================
+    window.BookImporter = {
+
+        /**
+         * Lit une archive EPUB (2 ou 3).
+         * @param {Blob|ArrayBuffer} file
+         * @returns {Promise<Object>} { metadata: { title, author, language }, chapters: [{ title, content }],
+         *          images: [{ name, mediaType, dataUrl }], cover: { name, mediaType, dataUrl } | null }
+         * @throws {Error} Message lisible si l'archive n'est pas un EPUB exploitable
+         */
+        async parseEpub(file) {
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(file);
+            } catch (e) {
+                throw new Error("Le fichier n'est pas une archive EPUB valide.");
+            }
+
+            // 1. container.xml -> chemin de l'OPF
+            const container = parseXml(await readZipText(zip, 'META-INF/container.xml'));
+            const rootfile = firstByName(container, 'rootfile');
+            if (!rootfile || !rootfile.getAttribute('full-path')) throw new Error("Package OPF introuvable.");
+            const opfPath = rootfile.getAttribute('full-path');
+            const opf = parseXml(await readZipText(zip, opfPath));
+
+            // 2. Métadonnées principales
+            const text = (localName) => {
+                const element = firstByName(opf, localName);
+                return element ? element.textContent.trim() : '';
+            };
+            const metadata = { title: text('title'), author: text('creator'), language: text('language') };
+
+            // 3. Manifeste : chemin complet, type et propriétés de chaque ressource
+            const manifest = new Map();
+            Array.from(opf.getElementsByTagNameNS('*', 'item')).forEach(item => {
+                manifest.set(item.getAttribute('id'), {
+                    path: resolvePath(opfPath, item.getAttribute('href') || ''),
+                    mediaType: item.getAttribute('media-type') || '',
+                    properties: (item.getAttribute('properties') || '').split(/\s+/)
+                });
+            });
+
+            // 4. Images (noms rendus uniques dans l'import : deux dossiers peuvent contenir le même nom)
+            const images = [];
+            const imageNames = new Map(); // chemin dans l'archive -> nom de l'image
+            const usedNames = new Set();
+            for (const item of manifest.values()) {
+                if (!window.AppStore.IMAGE_MEDIA_TYPES.includes(item.mediaType) || !zip.file(item.path)) continue;
+
+                const baseName = item.path.split('/').pop();
+                let name = baseName;
+                for (let counter = 2; usedNames.has(name); counter++) name = `${counter}-${baseName}`;
+                usedNames.add(name);
+                imageNames.set(item.path, name);
+
+                const base64 = await zip.file(item.path).async('base64');
+                images.push({ name, mediaType: item.mediaType, dataUrl: `data:${item.mediaType};base64,${base64}` });
+            }
+
+            // 5. Couverture : propriété EPUB 3 cover-image, ou <meta name="cover"> EPUB 2
+            let coverItem = Array.from(manifest.values()).find(item => item.properties.includes('cover-image')) || null;
+            if (!coverItem) {
+                const coverMeta = Array.from(opf.getElementsByTagNameNS('*', 'meta')).find(meta => meta.getAttribute('name') === 'cover');
+                coverItem = coverMeta ? manifest.get(coverMeta.getAttribute('content')) || null : null;
+            }
+            const coverImage = coverItem ? images.find(image => image.name === imageNames.get(coverItem.path)) : null;
+            const cover = coverImage && ['image/jpeg', 'image/png'].includes(coverImage.mediaType) ? coverImage : null;
+            // La couverture est importée comme telle, pas comme image du texte
+            if (cover) images.splice(images.indexOf(cover), 1);
+
+            // 6. Spine : documents XHTML dans l'ordre de lecture (hors navigation et pages de service)
+            const servicePaths = new Set(Array.from(opf.getElementsByTagNameNS('*', 'reference'))
+                .filter(reference => SERVICE_PAGE_TYPES.has(reference.getAttribute('type')))
+                .map(reference => resolvePath(opfPath, reference.getAttribute('href') || '')));
+            const documents = [];
+            const itemrefs = Array.from(opf.getElementsByTagNameNS('*', 'itemref'));
+            for (const itemref of itemrefs) {
+                const item = manifest.get(itemref.getAttribute('idref'));
+                if (!item || item.properties.includes('nav') || !zip.file(item.path)) continue;
+                if (!/html/.test(item.mediaType) || servicePaths.has(item.path)) continue;
+
+                const doc = parseXml(await zip.file(item.path).async('string'), true);
+                const body = firstByName(doc, 'body') || doc.documentElement;
+                documents.push({ path: item.path, doc, body });
+            }
+
+            // 7. Notes de bas de page et de fin, indexées par « chemin#ancre » pour être rattachées à leurs appels
+            const notes = new Map();
+            documents.forEach(({ path, body }) => {
+                Array.from(body.getElementsByTagNameNS('*', '*')).forEach(element => {
+                    if (element.getAttribute('id') && hasEpubType(element, NOTE_TYPES)) notes.set(`${path}#${element.getAttribute('id')}`, element);
+                });
+            });
+
+            // 8. Un chapitre par document (hors page de couverture, pages de notes et documents vides)
+            const chapters = [];
+            for (const { path, doc, body } of documents) {
+                const pageTypes = [body, body.firstElementChild].filter(Boolean);
+                if (pageTypes.some(element => hasEpubType(element, SERVICE_PAGE_TYPES))) continue;
+                // Les notes regroupées sont replacées dans les chapitres qui les appellent
+                if (pageTypes.some(element => hasEpubType(element, NOTES_PAGE_TYPES))) continue;
+
+                const bodyImages = Array.from(body.getElementsByTagNameNS('*', 'img'));
+                const resolveImage = (src) => (src ? imageNames.get(resolvePath(path, src)) || null : null);
+                const resolveNote = (href) => notes.get(resolveTarget(path, href)) || null;
+                const isCoverPage = body.textContent.trim() === '' && bodyImages.every(img => cover && resolveImage(img.getAttribute('src')) === cover.name);
+                if (isCoverPage) continue;
+
+                // Le premier titre du document devient le titre du chapitre (l'export le réimprime)
+                const firstHeading = Array.from(body.getElementsByTagNameNS('*', '*'))
+                    .find(element => /^h[1-3]$/i.test(element.localName));
+                let title = firstHeading ? firstHeading.textContent.replace(/\s+/g, ' ').trim() : '';
+                if (firstHeading && title) firstHeading.parentNode.removeChild(firstHeading);
+                if (!title) {
+                    const docTitle = firstByName(doc, 'title');
+                    title = docTitle && docTitle.textContent.trim() !== metadata.title ? docTitle.textContent.trim() : '';
+                }
+
+                const content = createConverter(resolveImage, resolveNote)(body);
+                if (!content && !title) continue;
+                chapters.push({ title: title || `Chapitre ${chapters.length + 1}`, content });
+            }
+
+            return { metadata, chapters, images, cover };
+        },
+        /**
+         * Lit un manuscrit Word (.docx). Le découpage en chapitres est fait ensuite par splitDocx,
+         * selon le niveau de titre choisi.
+         * @param {Blob|ArrayBuffer} file
+         * @returns {Promise<Object>} { metadata: { title, author, language },
+         *          blocks: [{ kind: 'heading'|'paragraph'|'item', text, level?, title?, list?, depth?, ordered? }],
+         *          notes: Map clé -> Markdown, images: [{ name, mediaType, dataUrl }], headingLevels: number[] }
+         * @throws {Error} Message lisible si l'archive n'est pas un document Word exploitable
+         */
+        async parseDocx(file) {
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(file);
+            } catch (e) {
+                throw new Error("Le fichier n'est pas un document Word (.docx) valide.");
+            }
+            if (!zip.file('word/document.xml')) throw new Error("Document principal (word/document.xml) introuvable.");
+
+            const documentXml = parseXml(await zip.file('word/document.xml').async('string'));
+            const styles = readDocxStyles(await readOptionalXml(zip, 'word/styles.xml'));
+            const numbering = readDocxNumbering(await readOptionalXml(zip, 'word/numbering.xml'));
+            const relationships = readDocxRelationships(await readOptionalXml(zip, 'word/_rels/document.xml.rels'), 'word/document.xml');
+
+            // 1. Images liées au document (chargées d'avance : la conversion est synchrone)
+            const imageData = new Map(); // identifiant de relation -> image
+            const usedNames = new Set();
+            for (const [relId, rel] of relationships) {
+                const extension = rel.target.split('.').pop().toLowerCase();
+                if (rel.external || !DOCX_IMAGE_TYPES[extension] || !zip.file(rel.target)) continue;
+
+                const baseName = rel.target.split('/').pop();
+                let name = baseName;
+                for (let counter = 2; usedNames.has(name); counter++) name = `${counter}-${baseName}`;
+                usedNames.add(name);
+
+                const mediaType = DOCX_IMAGE_TYPES[extension];
+                const base64 = await zip.file(rel.target).async('base64');
+                imageData.set(relId, { name, mediaType, dataUrl: `data:${mediaType};base64,${base64}` });
+            }
+
+            const usedImages = new Set();
+            const noteRefs = new Set();
+            const convertParagraph = createDocxConverter({
+                styles,
+                noteRefs,
+                resolveImage(relId, alt) {
+                    const image = imageData.get(relId);
+                    if (!image) return '';
+                    usedImages.add(image);
+                    return window.Parser.imageReference(image.name, alt);
+                }
+            });
+
+            // 2. Corps : titres, éléments de liste et paragraphes (les paragraphes vides sont ignorés)
+            const body = firstByName(documentXml, 'body');
+            const blocks = [];
+            let documentTitle = '';
+            collectDocxParagraphs(body || documentXml.documentElement).forEach(paragraph => {
+                const text = convertParagraph(paragraph);
+                if (!text) return;
+
+                const pPr = wChild(paragraph, 'pPr');
+                const style = (pPr && styles.get(wVal(wChild(pPr, 'pStyle')))) || { level: 0, isTitle: false };
+                const outline = pPr ? wVal(wChild(pPr, 'outlineLvl')) : null;
+                const level = outline !== null && Number(outline) < 6 ? Number(outline) + 1 : style.level;
+                const numPr = pPr ? wChild(pPr, 'numPr') : null;
+
+                if (style.isTitle && !level) {
+                    // Le style « Titre » du document donne le titre du livre, pas un chapitre
+                    if (!documentTitle) documentTitle = paragraph.textContent.trim();
+                } else if (level) {
+                    blocks.push({ kind: 'heading', level, text, title: paragraph.textContent.replace(/\s+/g, ' ').trim() || text });
+                } else if (numPr && wVal(wChild(numPr, 'numId')) !== '0') {
+                    const list = wVal(wChild(numPr, 'numId'));
+                    const depth = Number(wVal(wChild(numPr, 'ilvl')) || 0);
+                    const levels = numbering.get(list) || new Map();
+                    blocks.push({ kind: 'item', list, depth, ordered: !!levels.get(String(depth)), text });
+                } else {
+                    blocks.push({ kind: 'paragraph', text });
+                }
+            });
+
+            // 3. Notes de bas de page et de fin appelées par le texte
+            const notes = new Map();
+            for (const [prefix, path, tag] of [['fn', 'word/footnotes.xml', 'footnote'], ['en', 'word/endnotes.xml', 'endnote']]) {
+                const notesXml = await readOptionalXml(zip, path);
+                if (!notesXml) continue;
+                Array.from(notesXml.getElementsByTagNameNS('*', tag)).forEach(note => {
+                    const key = `${prefix}${note.getAttribute('w:id')}`;
+                    if (!noteRefs.has(key)) return;
+                    const paragraphs = collectDocxParagraphs(note).map(convertParagraph).filter(Boolean);
+                    notes.set(key, paragraphs.join('\n\n'));
+                });
+            }
+
+            // 4. Métadonnées (propriétés du document)
+            const core = await readOptionalXml(zip, 'docProps/core.xml');
+            const text = (localName) => {
+                const element = core ? firstByName(core, localName) : null;
+                return element ? element.textContent.trim() : '';
+            };
+
+            return {
+                metadata: { title: text('title') || documentTitle, author: text('creator'), language: text('language') },
+                blocks,
+                notes,
+                images: Array.from(usedImages),
+                headingLevels: Array.from(new Set(blocks.filter(block => block.kind === 'heading').map(block => block.level))).sort()
+            };
+        },
+
+        /**
+         * Découpe un manuscrit lu par parseDocx : chaque titre de niveau inférieur ou égal à splitLevel ouvre
+         * un chapitre, les titres plus profonds deviennent des sections (## ...). Le texte placé avant le premier
+         * titre forme un chapitre « Introduction », comme pour l'import Markdown.
+         * @returns {Array<{title: string, content: string}>}
+         */
+        splitDocx(docx, splitLevel) {
+            const intro = { title: 'Introduction', blocks: [] };
+            const chapters = [];
+            docx.blocks.forEach(block => {
+                if (block.kind === 'heading' && block.level <= splitLevel) {
+                    chapters.push({ title: block.title, blocks: [] });
+                } else {
+                    (chapters.length > 0 ? chapters[chapters.length - 1] : intro).blocks.push(block);
+                }
+            });
+            if (intro.blocks.length > 0) chapters.unshift(intro);
+
+            return chapters.map(chap => ({ title: chap.title, content: docxBlocksToMarkdown(chap.blocks, splitLevel, docx.notes) }));
+        }
+    };
+
+})();
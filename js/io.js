@@ -1,8 +1,11 @@
 /**
  * io.js
  * Contrôleur des Entrées/Sorties (Import / Export).
- * Responsabilités : Export HTML autonome, Export MD réassemblé, déclenchement de l'EPUB,
- * et Import de fichiers .md/.txt par glisser-déposer ou via le bouton d'importation.
+ * Responsabilités : Export HTML autonome, Export MD réassemblé, déclenchement de l'EPUB (après contrôle du paquet),
+ * options d'export (seuls chapitres finalisés, notes en fin de livre, boîte d'options EPUB propre à chaque livre), contrôle des liens entre chapitres, enregistrement et ouverture des projets natifs (.ebookproj),
+ * Import de fichiers .md/.txt/.epub/.docx par glisser-déposer ou via le bouton d'importation (choix du niveau de titre
+ * qui découpe les chapitres d'un manuscrit Word),
+ * et insertion d'images (glissées ou collées dans l'éditeur) comme ressources du livre.
  */
 
 (function() {
@@ -12,8 +15,35 @@
     const btnExportEpub = document.getElementById('btn-export-epub');
     const btnExportHtml = document.getElementById('btn-export-html');
     const btnExportMd = document.getElementById('btn-export-md');
+    const exportFinalOnly = document.getElementById('export-final-only');
+    const exportEndnotes = document.getElementById('export-endnotes');
     const btnImport = document.getElementById('btn-import');
     const fileImport = document.getElementById('file-import');
+    const btnSaveProject = document.getElementById('btn-save-project');
+    const btnOpenProject = document.getElementById('btn-open-project');
+    const fileProject = document.getElementById('file-project');
+
+    // Options de l'export EPUB
+    const exportDialog = document.getElementById('export-dialog');
+    const epubVersionInputs = exportDialog.querySelectorAll('input[name="epub-version"]');
+    const epubTitlePage = document.getElementById('epub-title-page');
+    const epubToc = document.getElementById('epub-toc');
+    const epubHeadingStyle = document.getElementById('epub-heading-style');
+    const epubFileName = document.getElementById('epub-file-name');
+    const btnCancelExport = document.getElementById('btn-cancel-export');
+    const btnConfirmExport = document.getElementById('btn-confirm-export');
+
+    // Import d'un manuscrit Word
+    const docxDialog = document.getElementById('docx-dialog');
+    const docxTitle = document.getElementById('docx-title');
+    const docxSplitLevel = document.getElementById('docx-split-level');
+    const docxSummary = document.getElementById('docx-summary');
+    const docxChapterList = document.getElementById('docx-chapter-list');
+    const btnCancelDocx = document.getElementById('btn-cancel-docx');
+    const btnConfirmDocx = document.getElementById('btn-confirm-docx');
+
+    // Manuscrit lu, en attente du choix du niveau de découpage
+    let pendingDocx = null;
 
     // Zone de drop (Éditeur)
     const editorElement = document.getElementById('markdown-editor');
@@ -24,12 +54,58 @@
     function getSafeFilename(extension) {
         const state = window.AppStore.getState();
         let title = state.metadata.title || 'Livre_sans_titre';
-        // CORRECTION : Restauration de la regex pour supprimer les caractères problématiques
-        title = title.replace(//g, '').trim().replace(/\s+/g, '_');
+        title = title.replace(/[\\/:*?"<>|]/g, '').trim().replace(/\s+/g, '_');
         if (!title) title = 'export_livre';
         return `${title}.${extension}`;
     }
 
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Lignes complémentaires de la page de titre (série, contributeurs, éditeur, ISBN).
+     */
+    function buildTitlePageExtras(metadata) {
+        const roles = window.AppStore.CONTRIBUTOR_ROLES;
+        const extras = { before: '', after: '' };
+
+        if (metadata.series) {
+            const index = metadata.seriesIndex ? `, tome ${escapeHtml(metadata.seriesIndex)}` : '';
+            extras.before = `<p class="series">${escapeHtml(metadata.series)}${index}</p>`;
+        }
+
+        metadata.contributors.filter(c => c.name && c.name.trim()).forEach(contributor => {
+            extras.after += `\n        <p class="contributor">${roles[contributor.role] || ''} : ${escapeHtml(contributor.name.trim())}</p>`;
+        });
+
+        const year = metadata.pubDate ? metadata.pubDate.substring(0, 4) : '';
+        const imprint = [metadata.publisher, year].filter(Boolean).map(escapeHtml).join(' · ');
+        if (imprint) extras.after += `\n        <p class="imprint">${imprint}</p>`;
+        if (metadata.isbn) extras.after += `\n        <p class="isbn">ISBN ${escapeHtml(metadata.isbn)}</p>`;
+        if (metadata.rights) extras.after += `\n        <p class="rights">${escapeHtml(metadata.rights)}</p>`;
+        return extras;
+    }
+
+    /**
+     * Remplace les références images/nom d'un HTML rendu par les données des images du livre (data URI).
+     * Les références inconnues sont laissées telles quelles.
+     */
+    async function embedImages(html) {
+        const names = new Set();
+        html.replace(/src="([^"]*)"/g, (match, src) => {
+            const name = window.Parser.getImageName(src);
+            if (name !== null) names.add(name);
+            return match;
+        });
+
+        const images = await window.AppStore.getImagesByName(Array.from(names));
+        return html.replace(/src="([^"]*)"/g, (match, src) => {
+            const image = images.get(window.Parser.getImageName(src));
+            return image ? `src="${image.dataUrl}"` : match;
+        });
+    }
+
     /**
      * Vérifie si le livre contient des données valides avant un export.
      */
@@ -39,19 +115,60 @@
             alert("Erreur : Le livre est totalement vide. Ajoutez au moins un chapitre pour exporter.");
             return false;
         }
+        if (window.AppStore.getExportChapters().length === 0) {
+            alert("Erreur : Aucun chapitre n'est marqué « Final ». Changez leur statut ou décochez « Finaux seulement ».");
+            return false;
+        }
         return true;
     }
 
+    /**
+     * Signale les liens entre chapitres dont la cible est introuvable (ou exclue de l'export)
+     * et demande s'il faut exporter quand même.
+     */
+    function confirmChapterLinks() {
+        const broken = window.ChapterLinks.findBroken(window.AppStore.getExportChapters());
+        if (broken.length === 0) return true;
+
+        const list = broken.slice(0, 10).map(link => `- ${link.chapterTitle} : ${link.target}`).join('\n');
+        const more = broken.length > 10 ? `\n... et ${broken.length - 10} autre(s)` : '';
+        return confirm(`${broken.length} lien(s) interne(s) pointent vers un chapitre ou une section introuvable :\n${list}${more}\n\nExporter quand même ?`);
+    }
+
     // ========================================================================
     // LOGIQUE D'EXPORT
     // ========================================================================
 
     /**
-     * Export EPUB : Délègue au générateur et gère l'état de l'interface (blocage).
+     * Reporte les options EPUB du livre dans la boîte d'export.
      */
-    async function handleExportEpub() {
-        if (!isBookValidForExport()) return;
+    function renderExportOptions() {
+        const settings = window.AppStore.getState().settings;
+        epubVersionInputs.forEach(input => {
+            input.checked = input.value === settings.epubVersion;
+        });
+        epubTitlePage.checked = settings.epubTitlePage !== false;
+        epubToc.checked = settings.epubToc !== false;
+        epubHeadingStyle.value = settings.epubHeadingStyle;
+        // Le nom en cours de saisie n'est pas écrasé
+        if (document.activeElement !== epubFileName) epubFileName.value = settings.epubFileName;
+        epubFileName.placeholder = getSafeFilename('epub').replace(/\.epub$/, '');
+    }
+
+    /**
+     * Ouvre la boîte d'options avant l'export EPUB (après les vérifications préalables du livre).
+     */
+    function openExportDialog() {
+        if (!isBookValidForExport() || !confirmChapterLinks()) return;
+        renderExportOptions();
+        exportDialog.showModal();
+    }
 
+    /**
+     * Export EPUB : Délègue au générateur, contrôle le paquet obtenu et gère l'état de l'interface (blocage).
+     * Un paquet sans problème est téléchargé directement ; sinon le rapport de contrôle s'affiche d'abord.
+     */
+    async function handleExportEpub() {
         // Blocage de l'interface (comme spécifié dans les exigences)
         const originalText = btnExportEpub.textContent;
         btnExportEpub.textContent = "Génération...";
@@ -59,7 +176,19 @@
         document.body.style.cursor = 'wait';
 
         try {
-            await window.EpubGenerator.generate();
+            const book = await window.EpubGenerator.build();
+            if (!book) return;
+
+            const report = await window.EpubValidator.validate(book.zip, book.sources);
+            if (report.issues.length === 0) {
+                await window.EpubGenerator.download(book);
+            } else {
+                window.ValidationReport.open(report, () => window.EpubGenerator.download(book));
+            }
+        } catch (err) {
+            // Lecture des ressources, chiffrement des polices ou construction de l'archive
+            console.error("Erreur lors de la création de l'EPUB :", err);
+            alert("Une erreur est survenue lors de la création du fichier EPUB.");
         } finally {
             // Restauration de l'interface
             btnExportEpub.textContent = originalText;
@@ -69,64 +198,121 @@
     }
 
     /**
-     * Export HTML : Crée un fichier autonome (single-page) avec ancres et style embarqué.
+     * Construit la page HTML autonome (single-page) du livre, avec ancres et style embarqué.
+     * La couverture éventuelle est intégrée en data URL en tête de la page de titre.
+     * @returns {Promise<string>} Le document HTML complet
      */
-    function handleExportHtml() {
-        if (!isBookValidForExport()) return;
-
+    async function buildHtmlExport() {
         const state = window.AppStore.getState();
+        const chapters = window.AppStore.getExportChapters();
         const title = state.metadata.title || 'Livre sans titre';
         const author = state.metadata.author || 'Auteur inconnu';
+        const titlePageExtras = buildTitlePageExtras(state.metadata);
+        const cover = await window.AppStore.getCoverImage();
+        const coverHtml = cover ? `<img class="cover" src="${cover.dataUrl}" alt="Couverture">` : '';
+
+        // Liens entre chapitres : ancre #chap-N du chapitre, ou #chap-N-slug d'un titre de section
+        const resolveTarget = window.ChapterLinks.createResolver(chapters);
+        const resolveChapterLink = (target) => {
+            const destination = resolveTarget(target);
+            if (!destination) return null;
+            const anchor = `chap-${chapters.findIndex(chap => chap.id === destination.chapterId)}`;
+            return destination.slug ? `#${anchor}-${destination.slug}` : `#${anchor}`;
+        };
 
-        // 1. Génération de la table des matières
-        let tocHtml = '<h2>Table des matières</h2>\n<ul>';
-        state.chapters.forEach((chap, index) => {
-            tocHtml += `<li><a href="#chap-${index}">${chap.title}</a></li>\n`;
-        });
-        tocHtml += '</ul>';
-
-        // 2. Génération du corps des chapitres
+        // 1. Génération du corps des chapitres (les notes sont gardées à part si elles vont en fin de livre)
+        const useEndnotes = !!state.settings.endnotes;
         let bodyHtml = '';
-        state.chapters.forEach((chap, index) => {
+        let endnotesHtml = '';
+        chapters.forEach((chap, index) => {
             const rawContent = window.AppStore.getChapterContent(chap.id);
-            const renderedHtml = window.Parser.render(rawContent);
+            // docId : identifiants (notes, titres) propres à chaque chapitre sur la page unique
+            const rendered = window.Parser.renderWithNotes(rawContent, { docId: `chap-${index}`, resolveChapterLink });
+            if (useEndnotes && rendered.notes) {
+                endnotesHtml += `\n                <h2>${escapeHtml(chap.title)}</h2>\n${rendered.notes}`;
+            }
+            const renderedHtml = useEndnotes ? rendered.body : rendered.body + rendered.notes;
             // Suppression des data-source-line inutiles pour l'export final
             const cleanHtml = renderedHtml.replace(/data-source-line="\d+"/g, '');
+            // Mise en page propre au type (dédicace, épigraphe, copyright : sans titre imprimé)
+            const typeKey = window.AppStore.getChapterInfo(chap.id).type;
+            const heading = window.AppStore.CHAPTER_TYPES[typeKey].showTitle ? `<h1>${escapeHtml(chap.title)}</h1>` : '';
             
             bodyHtml += `
-            <section id="chap-${index}" class="chapter-section">
-                <h1>${chap.title}</h1>
+            <section id="chap-${index}" class="chapter-section ${typeKey}">
+                ${heading}
                 ${cleanHtml}
             </section>
             <hr class="chapter-divider" />`;
         });
+        if (endnotesHtml) {
+            bodyHtml += `
+            <section id="notes" class="chapter-section endnotes">
+                <h1>Notes</h1>${endnotesHtml.replace(/data-source-line="\d+"/g, '')}
+            </section>`;
+        }
+        bodyHtml = await embedImages(bodyHtml);
+
+        // Modèle de style du livre et polices intégrées (après la mise en page propre à la page HTML)
+        const bookCss = window.BookStyle.buildCss({
+            scope: '.book-content',
+            chapter: '.chapter-section.chapter',
+            fontCss: await window.BookFonts.buildInlineCss('.book-content')
+        });
+
+        // 2. Génération de la table des matières
+        let tocHtml = '<h2>Table des matières</h2>\n<ul>';
+        chapters.forEach((chap, index) => {
+            tocHtml += `<li><a href="#chap-${index}">${escapeHtml(chap.title)}</a></li>\n`;
+        });
+        if (endnotesHtml) tocHtml += `<li><a href="#notes">Notes</a></li>\n`;
+        tocHtml += '</ul>';
 
         // 3. Assemblage du document final
-        const fullHtml = `<!DOCTYPE html>
-<html lang="${state.metadata.language || 'fr'}">
+        return `<!DOCTYPE html>
+<html lang="${escapeHtml(state.metadata.language || 'fr')}">
 <head>
     <meta charset="UTF-8">
-    <title>${title}</title>
+    <title>${escapeHtml(title)}</title>
+    <meta name="author" content="${escapeHtml(author)}">${state.metadata.description ? `
+    <meta name="description" content="${escapeHtml(state.metadata.description)}">` : ''}${state.metadata.subjects.length > 0 ? `
+    <meta name="keywords" content="${escapeHtml(state.metadata.subjects.join(', '))}">` : ''}
     <style>
         :root { font-family: system-ui, -apple-system, sans-serif; line-height: 1.6; color: #333; }
+        /* Mise en page de la page HTML ; la typographie du texte suit le modèle de style du livre */
         body { max-width: 800px; margin: 0 auto; padding: 2rem; }
         .title-page { text-align: center; margin: 20vh 0; }
         .title-page h1 { font-size: 3rem; margin-bottom: 0.5rem; }
         .title-page h2 { font-size: 1.5rem; font-weight: normal; color: #666; }
+        .title-page .cover { display: block; max-width: 100%; max-height: 90vh; margin: 0 auto 4rem; box-shadow: 0 2px 12px rgba(0, 0, 0, 0.2); }
+        .title-page .series { font-variant: small-caps; color: #666; }
+        .title-page .imprint { margin-top: 4rem; }
+        .title-page .isbn, .title-page .rights { font-size: 0.85rem; color: #666; }
         .toc-page { page-break-after: always; margin-bottom: 4rem; }
         .chapter-section { margin-top: 4rem; page-break-before: always; }
-        .chapter-section h1 { text-align: center; margin-bottom: 2rem; font-size: 2rem; border-bottom: 1px solid #eee; padding-bottom: 1rem; }
+        .chapter-section h1 { font-size: 2rem; border-bottom: 1px solid #eee; padding-bottom: 1rem; }
         .chapter-divider { border: 0; border-top: 2px dashed #ccc; margin: 4rem 0; }
+        .chapter-section.dedication, .chapter-section.epigraph { margin: 20vh 0; font-style: italic; }
+        .chapter-section.dedication { text-align: center; }
+        .chapter-section.epigraph { margin-left: 30%; text-align: right; }
+        .chapter-section.copyright { font-size: 0.85rem; color: #666; }
+        .chapter-section.dedication p, .chapter-section.epigraph p, .chapter-section.copyright p { text-indent: 0; }
         blockquote { border-left: 4px solid #ddd; padding-left: 1rem; color: #555; font-style: italic; }
         img { max-width: 100%; height: auto; }
         pre { background: #f4f4f4; padding: 1rem; overflow-x: auto; border-radius: 4px; }
         code { font-family: monospace; background: #f4f4f4; padding: 0.2rem 0.4rem; border-radius: 3px; }
-    </style>
+        .footnotes { font-size: 0.9rem; color: #555; }
+        .footnotes-sep { border: 0; border-top: 1px solid #ddd; width: 30%; margin: 2rem 0 1rem; }
+        .footnote-backref { text-decoration: none; }
+        .endnotes h2 { font-size: 1.1rem; margin-top: 2rem; }
+${bookCss.replace(/^(?=.)/gm, '        ')}    </style>
 </head>
 <body>
     <div class="title-page">
-        <h1>${title}</h1>
-        <h2>${author}</h2>
+        ${coverHtml}
+        ${titlePageExtras.before}
+        <h1>${escapeHtml(title)}</h1>
+        <h2>${escapeHtml(author)}</h2>${titlePageExtras.after}
     </div>
     
     <div class="toc-page">
@@ -138,10 +324,23 @@
     </div>
 </body>
 </html>`;
+    }
 
-        // CORRECTION : Restauration des crochets pour le constructeur Blob
-        const blob = new Blob(, { type: "text/html;charset=utf-8" });
-        saveAs(blob, getSafeFilename('html'));
+    /**
+     * Export HTML : Télécharge la page autonome du livre (voir buildHtmlExport).
+     */
+    async function handleExportHtml() {
+        if (!isBookValidForExport() || !confirmChapterLinks()) return;
+
+        try {
+            const fullHtml = await buildHtmlExport();
+            const blob = new Blob([fullHtml], { type: "text/html;charset=utf-8" });
+            saveAs(blob, getSafeFilename('html'));
+        } catch (err) {
+            // Lecture de la couverture, des images ou des polices du livre
+            console.error("Erreur lors de l'export HTML :", err);
+            alert("Une erreur est survenue lors de la création du fichier HTML.");
+        }
     }
 
     /**
@@ -150,37 +349,290 @@
     function handleExportMd() {
         if (!isBookValidForExport()) return;
 
-        const state = window.AppStore.getState();
-        
         // Préparation du tableau d'objets attendu par Parser.reassemble
-        const chaptersData = state.chapters.map(chap => ({
+        const chaptersData = window.AppStore.getExportChapters().map(chap => ({
             title: chap.title,
             content: window.AppStore.getChapterContent(chap.id)
         }));
 
         const fullMd = window.Parser.reassemble(chaptersData);
         
-        // CORRECTION : Restauration des crochets pour le constructeur Blob
-        const blob = new Blob(, { type: "text/markdown;charset=utf-8" });
+        const blob = new Blob([fullMd], { type: "text/markdown;charset=utf-8" });
         saveAs(blob, getSafeFilename('md'));
     }
 
+    // ========================================================================
+    // PROJET NATIF (.ebookproj)
+    // ========================================================================
+
+    /**
+     * Enregistre le livre complet (chapitres, ressources, réglages) dans une archive de projet.
+     */
+    async function handleSaveProject() {
+        const originalText = btnSaveProject.textContent;
+        btnSaveProject.textContent = "Enregistrement...";
+        btnSaveProject.disabled = true;
+
+        try {
+            const blob = await window.ProjectFile.build();
+            saveAs(blob, getSafeFilename(window.ProjectFile.EXTENSION));
+        } catch (err) {
+            console.error("Erreur lors de l'enregistrement du projet :", err);
+            alert("Une erreur est survenue lors de l'enregistrement du projet.");
+        } finally {
+            btnSaveProject.textContent = originalText;
+            btnSaveProject.disabled = false;
+        }
+    }
+
+    /**
+     * Ouvre une archive de projet comme nouveau livre de la bibliothèque.
+     */
+    async function openProjectFile(file) {
+        if (!file.name.toLowerCase().endsWith(`.${window.ProjectFile.EXTENSION}`)) {
+            alert(`Format non supporté. Veuillez sélectionner un fichier .${window.ProjectFile.EXTENSION}.`);
+            return;
+        }
+
+        try {
+            const data = await window.ProjectFile.parse(file);
+            await window.AppStore.createBookFromData(data);
+            const missing = data.missingAssets.length > 0
+                ? `\n\nRessource(s) absente(s) de l'archive, non importée(s) : ${data.missingAssets.join(', ')}.`
+                : '';
+            alert(`Projet ouvert : ${data.chapters.length} chapitre(s), ${data.assets.length} ressource(s).${missing}`);
+        } catch (err) {
+            console.error("Erreur lors de l'ouverture du projet :", err);
+            alert(`Impossible d'ouvrir le projet : ${err.message}`);
+        }
+    }
+
+    // ========================================================================
+    // IMAGES (DRAG & DROP ET COLLER DANS L'ÉDITEUR)
+    // ========================================================================
+
+    function isImageFile(file) {
+        return window.AppStore.IMAGE_MEDIA_TYPES.includes(file.type);
+    }
+
+    /**
+     * Signale une image glissée ou collée que isImageFile écarte (WebP, AVIF, TIFF...).
+     */
+    function alertUnsupportedImage() {
+        alert("Format d'image non pris en charge par toutes les liseuses. Utilisez une image JPEG, PNG, GIF ou SVG.");
+    }
+
+    function readFileAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Enregistre les images comme ressources du livre et insère leurs références au curseur.
+     */
+    async function insertImages(files) {
+        if (!window.AppStore.getState().currentChapterId) {
+            alert("Sélectionnez d'abord un chapitre pour y insérer des images.");
+            return;
+        }
+
+        const references = [];
+        try {
+            for (const file of files) {
+                const extension = file.type.split('/')[1].replace('svg+xml', 'svg').replace('jpeg', 'jpg');
+                const asset = await window.AppStore.addAsset({
+                    name: file.name || `image.${extension}`,
+                    mediaType: file.type,
+                    dataUrl: await readFileAsDataUrl(file)
+                });
+                const alt = asset.name.replace(/\.[^.]+$/, '');
+                references.push(window.Parser.imageReference(asset.name, alt));
+            }
+        } catch (err) {
+            console.error("Erreur lors de l'ajout d'une image :", err);
+            alert("Erreur lors de la lecture de l'image.");
+        }
+        if (references.length === 0) return;
+
+        // Insertion au curseur, sur des lignes à part, puis notification comme une frappe
+        const { selectionStart, selectionEnd, value } = editorElement;
+        const before = selectionStart > 0 && value[selectionStart - 1] !== '\n' ? '\n\n' : '';
+        const after = selectionEnd < value.length && value[selectionEnd] !== '\n' ? '\n\n' : '';
+        editorElement.setRangeText(`${before}${references.join('\n\n')}${after}`, selectionStart, selectionEnd, 'end');
+        editorElement.dispatchEvent(new Event('input'));
+        editorElement.focus();
+    }
+
+    function handlePaste(e) {
+        const files = Array.from(e.clipboardData ? e.clipboardData.files : []);
+        const images = files.filter(isImageFile);
+        if (images.length === 0) {
+            // Collage de texte : comportement natif (le texte éventuel accompagnant l'image écartée est collé)
+            if (files.some(file => file.type.startsWith('image/'))) alertUnsupportedImage();
+            return;
+        }
+        e.preventDefault();
+        insertImages(images);
+    }
+
     // ========================================================================
     // LOGIQUE D'IMPORT (DRAG & DROP ET CLIC)
     // ========================================================================
 
+    /**
+     * Ajoute les images d'un import aux ressources du livre. Une image peut être renommée à l'ajout
+     * (nom déjà pris dans le livre) : la fonction retournée reporte ces renommages dans un texte Markdown.
+     * @returns {Promise<Function>} (contenu) => contenu aux références mises à jour
+     */
+    async function addImportedImages(images) {
+        const references = [];
+        for (const image of images) {
+            const asset = await window.AppStore.addAsset(image);
+            if (asset.name !== image.name) {
+                references.push([`](${window.Parser.IMAGE_DIR}${encodeURI(image.name)})`, `](${window.Parser.IMAGE_DIR}${encodeURI(asset.name)})`]);
+            }
+        }
+        return (content) => references.reduce((result, [from, to]) => result.split(from).join(to), content);
+    }
+
+    /**
+     * Titre, auteur et langue d'un import, repris par AppStore.importFullBook (et annulés avec lui).
+     */
+    function pickImportedMetadata(importedMetadata) {
+        const metadata = {};
+        ['title', 'author', 'language'].forEach(key => {
+            if (importedMetadata[key]) metadata[key] = importedMetadata[key];
+        });
+        return metadata;
+    }
+
+    /**
+     * Import EPUB : chaque document de la spine devient un chapitre, les images deviennent des ressources du livre.
+     */
+    async function importEpubFile(file) {
+        if (!confirm("Attention : L'importation de cet EPUB remplacera intégralement les chapitres, le titre, l'auteur, la langue et la couverture de votre livre actuel (annulable avec Ctrl+Z ; ses chapitres actuels passent en corbeille et ses images restent dans les ressources du livre). Voulez-vous continuer ?")) {
+            return;
+        }
+
+        try {
+            const book = await window.BookImporter.parseEpub(file);
+            if (book.chapters.length === 0) {
+                alert("Aucun chapitre lisible trouvé dans l'EPUB.");
+                return;
+            }
+
+            const updateReferences = await addImportedImages(book.images);
+            const chaptersData = book.chapters.map(chap => ({ title: chap.title, content: updateReferences(chap.content) }));
+
+            const metadata = pickImportedMetadata(book.metadata);
+            // L'ancienne couverture reste dans les ressources : annuler l'import la rétablit
+            if (book.cover && window.AppStore.COVER_MEDIA_TYPES.includes(book.cover.mediaType)) {
+                metadata.cover = (await window.AppStore.addAsset(book.cover)).id;
+            }
+            window.AppStore.importFullBook(chaptersData, metadata);
+
+            alert(`Importation réussie ! ${chaptersData.length} chapitre(s) et ${book.images.length} image(s) importé(s).`);
+        } catch (err) {
+            console.error("Erreur lors de l'import EPUB :", err);
+            alert(`Impossible d'importer l'EPUB : ${err.message}`);
+        }
+    }
+
+    /**
+     * Affiche les chapitres obtenus avec le niveau de découpage choisi.
+     */
+    function renderDocxPreview() {
+        const chapters = window.BookImporter.splitDocx(pendingDocx, Number(docxSplitLevel.value));
+        docxChapterList.innerHTML = '';
+        chapters.forEach(chap => {
+            const li = document.createElement('li');
+            li.textContent = chap.title;
+            docxChapterList.appendChild(li);
+        });
+
+        const noHeading = pendingDocx.headingLevels.length === 0
+            ? 'Aucun titre détecté : le manuscrit formera un seul chapitre. '
+            : '';
+        docxSummary.textContent = `${noHeading}${chapters.length} chapitre(s), ${pendingDocx.images.length} image(s), ${pendingDocx.notes.size} note(s). `
+            + "Les chapitres, le titre, l'auteur et la langue du livre actuel seront remplacés (annulable avec Ctrl+Z ; "
+            + "les images du document restent dans les ressources du livre).";
+    }
+
+    /**
+     * Import DOCX : lecture du manuscrit, puis choix du niveau de titre qui découpe les chapitres avant remplacement.
+     */
+    async function importDocxFile(file) {
+        try {
+            pendingDocx = await window.BookImporter.parseDocx(file);
+        } catch (err) {
+            console.error("Erreur lors de la lecture du DOCX :", err);
+            alert(`Impossible d'importer le document Word : ${err.message}`);
+            return;
+        }
+
+        if (pendingDocx.blocks.length === 0) {
+            pendingDocx = null;
+            alert("Aucun contenu valide trouvé dans le document.");
+            return;
+        }
+
+        // Un niveau proposé par niveau de titre présent, le plus haut par défaut
+        docxSplitLevel.innerHTML = '';
+        const levels = pendingDocx.headingLevels.length > 0 ? pendingDocx.headingLevels : [1];
+        levels.forEach(level => {
+            const count = window.BookImporter.splitDocx(pendingDocx, level).length;
+            const label = level === 1 ? 'Titre 1' : `Titre ${level} (et niveaux supérieurs)`;
+            docxSplitLevel.appendChild(new Option(`${label} — ${count} chapitre(s)`, level));
+        });
+        docxSplitLevel.disabled = pendingDocx.headingLevels.length === 0;
+
+        docxTitle.textContent = `Importer « ${file.name} »`;
+        renderDocxPreview();
+        docxDialog.showModal();
+    }
+
+    async function confirmDocxImport() {
+        const docx = pendingDocx;
+        const chapters = window.BookImporter.splitDocx(docx, Number(docxSplitLevel.value));
+        docxDialog.close();
+
+        try {
+            const updateReferences = await addImportedImages(docx.images);
+            const chaptersData = chapters.map(chap => ({ title: chap.title, content: updateReferences(chap.content) }));
+
+            window.AppStore.importFullBook(chaptersData, pickImportedMetadata(docx.metadata));
+
+            alert(`Importation réussie ! ${chaptersData.length} chapitre(s) et ${docx.images.length} image(s) importé(s).`);
+        } catch (err) {
+            console.error("Erreur lors de l'import DOCX :", err);
+            alert(`Impossible d'importer le document Word : ${err.message}`);
+        }
+    }
+
     /**
      * Fonction mutualisée pour valider et extraire le texte d'un fichier.
      */
     function processImportFile(file) {
         // Vérification de l'extension
         const fileName = file.name.toLowerCase();
+        if (fileName.endsWith('.epub')) {
+            importEpubFile(file);
+            return;
+        }
+        if (fileName.endsWith('.docx')) {
+            importDocxFile(file);
+            return;
+        }
         if (!fileName.endsWith('.md') && !fileName.endsWith('.txt')) {
-            alert("Format non supporté. Veuillez sélectionner un fichier .md ou .txt.");
+            alert("Format non supporté. Veuillez sélectionner un fichier .md, .txt, .epub ou .docx.");
             return;
         }
 
-        if (!confirm("Attention : L'importation de ce fichier remplacera intégralement votre livre actuel. Voulez-vous continuer ?")) {
+        if (!confirm("Attention : L'importation de ce fichier remplacera intégralement votre livre actuel (annulable avec Ctrl+Z ; ses chapitres actuels passent en corbeille). Voulez-vous continuer ?")) {
             return;
         }
 
@@ -236,8 +688,18 @@
         const files = e.dataTransfer.files;
         if (files.length === 0) return;
 
-        // CORRECTION : Restauration de l'index du tableau
-        const file = files;
+        // Des images déposées sont ajoutées au chapitre ; un texte remplace le livre
+        const images = Array.from(files).filter(isImageFile);
+        if (images.length > 0) {
+            insertImages(images);
+            return;
+        }
+
+        const file = files[0];
+        if (file.type.startsWith('image/')) {
+            alertUnsupportedImage();
+            return;
+        }
         processImportFile(file);
     }
 
@@ -245,10 +707,64 @@
     // INITIALISATION DES ÉVÉNEMENTS
     // ========================================================================
 
-    btnExportEpub.addEventListener('click', handleExportEpub);
+    btnExportEpub.addEventListener('click', openExportDialog);
     btnExportHtml.addEventListener('click', handleExportHtml);
     btnExportMd.addEventListener('click', handleExportMd);
 
+    // Options « finaux seulement » et « notes en fin de livre » : réglages propres à chaque livre
+    exportFinalOnly.addEventListener('change', () => {
+        window.AppStore.updateSettings({ exportFinalOnly: exportFinalOnly.checked });
+    });
+    exportEndnotes.addEventListener('change', () => {
+        window.AppStore.updateSettings({ endnotes: exportEndnotes.checked });
+    });
+    ['app:state-loaded', 'app:book-synced', 'app:settings-updated'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            const settings = window.AppStore.getState().settings;
+            exportFinalOnly.checked = !!settings.exportFinalOnly;
+            exportEndnotes.checked = !!settings.endnotes;
+        });
+    });
+
+    // Boîte d'options EPUB : chaque option est enregistrée dans les réglages du livre dès qu'elle change
+    epubVersionInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            if (input.checked) window.AppStore.updateSettings({ epubVersion: input.value });
+        });
+    });
+    epubTitlePage.addEventListener('change', () => {
+        window.AppStore.updateSettings({ epubTitlePage: epubTitlePage.checked });
+    });
+    epubToc.addEventListener('change', () => {
+        window.AppStore.updateSettings({ epubToc: epubToc.checked });
+    });
+    epubHeadingStyle.addEventListener('change', () => {
+        window.AppStore.updateSettings({ epubHeadingStyle: epubHeadingStyle.value });
+    });
+    epubFileName.addEventListener('change', () => {
+        window.AppStore.updateSettings({ epubFileName: epubFileName.value.trim() });
+    });
+    epubFileName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            btnConfirmExport.click();
+        }
+    });
+    btnCancelExport.addEventListener('click', () => exportDialog.close());
+    btnConfirmExport.addEventListener('click', () => {
+        // Le nom saisi est enregistré même sans perte de focus préalable
+        if (epubFileName.value.trim() !== window.AppStore.getState().settings.epubFileName) {
+            window.AppStore.updateSettings({ epubFileName: epubFileName.value.trim() });
+        }
+        exportDialog.close();
+        handleExportEpub();
+    });
+    ['app:state-loaded', 'app:book-synced', 'app:settings-updated', 'app:metadata-updated'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (exportDialog.open) renderExportOptions();
+        });
+    });
+
     // Événements pour le nouveau bouton d'importation
     btnImport.addEventListener('click', () => {
         // Simule un clic sur l'input type="file" masqué
@@ -258,15 +774,36 @@
     fileImport.addEventListener('change', (e) => {
         const files = e.target.files;
         if (files.length > 0) {
-            processImportFile(files);
+            processImportFile(files[0]);
             // Réinitialisation de la valeur pour permettre de réimporter le même fichier
             e.target.value = '';
         }
     });
 
+    // Manuscrit Word : aperçu du découpage puis confirmation
+    docxSplitLevel.addEventListener('change', renderDocxPreview);
+    btnConfirmDocx.addEventListener('click', confirmDocxImport);
+    btnCancelDocx.addEventListener('click', () => docxDialog.close());
+    docxDialog.addEventListener('close', () => {
+        pendingDocx = null;
+    });
+
+    // Projet natif : enregistrement et ouverture via un input masqué
+    btnSaveProject.addEventListener('click', handleSaveProject);
+    btnOpenProject.addEventListener('click', () => fileProject.click());
+
+    fileProject.addEventListener('change', (e) => {
+        const files = e.target.files;
+        if (files.length > 0) {
+            openProjectFile(files[0]);
+            e.target.value = '';
+        }
+    });
+
     // Événements de Drag & Drop sur le textarea de l'éditeur
     editorElement.addEventListener('dragover', handleDragOver);
     editorElement.addEventListener('dragleave', handleDragLeave);
     editorElement.addEventListener('drop', handleDrop);
+    editorElement.addEventListener('paste', handlePaste);
 
 })();
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * library.js
+ * Composant UI de la bibliothèque (gestion multi-livres).
+ * Responsabilités : Afficher la liste des livres, créer, dupliquer, renommer, supprimer
+ * et basculer d'un livre à l'autre via l'AppStore.
+ */
+
+(function() {
+    'use strict';
+
+    const btnLibrary = document.getElementById('btn-library');
+    const libraryDialog = document.getElementById('library-dialog');
+    const bookList = document.getElementById('book-list');
+    const btnNewBook = document.getElementById('btn-new-book');
+    const btnCloseLibrary = document.getElementById('btn-close-library');
+
+    /**
+     * Formate la date de dernière modification d'un livre.
+     */
+    function formatDate(timestamp) {
+        if (!timestamp) return '';
+        return new Date(timestamp).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+    }
+
+    /**
+     * Reconstruit entièrement la liste des livres.
+     */
+    function renderBookList() {
+        const books = window.AppStore.listBooks();
+        bookList.innerHTML = '';
+
+        books.forEach(book => {
+            const li = document.createElement('li');
+            li.className = 'book-item';
+            if (book.isCurrent) li.classList.add('active');
+            li.setAttribute('data-id', book.id);
+
+            const info = document.createElement('div');
+            info.className = 'book-info';
+
+            const titleSpan = document.createElement('span');
+            titleSpan.className = 'book-title';
+            titleSpan.textContent = book.title || 'Livre sans titre';
+            titleSpan.title = 'Cliquez pour ouvrir ce livre';
+
+            const dateSpan = document.createElement('span');
+            dateSpan.className = 'book-date';
+            dateSpan.textContent = formatDate(book.updatedAt);
+
+            info.appendChild(titleSpan);
+            info.appendChild(dateSpan);
+
+            const actions = document.createElement('div');
+            actions.className = 'book-actions';
+            [
+                { action: 'rename', label: '✏️', title: 'Renommer ce livre' },
+                { action: 'duplicate', label: '📄', title: 'Dupliquer ce livre' },
+                { action: 'delete', label: '🗑️', title: 'Supprimer ce livre' }
+            ].forEach(def => {
+                const btn = document.createElement('button');
+                btn.setAttribute('data-action', def.action);
+                btn.textContent = def.label;
+                btn.title = def.title;
+                actions.appendChild(btn);
+            });
+
+            li.appendChild(info);
+            li.appendChild(actions);
+            bookList.appendChild(li);
+        });
+    }
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    btnLibrary.addEventListener('click', () => {
+        renderBookList();
+        libraryDialog.showModal();
+    });
+
+    btnCloseLibrary.addEventListener('click', () => libraryDialog.close());
+
+    btnNewBook.addEventListener('click', async () => {
+        const title = prompt("Titre du nouveau livre :", "Nouveau livre");
+        if (title === null) return;
+        await window.AppStore.createBook(title.trim());
+        libraryDialog.close();
+    });
+
+    bookList.addEventListener('click', async (e) => {
+        const li = e.target.closest('.book-item');
+        if (!li) return;
+
+        const bookId = li.getAttribute('data-id');
+        const actionBtn = e.target.closest('[data-action]');
+
+        if (!actionBtn) {
+            await window.AppStore.switchBook(bookId);
+            libraryDialog.close();
+            return;
+        }
+
+        const book = window.AppStore.listBooks().find(b => b.id === bookId);
+        const bookTitle = (book && book.title) || 'Livre sans titre';
+
+        switch (actionBtn.getAttribute('data-action')) {
+            case 'rename': {
+                const newTitle = prompt("Nouveau titre :", bookTitle);
+                if (newTitle !== null) await window.AppStore.renameBook(bookId, newTitle);
+                break;
+            }
+            case 'duplicate':
+                await window.AppStore.duplicateBook(bookId);
+                break;
+            case 'delete':
+                if (confirm(`Voulez-vous vraiment supprimer « ${bookTitle} » et tous ses chapitres ?\nCette action est irréversible.`)) {
+                    await window.AppStore.deleteBook(bookId);
+                }
+                break;
+        }
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    window.addEventListener('app:library-updated', () => {
+        if (libraryDialog.open) renderBookList();
+    });
+
+})();
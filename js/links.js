@@ -0,0 +1,67 @@
+/**
+ * links.js
+ * Index des liens entre chapitres (#chapitre:cible).
+ * Responsabilités : Résoudre une cible (identifiant de chapitre, titre de chapitre ou titre de section)
+ * vers un chapitre et une ancre, et lister les liens dont la cible est introuvable avant un export.
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Construit un résolveur de cibles sur un ensemble de chapitres (ordre de lecture).
+     * Priorité : identifiant de chapitre, puis titre de chapitre, puis premier titre de section correspondant.
+     * @param {Array} chapters Chapitres { id, title } de l'AppStore
+     * @returns {Function} (cible) => { chapterId, slug } (slug null pour viser le début du chapitre) ou null
+     */
+    function createResolver(chapters) {
+        const byId = new Set();
+        const byTitle = new Map();
+        const byHeading = new Map();
+
+        chapters.forEach(chap => {
+            byId.add(chap.id);
+            const titleSlug = window.Parser.slugify(chap.title);
+            if (titleSlug && !byTitle.has(titleSlug)) byTitle.set(titleSlug, chap.id);
+
+            window.Parser.getHeadings(window.AppStore.getChapterContent(chap.id)).forEach(heading => {
+                if (!byHeading.has(heading.slug)) byHeading.set(heading.slug, chap.id);
+            });
+        });
+
+        return function resolve(target) {
+            const value = target.trim();
+            if (byId.has(value)) return { chapterId: value, slug: null };
+
+            const slug = window.Parser.slugify(value);
+            if (!slug) return null;
+            if (byTitle.has(slug)) return { chapterId: byTitle.get(slug), slug: null };
+            if (byHeading.has(slug)) return { chapterId: byHeading.get(slug), slug };
+            return null;
+        };
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.ChapterLinks)
+    // ========================================================================
+    window.ChapterLinks = {
+        createResolver,
+
+        /**
+         * Liste les liens entre chapitres dont la cible n'existe pas parmi les chapitres donnés
+         * (une cible exclue de l'export est donc signalée).
+         * @returns {Array<{chapterId: string, chapterTitle: string, target: string}>}
+         */
+        findBroken(chapters) {
+            const resolve = createResolver(chapters);
+            const broken = [];
+            chapters.forEach(chap => {
+                window.Parser.getChapterLinks(window.AppStore.getChapterContent(chap.id)).forEach(target => {
+                    if (!resolve(target)) broken.push({ chapterId: chap.id, chapterTitle: chap.title, target });
+                });
+            });
+            return broken;
+        }
+    };
+
+})();
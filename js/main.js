@@ -2,7 +2,7 @@
  * main.js
  * Orchestrateur principal de l'application.
  * Responsabilités : Initialisation au démarrage, liaison des métadonnées avec le Store,
- * et gestion du basculement de thème (clair/sombre) persistant.
+ * gestion du basculement de thème (clair/sombre) persistant et raccourcis annuler/rétablir.
  */
 
 (function() {
@@ -17,6 +17,10 @@
     const btnThemeToggle = document.getElementById('btn-theme-toggle');
     const htmlRoot = document.documentElement;
 
+    // Éléments du DOM (Annuler / Rétablir)
+    const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
+
     // Clé de stockage locale indépendante pour le thème visuel
     const THEME_STORAGE_KEY = 'epub_editor_theme';
 
@@ -51,6 +55,36 @@
         }
     }
 
+    /**
+     * Met à jour l'état et l'info-bulle des boutons annuler / rétablir.
+     */
+    function updateHistoryButtons(status) {
+        btnUndo.disabled = !status.canUndo;
+        btnRedo.disabled = !status.canRedo;
+        btnUndo.title = status.canUndo ? `Annuler : ${status.undoLabel} (Ctrl+Z)` : 'Annuler (Ctrl+Z)';
+        btnRedo.title = status.canRedo ? `Rétablir : ${status.redoLabel} (Ctrl+Shift+Z)` : 'Rétablir (Ctrl+Shift+Z)';
+    }
+
+    /**
+     * Raccourcis globaux Ctrl+Z / Ctrl+Shift+Z (et Ctrl+Y).
+     * Ignorés dans les champs de saisie pour laisser l'annulation native du texte fonctionner.
+     */
+    function handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const target = e.target;
+        if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT' || target.isContentEditable)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            window.AppStore.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            window.AppStore.redo();
+        }
+    }
+
     // ========================================================================
     // LIAISON DE DONNÉES (DATA-BINDING) : VUE -> STORE
     // ========================================================================
@@ -69,18 +103,37 @@
 
     btnThemeToggle.addEventListener('click', toggleTheme);
 
+    btnUndo.addEventListener('click', () => window.AppStore.undo());
+    btnRedo.addEventListener('click', () => window.AppStore.redo());
+    document.addEventListener('keydown', handleHistoryShortcut);
+
     // ========================================================================
     // INITIALISATION : STORE -> VUE
     // ========================================================================
 
-    // Remplissage des champs de métadonnées lorsque le Store a terminé de charger les sauvegardes
+    /**
+     * Recopie les métadonnées du Store dans les champs de la barre d'outils.
+     * Les champs sont toujours réécrits pour ne pas garder les valeurs d'un autre livre.
+     */
+    function fillMetadataInputs(metadata) {
+        if (!metadata) return;
+        inputTitle.value = metadata.title || '';
+        inputAuthor.value = metadata.author || '';
+        inputLanguage.value = metadata.language || 'fr';
+    }
+
+    // Remplissage des champs de métadonnées lorsque le Store a chargé un livre (démarrage ou changement de livre)
     window.addEventListener('app:state-loaded', (e) => {
-        const state = e.detail;
-        if (state.metadata) {
-            if (state.metadata.title) inputTitle.value = state.metadata.title;
-            if (state.metadata.author) inputAuthor.value = state.metadata.author;
-            if (state.metadata.language) inputLanguage.value = state.metadata.language;
-        }
+        fillMetadataInputs(e.detail.metadata);
+    });
+
+    window.addEventListener('app:history-changed', (e) => {
+        updateHistoryButtons(e.detail);
+    });
+
+    // Mise à jour des champs lorsque le Store modifie lui-même les métadonnées (ex : renommage depuis la bibliothèque)
+    window.addEventListener('app:metadata-updated', (e) => {
+        fillMetadataInputs(e.detail);
     });
 
     // Démarrage de l'application
@@ -88,7 +141,7 @@
         initTheme();
         
         // Le lancement de l'initialisation du Store est la seule action nécessaire.
-        // Cela va lire le localStorage et déclencher les événements qui mettront à jour
+        // Cela va lire le stockage local (IndexedDB) et déclencher les événements qui mettront à jour
         // automatiquement la liste des chapitres, l'éditeur et la prévisualisation.
         window.AppStore.init();
     });
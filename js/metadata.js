@@ -0,0 +1,193 @@
+/**
+ * metadata.js
+ * Composant UI des métadonnées de publication du livre.
+ * Responsabilités : Éditer la couverture, l'ISBN, l'éditeur, la description, les sujets, les droits,
+ * la date de publication, la série et les contributeurs (avec leur rôle MARC), en liaison directe avec l'AppStore.
+ */
+
+(function() {
+    'use strict';
+
+    const btnMetadata = document.getElementById('btn-metadata');
+    const metadataDialog = document.getElementById('metadata-dialog');
+    const inputSubjects = document.getElementById('meta-subjects');
+    const contributorList = document.getElementById('contributor-list');
+    const btnAddContributor = document.getElementById('btn-add-contributor');
+    const btnCloseMetadata = document.getElementById('btn-close-metadata');
+
+    // Couverture
+    const coverPreview = document.getElementById('cover-preview');
+    const coverEmpty = document.getElementById('cover-empty');
+    const fileCover = document.getElementById('file-cover');
+    const btnChooseCover = document.getElementById('btn-choose-cover');
+    const btnRemoveCover = document.getElementById('btn-remove-cover');
+
+    // Champs texte simples : l'attribut data-key donne la clé de métadonnée correspondante
+    const simpleFields = Array.from(metadataDialog.querySelectorAll('[data-key]'));
+
+    /**
+     * Crée la ligne d'un contributeur (nom, rôle, suppression).
+     */
+    function createContributorRow(contributor) {
+        const li = document.createElement('li');
+        li.className = 'contributor-row';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'contributor-name';
+        nameInput.placeholder = 'Nom du contributeur';
+        nameInput.value = contributor.name;
+
+        const roleSelect = document.createElement('select');
+        roleSelect.className = 'contributor-role';
+        Object.entries(window.AppStore.CONTRIBUTOR_ROLES).forEach(([code, label]) => {
+            roleSelect.appendChild(new Option(label, code));
+        });
+        roleSelect.value = contributor.role;
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'contributor-delete';
+        deleteBtn.textContent = '✖';
+        deleteBtn.title = 'Retirer ce contributeur';
+
+        li.appendChild(nameInput);
+        li.appendChild(roleSelect);
+        li.appendChild(deleteBtn);
+        return li;
+    }
+
+    /**
+     * Affiche l'aperçu de la couverture du livre ouvert.
+     */
+    async function renderCover() {
+        const cover = await window.AppStore.getCoverImage();
+        coverPreview.hidden = !cover;
+        coverEmpty.hidden = !!cover;
+        btnRemoveCover.disabled = !cover;
+        if (cover) {
+            coverPreview.src = cover.dataUrl;
+        } else {
+            coverPreview.removeAttribute('src');
+        }
+    }
+
+    /**
+     * Lit l'image choisie et la définit comme couverture.
+     */
+    function loadCoverFile(file) {
+        if (file.type !== 'image/jpeg' && file.type !== 'image/png') {
+            alert("Format non supporté. Veuillez choisir une image JPEG ou PNG.");
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = async function(event) {
+            await window.AppStore.setCoverImage({ name: `cover.${file.type === 'image/png' ? 'png' : 'jpg'}`, mediaType: file.type, dataUrl: event.target.result });
+            renderCover();
+        };
+        reader.onerror = function() {
+            alert("Erreur lors de la lecture de l'image.");
+        };
+        reader.readAsDataURL(file);
+    }
+
+    /**
+     * Recopie les métadonnées du livre ouvert dans la fenêtre.
+     */
+    function fillDialog() {
+        const metadata = window.AppStore.getState().metadata;
+        simpleFields.forEach(field => {
+            field.value = metadata[field.getAttribute('data-key')] || '';
+        });
+        inputSubjects.value = metadata.subjects.join(', ');
+
+        contributorList.innerHTML = '';
+        metadata.contributors.forEach(contributor => {
+            contributorList.appendChild(createContributorRow(contributor));
+        });
+        renderCover();
+    }
+
+    /**
+     * Relit la liste des contributeurs affichée et l'enregistre (les lignes sans nom sont conservées à l'écran
+     * mais ignorées à l'export).
+     */
+    function saveContributors() {
+        const contributors = Array.from(contributorList.children).map(li => ({
+            name: li.querySelector('.contributor-name').value,
+            role: li.querySelector('.contributor-role').value
+        }));
+        window.AppStore.updateMetadata('contributors', contributors);
+    }
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    btnMetadata.addEventListener('click', () => {
+        fillDialog();
+        metadataDialog.showModal();
+    });
+
+    btnCloseMetadata.addEventListener('click', () => metadataDialog.close());
+
+    btnChooseCover.addEventListener('click', () => fileCover.click());
+
+    fileCover.addEventListener('change', (e) => {
+        const files = e.target.files;
+        if (files.length > 0) {
+            loadCoverFile(files[0]);
+            e.target.value = '';
+        }
+    });
+
+    btnRemoveCover.addEventListener('click', () => {
+        if (confirm("Retirer la couverture du livre ?")) {
+            window.AppStore.removeCoverImage();
+            renderCover();
+        }
+    });
+
+    simpleFields.forEach(field => {
+        field.addEventListener('input', () => {
+            window.AppStore.updateMetadata(field.getAttribute('data-key'), field.value);
+        });
+    });
+
+    inputSubjects.addEventListener('input', () => {
+        const subjects = inputSubjects.value.split(',').map(subject => subject.trim()).filter(Boolean);
+        window.AppStore.updateMetadata('subjects', subjects);
+    });
+
+    btnAddContributor.addEventListener('click', () => {
+        const row = createContributorRow({ name: '', role: 'trl' });
+        contributorList.appendChild(row);
+        row.querySelector('.contributor-name').focus();
+        saveContributors();
+    });
+
+    contributorList.addEventListener('input', saveContributors);
+    contributorList.addEventListener('change', saveContributors);
+
+    contributorList.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.contributor-delete');
+        if (!deleteBtn) return;
+        deleteBtn.closest('.contributor-row').remove();
+        saveContributors();
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    // Changement de livre : la fenêtre porte sur le livre ouvert
+    window.addEventListener('app:state-loaded', () => {
+        if (metadataDialog.open) metadataDialog.close();
+    });
+
+    // Métadonnées modifiées ailleurs (autre onglet) : on rafraîchit si la fenêtre n'est pas en cours de saisie
+    window.addEventListener('app:metadata-updated', () => {
+        if (metadataDialog.open && !metadataDialog.contains(document.activeElement)) fillDialog();
+    });
+
+})();
@@ -2,7 +2,9 @@
  * parser.js
  * Parseur Markdown et gestionnaire de structure du livre.
  * Responsabilités : Convertir le MD en HTML, injecter les numéros de ligne pour la synchro,
- * découper un texte brut en chapitres et réassembler les chapitres.
+ * identifier les titres (ancres) et les paragraphes de dialogue (une réplique par paragraphe), interpréter les liens entre chapitres (#chapitre:cible),
+ * rendre les notes ([^1]) en notes de bas de page ou en notes EPUB 3 (pop-up), découper un texte brut
+ * en chapitres, réassembler les chapitres et repérer les images du livre (références Markdown vers le dossier images/).
  */
 
 (function() {
@@ -28,8 +30,7 @@
                 // Si le token est un élément de bloc et qu'il possède un mapping de lignes
                 if (token.map && token.type !== 'inline') {
                     // map correspond à la ligne de début. 
-                    // CORRECTION : Restauration de la syntaxe du tableau pour l'attribut HTML
-                    token.attrPush(['data-source-line', String(token.map + 1)]);
+                    token.attrPush(['data-source-line', String(token.map[0] + 1)]);
                 }
             });
         });
@@ -37,20 +38,311 @@
 
     md.use(injectLineNumbers);
 
+    // Préfixe des liens entre chapitres : [voir](#chapitre:Le départ) vise un chapitre (identifiant ou titre)
+    // ou un titre de section du livre (comparés sous forme de slug).
+    const CHAPTER_LINK_PREFIX = '#chapitre:';
+
+    /**
+     * Forme normalisée d'un titre pour les ancres et les comparaisons (« Le Départ ! » -> « le-depart »).
+     */
+    function slugify(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Plugin markdown-it : donne à chaque titre un identifiant dérivé de son texte (unique dans le chapitre),
+     * préfixé par env.docId lorsque plusieurs chapitres partagent une même page.
+     * Le slug seul est conservé dans token.meta pour l'index des liens.
+     */
+    function injectHeadingIds(md) {
+        md.core.ruler.push('heading_ids', function (state) {
+            const used = new Map();
+            state.tokens.forEach(function (token, index) {
+                if (token.type !== 'heading_open') return;
+
+                const base = slugify(state.tokens[index + 1].content) || 'section';
+                const count = (used.get(base) || 0) + 1;
+                used.set(base, count);
+                const slug = count > 1 ? `${base}-${count}` : base;
+
+                token.meta = { ...token.meta, slug };
+                token.attrSet('id', typeof state.env.docId === 'string' ? `${state.env.docId}-${slug}` : slug);
+            });
+        });
+    }
+
+    md.use(injectHeadingIds);
+
+    // Début d'un paragraphe de dialogue : guillemet ouvrant ou tiret de dialogue
+    const DIALOGUE_START = /^[«\u2014\u2013\u2015]/;
+
+    // Ligne qui commence une nouvelle réplique : tiret de dialogue suivi d'une espace (ordinaire ou insécable)
+    const DIALOGUE_LINE = /^\s*[\u2014\u2013\u2015]\s/;
+
+    /**
+     * Plugin markdown-it : sépare en paragraphes distincts les répliques écrites sur des lignes consécutives
+     * (« Bonjour. / — Salut. »), pour que chacune reçoive la classe et le retrait des dialogues.
+     * Chaque nouveau paragraphe garde la ligne source de sa réplique.
+     */
+    function splitDialogueLines(md) {
+        md.core.ruler.before('inline', 'dialogue_lines', function (state) {
+            for (let i = state.tokens.length - 3; i >= 0; i--) {
+                const open = state.tokens[i];
+                const inline = state.tokens[i + 1];
+                if (open.type !== 'paragraph_open' || open.hidden || !open.map || !inline.content.includes('\n')) continue;
+
+                const lines = inline.content.split('\n');
+                const starts = lines.map((line, index) => index).filter(index => index === 0 || DIALOGUE_LINE.test(lines[index]));
+                if (starts.length === 1) continue;
+
+                const replacement = [];
+                starts.forEach((start, n) => {
+                    const end = n + 1 < starts.length ? starts[n + 1] : lines.length;
+                    const map = [open.map[0] + start, open.map[0] + end];
+
+                    const paragraphOpen = new state.Token('paragraph_open', 'p', 1);
+                    const paragraphInline = new state.Token('inline', '', 0);
+                    const paragraphClose = new state.Token('paragraph_close', 'p', -1);
+                    paragraphOpen.map = map;
+                    paragraphInline.map = map;
+                    paragraphInline.content = lines.slice(start, end).join('\n').trim();
+                    paragraphInline.children = [];
+                    [paragraphOpen, paragraphInline, paragraphClose].forEach(token => {
+                        token.block = true;
+                        token.level = open.level;
+                    });
+                    paragraphInline.level = inline.level;
+                    replacement.push(paragraphOpen, paragraphInline, paragraphClose);
+                });
+                state.tokens.splice(i, 3, ...replacement);
+            }
+        });
+    }
+
+    md.use(splitDialogueLines);
+
+    /**
+     * Plugin markdown-it : marque les paragraphes de dialogue (classe « dialogue »),
+     * pour que la feuille de style leur applique la police des dialogues.
+     */
+    function markDialogue(md) {
+        md.core.ruler.push('dialogue_class', function (state) {
+            state.tokens.forEach(function (token, index) {
+                if (token.type !== 'paragraph_open') return;
+                if (DIALOGUE_START.test(state.tokens[index + 1].content)) token.attrJoin('class', 'dialogue');
+            });
+        });
+    }
+
+    md.use(markDialogue);
+
+    /**
+     * Renvoie la cible d'un lien entre chapitres, ou null pour un lien ordinaire.
+     */
+    function getChapterLinkTarget(href) {
+        if (!href || !href.startsWith(CHAPTER_LINK_PREFIX)) return null;
+        try {
+            return decodeURIComponent(href.substring(CHAPTER_LINK_PREFIX.length));
+        } catch (e) {
+            return href.substring(CHAPTER_LINK_PREFIX.length);
+        }
+    }
+
+    // Rendu des liens entre chapitres : env.resolveChapterLink(cible) renvoie l'adresse finale
+    // (ou null si la cible est introuvable, le lien est alors marqué « broken-link »).
+    const defaultLinkOpen = md.renderer.rules.link_open || function (tokens, idx, options, env, slf) {
+        return slf.renderToken(tokens, idx, options);
+    };
+    md.renderer.rules.link_open = function (tokens, idx, options, env, slf) {
+        const target = getChapterLinkTarget(tokens[idx].attrGet('href'));
+        if (target !== null && env.resolveChapterLink) {
+            const href = env.resolveChapterLink(target);
+            if (href) {
+                tokens[idx].attrSet('href', href);
+            } else {
+                tokens[idx].attrJoin('class', 'broken-link');
+            }
+        }
+        return defaultLinkOpen(tokens, idx, options, env, slf);
+    };
+
+    /**
+     * Variante EPUB du rendu des notes (activée par env.epub) : appels de note « noteref » et notes
+     * en <aside> (footnote ou endnote), que Kobo, Apple Books et d'autres liseuses affichent en pop-up.
+     * Le conteneur des notes n'est pas rendu : l'export le construit selon l'emplacement choisi.
+     *
+     * Options lues dans env : noteType ('footnote' | 'endnote'), notesHref (fichier des notes, si distinct
+     * du chapitre), textHref (fichier du chapitre, pour le lien retour depuis les notes de fin).
+     */
+    function useEpubNotes(md) {
+        const rules = md.renderer.rules;
+        const html = {
+            footnote_ref: rules.footnote_ref,
+            footnote_block_open: rules.footnote_block_open,
+            footnote_block_close: rules.footnote_block_close,
+            footnote_open: rules.footnote_open,
+            footnote_close: rules.footnote_close,
+            footnote_anchor: rules.footnote_anchor
+        };
+
+        // Identifiant d'une note ou d'un de ses appels (un appel répété porte un sous-numéro).
+        // Le « : » du rendu HTML est remplacé par « _ », un identifiant XML ne pouvant pas en contenir.
+        const noteId = (tokens, idx, options, env, slf) => {
+            const id = slf.rules.footnote_anchor_name(tokens, idx, options, env, slf);
+            return tokens[idx].meta.subId > 0 ? `${id}_${tokens[idx].meta.subId}` : id;
+        };
+
+        const epub = {
+            footnote_ref(tokens, idx, options, env, slf) {
+                const id = slf.rules.footnote_anchor_name(tokens, idx, options, env, slf);
+                const number = tokens[idx].meta.id + 1;
+                return `<sup><a epub:type="noteref" href="${env.notesHref || ''}#fn${id}" id="fnref${noteId(tokens, idx, options, env, slf)}">${number}</a></sup>`;
+            },
+            footnote_block_open: () => '',
+            footnote_block_close: () => '',
+            footnote_open(tokens, idx, options, env, slf) {
+                return `<aside epub:type="${env.noteType || 'footnote'}" id="fn${noteId(tokens, idx, options, env, slf)}" class="note">\n`;
+            },
+            footnote_close: () => '</aside>\n',
+            footnote_anchor(tokens, idx, options, env, slf) {
+                return ` <a href="${env.textHref || ''}#fnref${noteId(tokens, idx, options, env, slf)}" class="footnote-backref">\u21a9\uFE0E</a>`;
+            }
+        };
+
+        Object.keys(html).forEach(name => {
+            rules[name] = (tokens, idx, options, env, slf) => (env.epub ? epub : html)[name](tokens, idx, options, env, slf);
+        });
+    }
+
+    // Notes ([^1] et [^1]: texte) : extension markdown-it-footnote (chargée via CDN)
+    if (window.markdownitFootnote) {
+        md.use(window.markdownitFootnote);
+        useEpubNotes(md);
+    }
+
+    /**
+     * Applique le moteur typographique avant le rendu Markdown.
+     */
+    function preprocess(rawText) {
+        const text = window.TypographyEngine
+            ? window.TypographyEngine.process(rawText)
+            : rawText;
+        // Une adresse Markdown ne peut pas contenir d'espace : les cibles #chapitre:Le départ sont mises entre < >
+        return text.replace(/\]\((#chapitre:[^()<>\n]*\s[^()<>\n]*)\)/g, '](<$1>)');
+    }
+
+    // Dossier des images du livre : une référence « images/nom.png » désigne la ressource « nom.png »
+    const IMAGE_DIR = 'images/';
+
+    /**
+     * Renvoie le nom de la ressource désignée par une URL d'image, ou null si elle ne pointe pas vers le livre.
+     */
+    function getImageName(src) {
+        if (!src || !src.startsWith(IMAGE_DIR)) return null;
+        try {
+            return decodeURIComponent(src.substring(IMAGE_DIR.length));
+        } catch (e) {
+            return src.substring(IMAGE_DIR.length);
+        }
+    }
+
     window.Parser = {
+        IMAGE_DIR,
+        CHAPTER_LINK_PREFIX,
+        getImageName,
+        getChapterLinkTarget,
+        slugify,
+
+        /**
+         * Construit la référence Markdown d'une image du livre.
+         */
+        imageReference(name, alt = '') {
+            return `![${alt.replace(/[[\]]/g, '')}](${IMAGE_DIR}${encodeURI(name)})`;
+        },
+
+        /**
+         * Liste (sans doublon) les noms des images du livre référencées par un texte Markdown.
+         * Les blocs de code sont ignorés puisque markdown-it n'y produit pas d'image.
+         */
+        getImageReferences(rawText) {
+            const names = new Set();
+            if (!rawText) return [];
+
+            const visit = (tokens) => tokens.forEach(token => {
+                if (token.type === 'image') {
+                    const name = getImageName(token.attrGet('src'));
+                    if (name !== null) names.add(name);
+                }
+                if (token.children) visit(token.children);
+            });
+            visit(md.parse(rawText, {}));
+            return Array.from(names);
+        },
+
         /**
          * Convertit le contenu d'un chapitre en HTML prêt pour la prévisualisation.
+         * @param {Object} [env] Environnement markdown-it (docId préfixe les identifiants des notes)
          */
-        render(rawText) {
+        render(rawText, env = {}) {
             if (!rawText) return '';
             
             // 1. Appliquer les corrections typographiques et d'espacement métier
-            const processedText = window.TypographyEngine 
-                ? window.TypographyEngine.process(rawText) 
-                : rawText;
+            const processedText = preprocess(rawText);
             
             // 2. Transformer en HTML avec les lignes source injectées
-            return md.render(processedText);
+            return md.render(processedText, env);
+        },
+
+        /**
+         * Liste les titres de section d'un texte Markdown avec leur slug (identifiant d'ancre sans préfixe).
+         * @returns {Array<{text: string, slug: string}>}
+         */
+        getHeadings(rawText) {
+            if (!rawText) return [];
+            const tokens = md.parse(preprocess(rawText), {});
+            return tokens
+                .map((token, index) => ({ token, inline: tokens[index + 1] }))
+                .filter(({ token }) => token.type === 'heading_open')
+                .map(({ token, inline }) => ({ text: inline.content, slug: token.meta.slug }));
+        },
+
+        /**
+         * Liste (sans doublon) les cibles des liens entre chapitres d'un texte Markdown.
+         */
+        getChapterLinks(rawText) {
+            const targets = new Set();
+            if (!rawText || !rawText.includes(CHAPTER_LINK_PREFIX)) return [];
+
+            md.parse(preprocess(rawText), {}).forEach(token => {
+                (token.children || []).forEach(child => {
+                    if (child.type !== 'link_open') return;
+                    const target = getChapterLinkTarget(child.attrGet('href'));
+                    if (target !== null) targets.add(target);
+                });
+            });
+            return Array.from(targets);
+        },
+
+        /**
+         * Rend un chapitre en séparant le texte de ses notes, pour que l'export les place
+         * en bas du chapitre ou les regroupe en fin de livre.
+         * @param {Object} [env] Environnement markdown-it (docId, epub, noteType, notesHref, textHref)
+         * @returns {{body: string, notes: string}} notes vaut '' si le chapitre n'en contient pas
+         */
+        renderWithNotes(rawText, env = {}) {
+            if (!rawText) return { body: '', notes: '' };
+
+            const tokens = md.parse(preprocess(rawText), env);
+            const notesStart = tokens.findIndex(token => token.type === 'footnote_block_open');
+            if (notesStart === -1) return { body: md.renderer.render(tokens, md.options, env), notes: '' };
+
+            return {
+                body: md.renderer.render(tokens.slice(0, notesStart), md.options, env),
+                notes: md.renderer.render(tokens.slice(notesStart), md.options, env)
+            };
         },
 
         /**
@@ -58,13 +350,12 @@
          * Utilisé lors de l'import.
          */
         getChapters(fullText) {
-            if (!fullText) return[];
+            if (!fullText) return [];
 
             // Normalisation des sauts de ligne (Windows/Mac/Linux)
             const text = fullText.replace(/\r\n/g, '\n');
-            const chapters =[];
+            const chapters = [];
             
-            // CORRECTION : Restauration du point (.) pour capturer tous les caractères du titre
             const regex = /(?:^|\n)####\s+(.+)/g;
             let match;
             
@@ -77,8 +368,7 @@
                     chapters.push({ title: "Introduction", content: introText });
                 }
                 
-                // CORRECTION : Restauration de l'index d'accès au groupe de capture
-                let currentTitle = firstMatch.trim();
+                let currentTitle = firstMatch[1].trim();
                 let currentStartIndex = regex.lastIndex;
                 
                 // Parcours itératif des autres délimiteurs
@@ -90,8 +380,7 @@
                         content: content.replace(/^\n+/, '').replace(/\n+$/, '') 
                     });
                     
-                    // CORRECTION : Restauration de l'accès au tableau
-                    currentTitle = match.trim();
+                    currentTitle = match[1].trim();
                     currentStartIndex = regex.lastIndex;
                 }
                 
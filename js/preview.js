@@ -1,8 +1,9 @@
 /**
  * preview.js
  * Contrôleur de la prévisualisation et de la synchronisation de défilement.
- * Responsabilités : Rendre le HTML avec un debounce (280ms), synchroniser le curseur
- * de l'éditeur avec la prévisualisation et vice versa (mutuellement exclusif).
+ * Responsabilités : Rendre le HTML avec un debounce (280ms), résoudre les images du livre,
+ * appliquer le style et les polices du livre, suivre les liens entre chapitres (#chapitre:cible) en changeant de chapitre,
+ * synchroniser le curseur de l'éditeur avec la prévisualisation et vice versa (mutuellement exclusif).
  */
 
 (function() {
@@ -13,10 +14,60 @@
     const previewContent = document.getElementById('preview-content');
     const lineNumbers = document.getElementById('line-numbers');
 
+    // Préfixe des identifiants produits par le rendu (titres, notes)
+    const PREVIEW_DOC_ID = 'preview';
+
     let renderTimeout = null;
     let syncLock = false; // Verrou pour éviter les boucles de synchronisation
     let currentHighlight = null; // Élément HTML actuellement en surbrillance
 
+    // Modèle de style et polices du livre appliqués à la prévisualisation
+    const bookStyle = document.createElement('style');
+    bookStyle.id = 'book-style';
+    document.head.appendChild(bookStyle);
+    let styleRequest = 0; // Seul le dernier chargement des polices est appliqué
+
+    /**
+     * Remplace les références images/nom par les données de la ressource correspondante.
+     * Les images absentes du livre sont signalées au lieu d'être chargées.
+     */
+    function resolveImages(root) {
+        root.querySelectorAll('img').forEach(img => {
+            const name = window.Parser.getImageName(img.getAttribute('src'));
+            if (name === null) return;
+
+            img.removeAttribute('src');
+            const markMissing = () => {
+                img.classList.add('missing-image');
+                img.title = `Image introuvable dans le livre : ${name}`;
+            };
+
+            const asset = window.AppStore.findAssetByName(name);
+            if (!asset) {
+                markMissing();
+                return;
+            }
+            window.AppStore.getAssetData(asset.id).then(dataUrl => {
+                if (dataUrl) {
+                    img.src = dataUrl;
+                } else {
+                    markMissing();
+                }
+            });
+        });
+    }
+
+    /**
+     * Applique le modèle de style du livre et ses polices (en data URL) à la zone de prévisualisation.
+     * Le CSS avancé y est limité pour ne pas toucher l'interface de l'application.
+     */
+    async function renderBookStyle() {
+        const request = ++styleRequest;
+        const fontCss = await window.BookFonts.buildInlineCss('#preview-content');
+        if (request !== styleRequest) return;
+        bookStyle.textContent = window.BookStyle.buildCss({ scope: '#preview-content', chapter: '#preview-content', fontCss, isolateCustom: true });
+    }
+
     /**
      * Rendu du contenu Markdown en HTML.
      */
@@ -26,9 +77,20 @@
             return;
         }
         
-        // Utilisation du parseur global qui injecte les data-source-line
-        const html = window.Parser.render(content);
-        previewContent.innerHTML = html;
+        // Utilisation du parseur global qui injecte les data-source-line.
+        // Le rendu passe par un <template> (inerte) pour que les chemins images/ ne soient jamais requêtés.
+        // Les liens entre chapitres sont vérifiés (les cibles introuvables sont signalées) mais gardent leur adresse.
+        // docId : les identifiants des titres et des notes ne doivent pas reprendre ceux de l'interface (#preview-content…)
+        const env = { docId: PREVIEW_DOC_ID };
+        if (content.includes(window.Parser.CHAPTER_LINK_PREFIX)) {
+            const resolve = window.ChapterLinks.createResolver(window.AppStore.getState().chapters);
+            env.resolveChapterLink = target => (resolve(target) ? window.Parser.CHAPTER_LINK_PREFIX + encodeURIComponent(target) : null);
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = window.Parser.render(content, env);
+        resolveImages(template.content);
+        previewContent.replaceChildren(template.content);
     }
 
     /**
@@ -53,16 +115,14 @@
         const currentLine = textBeforeCursor.split('\n').length;
 
         // 2. Recherche de l'élément HTML correspondant (ou le plus proche parent précédent)
-        // CORRECTION : Restauration du sélecteur d'attribut
-        const elements = Array.from(previewContent.querySelectorAll(''));
+        const elements = Array.from(previewContent.querySelectorAll('[data-source-line]'));
         if (elements.length === 0) return;
 
-        let targetElement = elements;
+        let targetElement = elements[0];
         for (let i = 0; i < elements.length; i++) {
-            // CORRECTION : Restauration de l'accès au tableau via l'index
-            const lineAttr = parseInt(elements.getAttribute('data-source-line'), 10);
+            const lineAttr = parseInt(elements[i].getAttribute('data-source-line'), 10);
             if (lineAttr <= currentLine) {
-                targetElement = elements;
+                targetElement = elements[i];
             } else {
                 break; // Les éléments étant dans l'ordre du DOM, on peut s'arrêter dès qu'on dépasse
             }
@@ -101,8 +161,7 @@
         if (syncLock) return;
 
         // Cherche l'élément cliqué ou son parent le plus proche ayant l'attribut de ligne
-        // CORRECTION : Restauration du sélecteur d'attribut
-        const target = event.target.closest('');
+        const target = event.target.closest('[data-source-line]');
         if (!target) return;
 
         const lineNumber = parseInt(target.getAttribute('data-source-line'), 10);
@@ -115,8 +174,7 @@
         const lines = textarea.value.split('\n');
         let charIndex = 0;
         for (let i = 0; i < lineNumber - 1 && i < lines.length; i++) {
-            // CORRECTION : Restauration de l'accès à la longueur de la ligne spécifique
-            charIndex += lines.length + 1; // +1 pour le caractère \n
+            charIndex += lines[i].length + 1; // +1 pour le caractère \n
         }
 
         // 2. Déplacement du curseur dans l'éditeur
@@ -125,8 +183,7 @@
 
         // 3. Calcul de la position de défilement exacte via la gouttière de l'éditeur
         if (lineNumbers.children.length >= lineNumber) {
-            // CORRECTION : Restauration de l'accès à l'enfant cible
-            const targetLineNode = lineNumbers.children;
+            const targetLineNode = lineNumbers.children[lineNumber - 1];
             // On centre la ligne dans la vue du textarea (scroll - moitié de la hauteur du conteneur)
             textarea.scrollTop = targetLineNode.offsetTop - (textarea.clientHeight / 2) + 20;
         }
@@ -138,6 +195,30 @@
     }
 
 
+    /**
+     * Suit un lien entre chapitres : affiche le chapitre visé puis fait défiler jusqu'au titre visé.
+     */
+    function followChapterLink(event) {
+        const link = event.target.closest('a[href]');
+        if (!link) return;
+        const target = window.Parser.getChapterLinkTarget(link.getAttribute('href'));
+        if (target === null) return;
+
+        event.preventDefault();
+        const destination = window.ChapterLinks.createResolver(window.AppStore.getState().chapters)(target);
+        if (!destination) return;
+
+        if (destination.chapterId !== window.AppStore.getState().currentChapterId) {
+            window.AppStore.setCurrentChapter(destination.chapterId);
+        }
+        const heading = destination.slug ? previewContent.querySelector(`[id="${PREVIEW_DOC_ID}-${destination.slug}"]`) : null;
+        if (heading) {
+            heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        } else {
+            previewPanel.scrollTop = 0;
+        }
+    }
+
     // ========================================================================
     // ÉVÉNEMENTS
     // ========================================================================
@@ -149,6 +230,9 @@
     // Déclencheur de synchronisation Preview -> Éditeur
     previewContent.addEventListener('click', syncPreviewToEditor);
 
+    // Navigation par les liens entre chapitres
+    previewContent.addEventListener('click', followChapterLink);
+
     // Écoute des mises à jour du contenu via l'AppStore
     window.addEventListener('app:content-updated', (e) => {
         const newContent = e.detail;
@@ -163,13 +247,29 @@
         previewPanel.scrollTop = 0; // Remise à zéro
     });
 
-    window.addEventListener('app:book-imported', () => {
-        const state = window.AppStore.getState();
-        if (state.currentChapterId) {
-            const content = window.AppStore.getChapterContent(state.currentChapterId);
-            renderPreview(content);
-            previewPanel.scrollTop = 0;
-        }
+    // Image ajoutée ou supprimée : les références du chapitre affiché peuvent changer d'état.
+    // Langue du livre ou règles typographiques modifiées : la typographie du chapitre affiché change
+    ['app:assets-updated', 'app:settings-updated', 'app:metadata-updated'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            const state = window.AppStore.getState();
+            if (state.currentChapterId) debouncedRender(window.AppStore.getChapterContent(state.currentChapterId));
+        });
+    });
+
+    // Style et polices : réglages modifiés, police ajoutée ou supprimée, livre changé
+    ['app:settings-updated', 'app:assets-updated', 'app:book-synced', 'app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, renderBookStyle);
+    });
+
+    ['app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            const state = window.AppStore.getState();
+            if (state.currentChapterId) {
+                const content = window.AppStore.getChapterContent(state.currentChapterId);
+                renderPreview(content);
+                previewPanel.scrollTop = 0;
+            }
+        });
     });
 
 })();
\ No newline at end of file
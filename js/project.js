@@ -0,0 +1,159 @@
+/**
+ * project.js
+ * Format de projet natif (.ebookproj) : archive ZIP contenant tout le livre éditable.
+ * Responsabilités : Sérialiser le livre ouvert (métadonnées, ordre et contenu des chapitres,
+ * ressources, réglages) et relire une archive en migrant les anciennes versions du schéma.
+ *
+ * Structure de l'archive :
+ *   project.json          Manifeste (schemaVersion, métadonnées, réglages, parties, étiquettes, chapitres, ressources)
+ *   chapters/<id>.md      Contenu Markdown de chaque chapitre
+ *   assets/<nom>          Données binaires de chaque ressource
+ */
+
+(function() {
+    'use strict';
+
+    const FORMAT_NAME = 'ebookproj';
+    const MANIFEST_FILE = 'project.json';
+
+    // Version courante du schéma : à incrémenter à chaque changement de structure du manifeste,
+    // en ajoutant la migration correspondante dans MIGRATIONS.
+    const SCHEMA_VERSION = 1;
+
+    // Migrations successives : MIGRATIONS[n] convertit un manifeste de la version n vers n + 1.
+    const MIGRATIONS = {};
+
+    /**
+     * Amène un manifeste à la version courante du schéma.
+     * Les projets créés par une version plus récente de l'éditeur sont refusés.
+     */
+    function migrateManifest(manifest) {
+        let version = manifest.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error("Version du projet inconnue.");
+        }
+        if (version > SCHEMA_VERSION) {
+            throw new Error("Ce projet a été créé avec une version plus récente de l'éditeur.");
+        }
+
+        while (version < SCHEMA_VERSION) {
+            manifest = MIGRATIONS[version](manifest);
+            version++;
+            manifest.schemaVersion = version;
+        }
+        return manifest;
+    }
+
+    /**
+     * Extrait la partie base64 d'une data URL.
+     */
+    function dataUrlToBase64(dataUrl) {
+        return dataUrl.substring(dataUrl.indexOf(',') + 1);
+    }
+
+    window.ProjectFile = {
+        EXTENSION: FORMAT_NAME,
+
+        /**
+         * Construit l'archive du livre ouvert.
+         * @returns {Promise<Blob>}
+         */
+        async build() {
+            const state = window.AppStore.getState();
+            const zip = new JSZip();
+
+            const chapters = state.chapters.map(chap => {
+                const file = `chapters/${chap.id}.md`;
+                zip.file(file, window.AppStore.getChapterContent(chap.id));
+                return { ...chap, file };
+            });
+
+            const assets = [];
+            for (const asset of window.AppStore.listAssets()) {
+                const dataUrl = await window.AppStore.getAssetData(asset.id);
+                if (dataUrl === null) continue;
+                const file = `assets/${asset.name}`;
+                zip.file(file, dataUrlToBase64(dataUrl), { base64: true });
+                assets.push({ ...asset, file });
+            }
+
+            const manifest = {
+                format: FORMAT_NAME,
+                schemaVersion: SCHEMA_VERSION,
+                savedAt: new Date().toISOString(),
+                metadata: state.metadata,
+                settings: state.settings,
+                currentChapterId: state.currentChapterId,
+                parts: state.parts,
+                labels: state.labels,
+                chapters,
+                assets
+            };
+            zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+            return zip.generateAsync({
+                type: "blob",
+                compression: "DEFLATE",
+                compressionOptions: { level: 6 }
+            });
+        },
+
+        /**
+         * Lit une archive de projet et renvoie les données attendues par AppStore.createBookFromData.
+         * Les ressources du manifeste absentes de l'archive sont nommées dans missingAssets.
+         * @param {Blob|ArrayBuffer} file
+         * @throws {Error} Message lisible si l'archive est invalide
+         */
+        async parse(file) {
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(file);
+            } catch (e) {
+                throw new Error("Le fichier n'est pas une archive de projet valide.");
+            }
+
+            const manifestEntry = zip.file(MANIFEST_FILE);
+            if (!manifestEntry) throw new Error("Manifeste du projet introuvable.");
+
+            let manifest;
+            try {
+                manifest = JSON.parse(await manifestEntry.async('string'));
+            } catch (e) {
+                throw new Error("Manifeste du projet illisible.");
+            }
+            if (manifest.format !== FORMAT_NAME) throw new Error("Ce fichier n'est pas un projet d'éditeur EPUB.");
+
+            manifest = migrateManifest(manifest);
+
+            const chapters = [];
+            for (const { file, ...chap } of manifest.chapters || []) {
+                const entry = file ? zip.file(file) : null;
+                chapters.push({ ...chap, content: entry ? await entry.async('string') : '' });
+            }
+
+            const assets = [];
+            const missingAssets = [];
+            for (const { file, ...asset } of manifest.assets || []) {
+                const entry = file ? zip.file(file) : null;
+                if (!entry) {
+                    missingAssets.push(asset.name || file || asset.id);
+                    continue;
+                }
+                const base64 = await entry.async('base64');
+                assets.push({ ...asset, dataUrl: `data:${asset.mediaType};base64,${base64}` });
+            }
+
+            return {
+                metadata: manifest.metadata || {},
+                settings: manifest.settings || {},
+                currentChapterId: manifest.currentChapterId,
+                parts: manifest.parts || [],
+                labels: manifest.labels || [],
+                chapters,
+                assets,
+                missingAssets
+            };
+        }
+    };
+
+})();
@@ -0,0 +1,174 @@
+/**
+ * snapshots.js
+ * Composant UI du panneau des versions du chapitre courant.
+ * Responsabilités : Lister les versions, afficher le diff ligne à ligne avec le texte actuel,
+ * créer une version à la demande, restaurer ou supprimer une version.
+ */
+
+(function() {
+    'use strict';
+
+    const btnSnapshots = document.getElementById('btn-snapshots');
+    const snapshotsDialog = document.getElementById('snapshots-dialog');
+    const dialogTitle = document.getElementById('snapshots-title');
+    const snapshotList = document.getElementById('snapshot-list');
+    const snapshotDiff = document.getElementById('snapshot-diff');
+    const btnCreateSnapshot = document.getElementById('btn-create-snapshot');
+    const btnRestoreSnapshot = document.getElementById('btn-restore-snapshot');
+    const btnDeleteSnapshot = document.getElementById('btn-delete-snapshot');
+    const btnCloseSnapshots = document.getElementById('btn-close-snapshots');
+
+    let snapshots = [];
+    let selectedSnapshotId = null;
+
+    function formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'medium' });
+    }
+
+    function getCurrentChapter() {
+        const state = window.AppStore.getState();
+        return state.chapters.find(c => c.id === state.currentChapterId);
+    }
+
+    /**
+     * Affiche le diff entre la version sélectionnée et le texte actuel du chapitre.
+     */
+    function renderDiff() {
+        snapshotDiff.innerHTML = '';
+        const snapshot = snapshots.find(snap => snap.id === selectedSnapshotId);
+        btnRestoreSnapshot.disabled = !snapshot;
+        btnDeleteSnapshot.disabled = !snapshot;
+
+        if (!snapshot) {
+            snapshotDiff.textContent = 'Sélectionnez une version pour la comparer au texte actuel.';
+            return;
+        }
+
+        const current = window.AppStore.getChapterContent(window.AppStore.getState().currentChapterId);
+        const operations = window.TextDiff.diffLines(snapshot.content, current);
+        const summary = window.TextDiff.summarize(operations);
+
+        const legend = document.createElement('div');
+        legend.className = 'diff-legend';
+        legend.textContent = summary.added === 0 && summary.removed === 0
+            ? 'Identique au texte actuel.'
+            : `− ${summary.removed} ligne(s) de cette version · + ${summary.added} ligne(s) du texte actuel`;
+        snapshotDiff.appendChild(legend);
+
+        const pre = document.createElement('pre');
+        pre.className = 'diff-view';
+        operations.forEach(op => {
+            const line = document.createElement('div');
+            line.className = `diff-line diff-${op.type}`;
+            const marker = op.type === 'added' ? '+ ' : op.type === 'removed' ? '− ' : '  ';
+            line.textContent = marker + op.text;
+            pre.appendChild(line);
+        });
+        snapshotDiff.appendChild(pre);
+    }
+
+    /**
+     * Recharge la liste des versions du chapitre courant.
+     */
+    async function renderSnapshotList() {
+        const chapter = getCurrentChapter();
+        if (!chapter) return;
+
+        dialogTitle.textContent = `Versions de « ${chapter.title} »`;
+        snapshots = await window.AppStore.listSnapshots(chapter.id);
+        if (!snapshots.find(snap => snap.id === selectedSnapshotId)) selectedSnapshotId = null;
+
+        snapshotList.innerHTML = '';
+        if (snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'snapshot-empty';
+            empty.textContent = 'Aucune version enregistrée.';
+            snapshotList.appendChild(empty);
+        }
+
+        snapshots.forEach(snap => {
+            const li = document.createElement('li');
+            li.className = 'snapshot-item';
+            if (snap.id === selectedSnapshotId) li.classList.add('active');
+            li.setAttribute('data-id', snap.id);
+
+            const date = document.createElement('span');
+            date.className = 'snapshot-date';
+            date.textContent = formatDate(snap.timestamp);
+
+            const reason = document.createElement('span');
+            reason.className = 'snapshot-reason';
+            reason.textContent = snap.isManual ? `📌 ${snap.reason}` : snap.reason;
+
+            li.appendChild(date);
+            li.appendChild(reason);
+            snapshotList.appendChild(li);
+        });
+
+        renderDiff();
+    }
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    btnSnapshots.addEventListener('click', () => {
+        selectedSnapshotId = null;
+        renderSnapshotList();
+        snapshotsDialog.showModal();
+    });
+
+    btnCloseSnapshots.addEventListener('click', () => snapshotsDialog.close());
+
+    snapshotList.addEventListener('click', (e) => {
+        const li = e.target.closest('.snapshot-item');
+        if (!li) return;
+        selectedSnapshotId = li.getAttribute('data-id');
+        Array.from(snapshotList.children).forEach(item => {
+            item.classList.toggle('active', item === li);
+        });
+        renderDiff();
+    });
+
+    btnCreateSnapshot.addEventListener('click', async () => {
+        const chapter = getCurrentChapter();
+        if (!chapter) return;
+        const label = prompt("Nom de la version (facultatif) :", "");
+        if (label === null) return;
+        const created = await window.AppStore.createSnapshot(chapter.id, label.trim() || undefined);
+        if (!created) alert("Le texte actuel est identique à la dernière version enregistrée.");
+    });
+
+    btnRestoreSnapshot.addEventListener('click', async () => {
+        if (!selectedSnapshotId) return;
+        if (!confirm("Remplacer le texte du chapitre par cette version ?\nLe texte actuel sera conservé comme nouvelle version.")) return;
+        const restored = await window.AppStore.restoreSnapshot(selectedSnapshotId);
+        if (restored) snapshotsDialog.close();
+    });
+
+    btnDeleteSnapshot.addEventListener('click', async () => {
+        const chapter = getCurrentChapter();
+        if (!chapter || !selectedSnapshotId) return;
+        if (!confirm("Supprimer définitivement cette version ?")) return;
+        await window.AppStore.deleteSnapshot(chapter.id, selectedSnapshotId);
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    window.addEventListener('app:snapshots-changed', (e) => {
+        const chapter = getCurrentChapter();
+        if (snapshotsDialog.open && chapter && e.detail.chapterId === chapter.id) {
+            renderSnapshotList();
+        }
+    });
+
+    // Le panneau porte sur le chapitre courant : on le ferme si le chapitre ou le livre change
+    ['app:chapter-selected', 'app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (snapshotsDialog.open) snapshotsDialog.close();
+        });
+    });
+
+})();
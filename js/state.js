@@ -1,30 +1,171 @@
 /**
  * state.js
- * Gestionnaire d'état global, source de vérité et persistance multi-clés.
- * Responsabilités : CRUD des chapitres, gestion du localStorage, autosave (debounce 700ms).
+ * Gestionnaire d'état global, source de vérité et persistance via StorageAdapter.
+ * Responsabilités : CRUD des chapitres et des parties qui les regroupent, suivi éditorial des chapitres
+ * (statut, notes, objectif de mots, étiquettes), suivi des chapitres modifiés, autosave (debounce 700ms),
+ * journal annuler/rétablir des opérations structurelles, versions (instantanés) et corbeille des chapitres,
+ * synchronisation avec les autres onglets (révisions et résolution des conflits d'édition),
+ * ressources binaires du livre (assets) et création d'un livre à partir de données complètes.
  */
 
 (function() {
     'use strict';
 
-    // Clés de stockage
-    const STORAGE_KEY_META = 'epub_editor_meta';
-    const STORAGE_KEY_CHAPTER_PREFIX = 'epub_editor_chapter_';
+    const { STORES, LIBRARY_KEY, bookKey, chapterKey, assetKey, historyKey } = window.StorageAdapter;
 
-    // État interne en mémoire
-    let state = {
-        metadata: {
-            title: '',
-            author: '',
-            language: 'fr'
-        },
-        chapters:[], // Array d'objets: { id: string, title: string }
-        currentChapterId: null,
-        contents: {}  // Dictionnaire mémoire des contenus: { "id": "texte markdown..." }
+    // Réglages par livre
+    const DEFAULT_SETTINGS = {
+        trashRetentionDays: 30, // Durée de conservation des chapitres dans la corbeille
+        exportFinalOnly: false, // N'exporter que les chapitres au statut « final »
+        endnotes: false,        // Regrouper les notes dans un chapitre « Notes » en fin de livre
+        // Options de l'export EPUB
+        epubVersion: 'hybrid',      // 'hybrid' (EPUB 3 compatible EPUB 2 : NCX et guide) ou 'epub3' (EPUB 3 seul)
+        epubTitlePage: true,        // Page de titre générée
+        epubToc: true,              // Table des matières dans le fil de lecture
+        epubHeadingStyle: 'title',  // Titre imprimé des chapitres : 'title', 'number-title', 'number' ou 'none'
+        epubFileName: '',           // Nom du fichier (vide : d'après le titre du livre)
+        // Polices embarquées : identifiant de la police de chaque rôle ('' : police par défaut)
+        fontBody: '',
+        fontHeadings: '',
+        fontDialogue: '',
+        obfuscateFonts: false,      // Obscurcir les polices dans l'EPUB (algorithme IDPF)
+        // Mise en page du livre (bookstyle.js), valeurs du modèle « Roman classique »
+        stylePreset: 'classic',     // Dernier modèle appliqué
+        styleParagraph: 'indent',   // 'indent' (renfoncement) ou 'spacing' (espacement entre paragraphes)
+        styleTextAlign: 'justify',  // 'justify' ou 'left'
+        styleDropCaps: true,        // Lettrine en tête des chapitres
+        styleSceneBreak: '❦',       // Ornement des changements de scène ('' : simple filet)
+        styleBodyFont: 'serif',     // Famille du texte : 'serif' ou 'sans-serif'
+        styleHeadingFont: 'serif',  // Famille des titres : 'serif' ou 'sans-serif'
+        styleHeadingAlign: 'center', // 'center' ou 'left'
+        styleHeadingMargin: 4,      // Marge au-dessus des titres de chapitre (em)
+        styleDialogueHanging: false, // Retrait négatif des paragraphes de dialogue (le tiret déborde à gauche)
+        styleCustomCss: '',         // CSS avancé ajouté après le modèle
+        // Règles typographiques désactivées (typography.js, choisies d'après la langue) ; le mode dialogue est à activer
+        typographyDisabled: ['dialogue']
+    };
+
+    // Réglages désignant une police du livre (remis à la police par défaut si elle est supprimée)
+    const FONT_SETTINGS = ['fontBody', 'fontHeadings', 'fontDialogue'];
+
+    // Statuts éditoriaux d'un chapitre (dans l'ordre d'avancement) et leur libellé
+    const CHAPTER_STATUSES = {
+        draft: 'Brouillon',
+        revised: 'Révisé',
+        final: 'Final'
+    };
+    const DEFAULT_STATUS = 'draft';
+
+    // Types de chapitre : pages liminaires (front), corps du texte (body) et pages de fin (back).
+    // showTitle indique si le titre du chapitre est imprimé en tête de page à l'export.
+    const CHAPTER_TYPES = {
+        chapter: { label: 'Chapitre', matter: 'body', showTitle: true },
+        dedication: { label: 'Dédicace', matter: 'front', showTitle: false },
+        epigraph: { label: 'Épigraphe', matter: 'front', showTitle: false },
+        copyright: { label: 'Page de copyright', matter: 'front', showTitle: false },
+        foreword: { label: 'Avant-propos', matter: 'front', showTitle: true },
+        acknowledgments: { label: 'Remerciements', matter: 'back', showTitle: true },
+        afterword: { label: 'Postface', matter: 'back', showTitle: true },
+        about: { label: 'À propos de l\'auteur', matter: 'back', showTitle: true }
+    };
+    const DEFAULT_TYPE = 'chapter';
+
+    // Formats d'image acceptés pour la couverture (les seuls garantis sur toutes les liseuses)
+    const COVER_MEDIA_TYPES = ['image/jpeg', 'image/png'];
+
+    // Métadonnées qu'un import peut remplacer (annulées avec lui) ; cover : identifiant de la ressource
+    const IMPORTED_METADATA = ['title', 'author', 'language', 'cover'];
+
+    // Formats d'image acceptés dans le texte des chapitres (types d'images de base d'EPUB 3, lus sans solution de repli ;
+    // WebP n'en fait pas partie pour les liseuses antérieures à EPUB 3.3)
+    const IMAGE_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/svg+xml'];
+
+    // Formats de police acceptés (types de police reconnus par EPUB 3)
+    const FONT_MEDIA_TYPES = ['font/ttf', 'font/otf', 'font/woff'];
+
+    // Rôles MARC des contributeurs (codes « marc:relators ») et leur libellé
+    const CONTRIBUTOR_ROLES = {
+        aut: 'Co-auteur',
+        trl: 'Traduction',
+        edt: 'Direction d\'ouvrage',
+        ill: 'Illustrations',
+        aui: 'Préface',
+        ctb: 'Contribution'
     };
 
+    /**
+     * Crée un état de livre vierge.
+     */
+    function createEmptyState(bookId) {
+        return {
+            bookId: bookId,
+            metadata: {
+                title: '',
+                author: '',
+                language: 'fr',
+                // Métadonnées de publication (écrites dans l'OPF)
+                isbn: '',
+                publisher: '',
+                description: '',
+                subjects: [],      // Mots-clés / catégories
+                rights: '',
+                pubDate: '',       // Date de publication (AAAA-MM-JJ)
+                series: '',
+                seriesIndex: '',
+                contributors: [],  // Contributeurs : { name, role } (rôle MARC, voir CONTRIBUTOR_ROLES)
+                cover: ''          // Identifiant de la ressource servant de couverture
+            },
+            chapters:[], // Array d'objets: { id, title, partId, type?, status?, notes?, targetWords?, labels? } (ordre de lecture)
+            parts: [],    // Parties regroupant les chapitres: { id, title, titlePage } (ordre de lecture)
+            labels: [],   // Étiquettes colorées attribuables aux chapitres: { id, name, color }
+            currentChapterId: null,
+            contents: {}, // Dictionnaire mémoire des contenus: { "id": "texte markdown..." } (corbeille incluse)
+            trash: [],    // Chapitres supprimés: { chapter, index, deletedAt }
+            assets: [],   // Ressources binaires: { id, name, mediaType, size, addedAt } (données stockées à part)
+            settings: { ...DEFAULT_SETTINGS },
+            revision: 0   // Incrémenté à chaque écriture (détection des écritures d'autres onglets)
+        };
+    }
+
+    // État interne en mémoire (livre ouvert)
+    let state = createEmptyState(null);
+
+    // Index de la bibliothèque : { books: [{ id, title, updatedAt }], lastBookId }
+    let library = { books: [], lastBookId: null };
+
     let saveTimeout = null;
 
+    // Suivi des écritures en attente : seuls les chapitres modifiés sont réécrits
+    let dirtyChapterIds = new Set();
+    let removedChapterIds = new Set();
+    // Modifications locales pas encore écrites qui priment sur celles des autres onglets
+    let structureDirty = false;
+    let metadataDirty = false;
+
+    // File d'attente : écritures et resynchronisations du livre ne s'entrelacent jamais
+    let storageQueue = Promise.resolve();
+    // Cache des données des ressources (clé de stockage -> data URL)
+    const assetDataCache = new Map();
+
+    // Textes distants déjà écartés par l'auteur lors d'un conflit (id -> texte), jusqu'à la prochaine écriture
+    const dismissedRemoteContents = new Map();
+    // Structure du livre telle qu'écrite ou relue pour la dernière fois : base commune pour fusionner celle d'un autre onglet
+    let syncedStructure = null;
+
+    // Journal des opérations structurelles (annuler / rétablir), persisté par livre
+    const HISTORY_LIMIT = 50;
+    const HISTORY_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Une semaine : de quoi récupérer d'un import malheureux
+    let history = { undo: [], redo: [] };
+    let historyDirty = false;
+
+    // Intervalle de purge de la corbeille pendant que l'application reste ouverte
+    const TRASH_EXPIRY_INTERVAL = 60 * 60 * 1000;
+
+    // Versions des chapitres : nombre maximal conservé par chapitre
+    const SNAPSHOT_LIMIT = 40;
+    // File d'attente : les lectures-écritures de versions sont sérialisées pour ne rien perdre
+    let snapshotQueue = Promise.resolve();
+
     /**
      * Génère un UUID v4 pour garantir l'unicité des chapitres (nécessaire pour l'EPUB).
      */
@@ -32,8 +173,7 @@
         if (typeof crypto !== 'undefined' && crypto.randomUUID) {
             return crypto.randomUUID();
         }
-        // CORRECTION : Restauration de la regex //g qui avait été tronquée
-        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(//g, function(c) {
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
             const r = Math.random() * 16 | 0;
             const v = c === 'x' ? r : (r & 0x3 | 0x8);
             return v.toString(16);
@@ -47,136 +187,1246 @@
         window.dispatchEvent(new CustomEvent(`app:${eventName}`, { detail }));
     }
 
-    /**
-     * Sauvegarde immédiate dans le localStorage avec gestion des orphelins et quotas.
-     */
-    function saveToStorage() {
-        try {
-            // 1. Sauvegarde des métadonnées et de l'arbre des chapitres
-            const metaToSave = {
-                metadata: state.metadata,
-                chapters: state.chapters,
-                currentChapterId: state.currentChapterId
-            };
-            localStorage.setItem(STORAGE_KEY_META, JSON.stringify(metaToSave));
+    /**
+     * Marque un chapitre comme à réécrire lors de la prochaine sauvegarde.
+     */
+    function markDirty(id) {
+        dirtyChapterIds.add(id);
+        removedChapterIds.delete(id);
+    }
+
+    /**
+     * Marque un chapitre comme à supprimer du stockage lors de la prochaine sauvegarde.
+     */
+    function markRemoved(id) {
+        removedChapterIds.add(id);
+        dirtyChapterIds.delete(id);
+    }
+
+    /**
+     * Met à jour l'entrée de bibliothèque du livre ouvert (titre affiché, date de modification).
+     */
+    function touchLibraryEntry() {
+        const entry = library.books.find(b => b.id === state.bookId);
+        if (entry) {
+            entry.title = state.metadata.title;
+            entry.updatedAt = Date.now();
+        }
+        library.lastBookId = state.bookId;
+    }
+
+    /**
+     * Forme persistée d'un livre (les contenus sont stockés à part, un chapitre par clé).
+     */
+    function serializeBook(book) {
+        return {
+            metadata: book.metadata,
+            chapters: book.chapters,
+            parts: book.parts,
+            labels: book.labels,
+            currentChapterId: book.currentChapterId,
+            trash: book.trash,
+            assets: book.assets,
+            settings: book.settings,
+            revision: book.revision
+        };
+    }
+
+    /**
+     * Copie des listes et réglages d'un livre (forme persistée ou état), base des fusions entre onglets.
+     */
+    function copyBookStructure(book) {
+        return JSON.parse(JSON.stringify({
+            chapters: book.chapters || [],
+            parts: book.parts || [],
+            labels: book.labels || [],
+            trash: book.trash || [],
+            assets: book.assets || [],
+            settings: book.settings || {}
+        }));
+    }
+
+    /**
+     * Fusion à trois voies d'une liste par identifiant. Les ajouts et suppressions des deux côtés sont conservés ;
+     * un élément modifié localement garde sa version locale, sinon il prend celle de l'autre onglet.
+     * L'ordre local prime ; un ajout distant est placé après l'élément qui le précède dans la liste distante.
+     */
+    function mergeById(base, local, remote, getId) {
+        const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const baseById = new Map(base.map(item => [getId(item), item]));
+        const remoteById = new Map(remote.map(item => [getId(item), item]));
+
+        const merged = [];
+        (local || []).forEach(item => {
+            const id = getId(item);
+            const baseItem = baseById.get(id);
+            if (!remoteById.has(id)) {
+                if (!baseItem) merged.push(item); // Ajout local
+                return; // Sinon supprimé dans l'autre onglet
+            }
+            merged.push(baseItem && isSame(item, baseItem) ? remoteById.get(id) : item);
+        });
+
+        remote.forEach((item, index) => {
+            const id = getId(item);
+            if (baseById.has(id) || merged.some(other => getId(other) === id)) return;
+            let position = 0;
+            for (let i = index - 1; i >= 0; i--) {
+                const previous = merged.findIndex(other => getId(other) === getId(remote[i]));
+                if (previous !== -1) {
+                    position = previous + 1;
+                    break;
+                }
+            }
+            merged.splice(position, 0, item);
+        });
+        return merged;
+    }
+
+    /**
+     * Exécute une tâche d'écriture ou de resynchronisation après les précédentes.
+     */
+    function queueStorageTask(task) {
+        const run = storageQueue.then(task);
+        storageQueue = run.catch(error => console.error('Erreur de stockage', error));
+        return run;
+    }
+
+    /**
+     * Écrit l'arbre du livre + chapitres modifiés + suppressions en une transaction,
+     * puis prévient les autres onglets.
+     */
+    async function writeBookChanges() {
+        const bookId = state.bookId;
+
+        // 1. Un autre onglet a pu écrire ce livre sans que son message nous parvienne : on se resynchronise
+        const stored = await window.StorageAdapter.get(STORES.META, bookKey(bookId));
+        if (stored && (stored.revision || 0) > state.revision) {
+            await mergeStoredBook(stored, null);
+        }
+        const storedLibrary = await window.StorageAdapter.get(STORES.META, LIBRARY_KEY);
+        if (storedLibrary) library = storedLibrary;
+        if (state.bookId !== bookId) return;
+
+        // 2. On capture puis vide les ensembles : les frappes pendant l'écriture seront au prochain lot
+        const dirtyIds = dirtyChapterIds;
+        const removedIds = removedChapterIds;
+        const writeHistory = historyDirty;
+        const hadStructure = structureDirty;
+        const hadMetadata = metadataDirty;
+        dirtyChapterIds = new Set();
+        removedChapterIds = new Set();
+        historyDirty = false;
+        structureDirty = false;
+        metadataDirty = false;
+
+        const storedRevision = stored ? stored.revision || 0 : null;
+        const previousRevision = state.revision;
+        state.revision = Math.max(state.revision, storedRevision || 0) + 1;
+        touchLibraryEntry();
+        const writtenStructure = copyBookStructure(state);
+        const operations = [
+            { type: 'put', store: STORES.META, key: LIBRARY_KEY, value: library },
+            { type: 'put', store: STORES.META, key: bookKey(bookId), value: serializeBook(state) }
+        ];
+
+        dirtyIds.forEach(id => {
+            operations.push({ type: 'put', store: STORES.CHAPTERS, key: chapterKey(bookId, id), value: state.contents[id] || '' });
+        });
+        removedIds.forEach(id => {
+            operations.push({ type: 'delete', store: STORES.CHAPTERS, key: chapterKey(bookId, id) });
+        });
+        if (writeHistory) {
+            operations.push({ type: 'put', store: STORES.META, key: historyKey(bookId), value: history });
+        }
+
+        const restorePending = () => {
+            state.revision = previousRevision;
+            dirtyIds.forEach(id => { if (!removedChapterIds.has(id)) dirtyChapterIds.add(id); });
+            removedIds.forEach(id => { if (!dirtyChapterIds.has(id)) removedChapterIds.add(id); });
+            if (writeHistory) historyDirty = true;
+            if (hadStructure) structureDirty = true;
+            if (hadMetadata) metadataDirty = true;
+        };
+
+        try {
+            // 3. Écriture conditionnelle : un autre onglet a pu écrire depuis la lecture de l'étape 1
+            const applied = await window.StorageAdapter.commit(operations, { store: STORES.META, key: bookKey(bookId), revision: storedRevision });
+            if (!applied) {
+                restorePending();
+                if (state.bookId === bookId) await writeBookChanges(); // Fusion de sa version puis nouvel essai
+                return;
+            }
+            dirtyIds.forEach(id => dismissedRemoteContents.delete(id));
+            syncedStructure = writtenStructure;
+            emit('saved'); // Notifie que la sauvegarde est effective (pour la barre de statut)
+            window.TabSync.broadcast({
+                type: 'book-saved',
+                bookId,
+                revision: state.revision,
+                changedChapterIds: Array.from(dirtyIds)
+            });
+        } catch (error) {
+            // Échec : on réinjecte les modifications non écrites pour la prochaine tentative
+            restorePending();
+
+            console.error('Erreur de sauvegarde locale', error);
+            if (error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED')) {
+                alert("⚠️ Attention : L'espace de stockage de votre navigateur est plein. Veuillez exporter votre livre immédiatement pour ne pas perdre vos données.");
+            }
+        }
+    }
+
+    /**
+     * Planifie immédiatement l'écriture des modifications en attente.
+     */
+    function persist() {
+        if (saveTimeout) {
+            clearTimeout(saveTimeout);
+            saveTimeout = null;
+        }
+        return queueStorageTask(writeBookChanges);
+    }
+
+    /**
+     * Sauvegarde immédiate après une modification structurelle (chapitres, corbeille, réglages...).
+     */
+    function saveToStorage() {
+        structureDirty = true;
+        return persist();
+    }
+
+    /**
+     * Écrit tout ce qui reste en attente pour le livre ouvert avant d'en activer un autre (activateBook vide
+     * les ensembles) : y compris ce qui a été saisi pendant les lectures et écritures qui précèdent le changement.
+     * Quelques tentatives seulement : une écriture en échec a déjà prévenu l'auteur.
+     */
+    async function flushBeforeLeaving() {
+        const hasPendingChanges = () => saveTimeout || dirtyChapterIds.size > 0 || removedChapterIds.size > 0
+            || structureDirty || metadataDirty || historyDirty;
+        for (let attempt = 0; attempt < 3 && hasPendingChanges(); attempt++) {
+            await persist();
+        }
+    }
+
+    /**
+     * Déclenche une sauvegarde avec un délai (Debounce 700ms) pour éviter de saturer le stockage à chaque frappe.
+     */
+    function debouncedSave() {
+        if (saveTimeout) clearTimeout(saveTimeout);
+        saveTimeout = setTimeout(persist, 700);
+    }
+
+    // ========================================================================
+    // SYNCHRONISATION ENTRE ONGLETS
+    // ========================================================================
+
+    /**
+     * Fusionne dans l'état courant un livre écrit par un autre onglet.
+     * Les modifications locales non écrites priment ; la structure est fusionnée chapitre par chapitre
+     * et un chapitre modifié des deux côtés déclenche une demande d'arbitrage à l'auteur.
+     * @param {Object} stored Forme persistée du livre
+     * @param {Array|null} changedChapterIds Chapitres réécrits par l'autre onglet (null = tous à vérifier)
+     */
+    async function mergeStoredBook(stored, changedChapterIds) {
+        const bookId = state.bookId;
+        state.revision = Math.max(state.revision, stored.revision || 0);
+
+        // 1. Structure : reprise telle quelle, ou fusionnée par identifiant avec une modification locale en attente d'écriture
+        const remote = copyBookStructure(stored);
+        let structureChanged = !structureDirty;
+        if (structureDirty) {
+            const base = syncedStructure || remote;
+            const before = JSON.stringify(copyBookStructure(state));
+            state.chapters = mergeById(base.chapters, state.chapters, remote.chapters, chap => chap.id);
+            state.parts = mergeById(base.parts, state.parts, remote.parts, part => part.id);
+            state.labels = mergeById(base.labels, state.labels, remote.labels, label => label.id);
+            state.trash = mergeById(base.trash, state.trash, remote.trash, item => item.chapter.id);
+            state.assets = mergeById(base.assets, state.assets, remote.assets, asset => asset.id);
+            Object.keys(remote.settings).forEach(key => {
+                if (JSON.stringify(state.settings[key]) === JSON.stringify(base.settings[key])) {
+                    state.settings[key] = remote.settings[key];
+                }
+            });
+            structureChanged = JSON.stringify(copyBookStructure(state)) !== before;
+        } else {
+            state.chapters = remote.chapters;
+            state.parts = remote.parts;
+            state.labels = remote.labels;
+            state.trash = remote.trash;
+            state.assets = remote.assets;
+            state.settings = Object.assign({ ...DEFAULT_SETTINGS }, remote.settings);
+        }
+        syncedStructure = copyBookStructure(stored); // Copie distincte : l'état modifie ses chapitres en place
+
+        // 2. Métadonnées
+        const metadataChanged = !metadataDirty && JSON.stringify(stored.metadata) !== JSON.stringify(state.metadata);
+        if (metadataChanged) {
+            state.metadata = Object.assign(createEmptyState(null).metadata, stored.metadata);
+        }
+
+        // 3. Contenus : chapitres annoncés comme modifiés + chapitres inconnus de cet onglet
+        const knownIds = state.chapters.map(c => c.id).concat(state.trash.map(item => item.chapter.id));
+        const idsToLoad = knownIds.filter(id => !(id in state.contents) || !changedChapterIds || changedChapterIds.includes(id));
+        const keys = idsToLoad.map(id => chapterKey(bookId, id));
+        const contents = await window.StorageAdapter.getMany(STORES.CHAPTERS, keys);
+        if (state.bookId !== bookId) return;
+
+        const conflicts = [];
+        const updatedIds = [];
+        idsToLoad.forEach((id, index) => {
+            const remote = contents[keys[index]];
+            const local = state.contents[id];
+            if (remote === null || remote === local) return;
+
+            if (dirtyChapterIds.has(id) && local !== undefined) {
+                if (dismissedRemoteContents.get(id) !== remote) conflicts.push({ id, local, remote });
+            } else {
+                state.contents[id] = remote;
+                updatedIds.push(id);
+            }
+        });
+
+        // 4. Le chapitre affiché a pu disparaître dans l'autre onglet
+        let currentChanged = false;
+        if (!state.chapters.find(c => c.id === state.currentChapterId) && state.chapters.length > 0) {
+            state.currentChapterId = state.chapters[0].id;
+            currentChanged = true;
+        }
+        if (!historyDirty) {
+            history = await readHistory(bookId);
+        }
+
+        // 5. Notification de l'interface
+        if (structureChanged) {
+            emit('book-synced', { updatedChapterIds: updatedIds });
+            emit('trash-updated', state.trash.slice());
+            emit('assets-updated', window.AppStore.listAssets());
+        }
+        if (metadataChanged) emit('metadata-updated', { ...state.metadata });
+        emit('history-changed', window.AppStore.getHistoryStatus());
+        if (currentChanged) {
+            emit('chapter-selected', state.currentChapterId);
+        } else if (updatedIds.includes(state.currentChapterId)) {
+            emit('content-updated', state.contents[state.currentChapterId]);
+        }
+
+        resolveConflicts(conflicts);
+    }
+
+    /**
+     * Demande à l'auteur quelle version garder pour chaque chapitre modifié dans deux onglets.
+     * La version écartée n'est jamais perdue : elle est conservée dans les versions du chapitre.
+     */
+    function resolveConflicts(conflicts) {
+        const bookId = state.bookId;
+        conflicts.forEach(({ id, local, remote }) => {
+            const chapter = state.chapters.find(c => c.id === id) || (state.trash.find(item => item.chapter.id === id) || {}).chapter;
+            const title = chapter ? chapter.title : 'Sans titre';
+
+            const keepLocal = confirm(`⚠️ Le chapitre « ${title} » a été modifié dans un autre onglet pendant que vous l'éditiez ici.\n\nOK : conserver le texte de CET onglet.\nAnnuler : charger le texte de l'autre onglet.\n\nDans les deux cas, le texte écarté reste disponible dans les versions du chapitre (🕓).`);
+
+            if (keepLocal) {
+                takeSnapshot(bookId, id, remote, "Texte d'un autre onglet (conflit)", true).catch(() => {});
+                dismissedRemoteContents.set(id, remote);
+                markDirty(id);
+                debouncedSave();
+            } else {
+                takeSnapshot(bookId, id, local, "Texte de cet onglet (conflit)", true).catch(() => {});
+                state.contents[id] = remote;
+                dirtyChapterIds.delete(id);
+                if (id === state.currentChapterId) emit('content-updated', remote);
+            }
+        });
+    }
+
+    /**
+     * Relit l'index de la bibliothèque écrit par un autre onglet.
+     */
+    async function reloadLibrary() {
+        const storedLibrary = await window.StorageAdapter.get(STORES.META, LIBRARY_KEY);
+        if (storedLibrary) {
+            library = storedLibrary;
+            emit('library-updated', window.AppStore.listBooks());
+        }
+    }
+
+    /**
+     * Traite les notifications des autres onglets.
+     */
+    function handleTabMessage(message) {
+        queueStorageTask(async () => {
+            await reloadLibrary();
+
+            if (message.type === 'book-saved' && message.bookId === state.bookId) {
+                const stored = await window.StorageAdapter.get(STORES.META, bookKey(state.bookId));
+                if (stored) await mergeStoredBook(stored, message.changedChapterIds || null);
+            }
+
+            if (message.type === 'book-deleted' && message.bookId === state.bookId) {
+                // Le livre ouvert n'existe plus : on ouvre un autre livre sans rien réécrire
+                const other = library.books.find(b => b.id !== message.bookId);
+                alert("Ce livre a été supprimé dans un autre onglet.");
+                const book = other ? await readBook(other.id) : null;
+                if (book) {
+                    activateBook(book, await readHistory(book.bookId));
+                } else {
+                    const blank = createBlankBook('');
+                    library.books.push({ id: blank.bookId, title: '', updatedAt: Date.now() });
+                    activateBook(blank);
+                    state.chapters.forEach(chap => markDirty(chap.id));
+                    debouncedSave();
+                }
+            }
+        });
+    }
+
+    /**
+     * Lit l'arbre et les contenus d'un livre depuis le stockage.
+     * @returns {Promise<Object|null>} Un état complet, ou null si le livre n'existe pas
+     */
+    async function readBook(bookId) {
+        const saved = await window.StorageAdapter.get(STORES.META, bookKey(bookId));
+        if (!saved) return null;
+
+        const book = createEmptyState(bookId);
+        book.metadata = Object.assign(book.metadata, saved.metadata);
+        book.chapters = saved.chapters ||[];
+        book.parts = saved.parts || [];
+        book.labels = saved.labels || [];
+        book.currentChapterId = saved.currentChapterId;
+        book.trash = saved.trash || [];
+        book.assets = saved.assets || [];
+        book.settings = Object.assign(book.settings, saved.settings);
+        book.revision = saved.revision || 0;
+
+        // Les contenus des chapitres en corbeille sont chargés aussi (restauration instantanée)
+        const ids = book.chapters.map(c => c.id).concat(book.trash.map(item => item.chapter.id));
+        const keys = ids.map(id => chapterKey(bookId, id));
+        const contents = await window.StorageAdapter.getMany(STORES.CHAPTERS, keys);
+        ids.forEach((id, index) => {
+            const content = contents[keys[index]];
+            book.contents[id] = content !== null ? content : '';
+        });
+        return book;
+    }
+
+    /**
+     * Lit le journal annuler/rétablir d'un livre en écartant les entrées trop anciennes.
+     */
+    async function readHistory(bookId) {
+        const saved = await window.StorageAdapter.get(STORES.META, historyKey(bookId));
+        if (!saved) return { undo: [], redo: [] };
+
+        const minTimestamp = Date.now() - HISTORY_MAX_AGE;
+        const isFresh = command => command.timestamp >= minTimestamp;
+        return {
+            undo: (saved.undo || []).filter(isFresh),
+            redo: (saved.redo || []).filter(isFresh)
+        };
+    }
+
+    /**
+     * Écrit un livre complet (nouveau, dupliqué ou importé) sans le charger en mémoire.
+     * @param {Object} book État complet du livre
+     * @param {Object} assetData Données des ressources : { assetId: dataUrl }
+     */
+    function writeBook(book, assetData = {}) {
+        const operations = [
+            { type: 'put', store: STORES.META, key: LIBRARY_KEY, value: library },
+            { type: 'put', store: STORES.META, key: bookKey(book.bookId), value: serializeBook(book) }
+        ];
+        book.chapters.forEach(chap => {
+            operations.push({ type: 'put', store: STORES.CHAPTERS, key: chapterKey(book.bookId, chap.id), value: book.contents[chap.id] || '' });
+        });
+        book.assets.forEach(asset => {
+            if (assetData[asset.id] === undefined) return;
+            operations.push({ type: 'put', store: STORES.ASSETS, key: assetKey(book.bookId, asset.id), value: assetData[asset.id] });
+        });
+        return window.StorageAdapter.commit(operations);
+    }
+
+    /**
+     * Lit les données de toutes les ressources d'un livre : { assetId: dataUrl }.
+     */
+    async function readAssetData(bookId, assets) {
+        const keys = assets.map(asset => assetKey(bookId, asset.id));
+        const values = await window.StorageAdapter.getMany(STORES.ASSETS, keys);
+        const result = {};
+        assets.forEach((asset, index) => {
+            if (values[keys[index]] !== null) result[asset.id] = values[keys[index]];
+        });
+        return result;
+    }
+
+    /**
+     * Taille en octets des données d'une data URL encodée en base64.
+     */
+    function dataUrlSize(dataUrl) {
+        const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        return Math.floor(base64.length * 3 / 4) - padding;
+    }
+
+    /**
+     * Compte les mots d'un texte Markdown (même règle que la barre d'état).
+     */
+    function countWords(text) {
+        if (!text || text.trim() === '') return 0;
+        return text.trim().split(/\s+/).length;
+    }
+
+    /**
+     * Réduit un nom de fichier à des caractères sûrs dans une URL et un chemin d'archive
+     * (« Photo été (1).PNG » -> « Photo-ete-1-.png »).
+     */
+    function safeAssetName(name) {
+        const dot = name.lastIndexOf('.');
+        const ext = dot > 0 ? name.substring(dot).toLowerCase() : '';
+        const base = (dot > 0 ? name.substring(0, dot) : name)
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\w.-]+/g, '-');
+        return (base || 'ressource') + ext.replace(/[^\w.]/g, '');
+    }
+
+    /**
+     * Rend un nom de ressource unique dans le livre ouvert (image.png -> image-2.png).
+     */
+    function uniqueAssetName(name) {
+        const existing = new Set(state.assets.map(asset => asset.name));
+        if (!existing.has(name)) return name;
+
+        const dot = name.lastIndexOf('.');
+        const base = dot > 0 ? name.substring(0, dot) : name;
+        const ext = dot > 0 ? name.substring(dot) : '';
+        let counter = 2;
+        while (existing.has(`${base}-${counter}${ext}`)) counter++;
+        return `${base}-${counter}${ext}`;
+    }
+
+    /**
+     * Construit un livre neuf contenant un premier chapitre vide.
+     */
+    function createBlankBook(title) {
+        const book = createEmptyState(generateUUID());
+        const chapterId = generateUUID();
+        book.metadata.title = title || '';
+        book.chapters.push({ id: chapterId, title: "Chapitre 1" });
+        book.contents[chapterId] = '';
+        book.currentChapterId = chapterId;
+        return book;
+    }
+
+    /**
+     * Remplace le livre ouvert en mémoire et notifie toute l'interface.
+     */
+    function activateBook(book, bookHistory = { undo: [], redo: [] }) {
+        state = book;
+        syncedStructure = copyBookStructure(book);
+        dirtyChapterIds = new Set();
+        removedChapterIds = new Set();
+        history = bookHistory;
+        historyDirty = false;
+        structureDirty = false;
+        metadataDirty = false;
+
+        if (state.chapters.length === 0) {
+            const chapterId = generateUUID();
+            state.chapters.push({ id: chapterId, title: "Chapitre 1" });
+            state.contents[chapterId] = '';
+            markDirty(chapterId);
+        }
+        if (!state.currentChapterId || !state.chapters.find(c => c.id === state.currentChapterId)) {
+            // Si l'ID courant est invalide, on sélectionne le premier
+            state.currentChapterId = state.chapters[0].id;
+        }
+        if (expireTrash()) saveToStorage();
+
+        library.lastBookId = state.bookId;
+        emit('state-loaded', window.AppStore.getState());
+        emit('library-updated', window.AppStore.listBooks());
+        emit('history-changed', window.AppStore.getHistoryStatus());
+    }
+
+    // ========================================================================
+    // VERSIONS (INSTANTANÉS) DES CHAPITRES
+    // ========================================================================
+
+    /**
+     * Exécute une tâche sur les versions après les précédentes (lecture-modification-écriture sûre).
+     */
+    function queueSnapshotTask(task) {
+        const run = snapshotQueue.then(task);
+        // Une erreur ne doit pas bloquer les tâches suivantes
+        snapshotQueue = run.catch(error => console.error('Erreur sur les versions de chapitre', error));
+        return run;
+    }
+
+    /**
+     * Enregistre une version d'un chapitre si elle diffère de la précédente.
+     * Au-delà de SNAPSHOT_LIMIT, la plus ancienne version automatique est écartée.
+     * @returns {Promise<Object|null>} La version créée, ou null si elle était inutile
+     */
+    function takeSnapshot(bookId, chapterId, content, reason, isManual = false) {
+        return queueSnapshotTask(async () => {
+            const key = chapterKey(bookId, chapterId);
+            const snapshots = (await window.StorageAdapter.get(STORES.SNAPSHOTS, key)) || [];
+
+            const last = snapshots[snapshots.length - 1];
+            if (last && last.content === content) return null;
+
+            const snapshot = { id: generateUUID(), timestamp: Date.now(), reason, isManual, content };
+            snapshots.push(snapshot);
+
+            if (snapshots.length > SNAPSHOT_LIMIT) {
+                const oldestAuto = snapshots.findIndex(snap => !snap.isManual);
+                snapshots.splice(oldestAuto !== -1 ? oldestAuto : 0, 1);
+            }
+
+            await window.StorageAdapter.commit([{ type: 'put', store: STORES.SNAPSHOTS, key, value: snapshots }]);
+            emit('snapshots-changed', { chapterId });
+            return snapshot;
+        });
+    }
+
+    /**
+     * Version automatique : ignorée pour un chapitre vide.
+     */
+    function autoSnapshot(chapterId, reason) {
+        const content = state.contents[chapterId];
+        if (!content) return;
+        takeSnapshot(state.bookId, chapterId, content, reason).catch(() => {});
+    }
+
+    // ========================================================================
+    // CORBEILLE
+    // ========================================================================
+
+    /**
+     * Supprime définitivement un chapitre de la corbeille (contenu, versions et entrées du journal).
+     */
+    function purgeTrashItem(chapterId) {
+        const index = state.trash.findIndex(item => item.chapter.id === chapterId);
+        if (index === -1) return false;
+
+        state.trash.splice(index, 1);
+        delete state.contents[chapterId];
+        markRemoved(chapterId);
+
+        // Les commandes « suppression » / « restauration » de ce chapitre, et les imports qui le font revenir,
+        // ne sont plus rejouables
+        const isRelated = cmd => (cmd.type === 'import'
+            ? [cmd.before, cmd.after].some(book => book.chapterIds.includes(chapterId))
+            : (cmd.type === 'delete' || cmd.type === 'restore') && cmd.chapter.id === chapterId);
+        if (history.undo.some(isRelated) || history.redo.some(isRelated)) {
+            history.undo = history.undo.filter(cmd => !isRelated(cmd));
+            history.redo = history.redo.filter(cmd => !isRelated(cmd));
+            historyDirty = true;
+        }
+
+        const snapshotKey = chapterKey(state.bookId, chapterId);
+        queueSnapshotTask(() => window.StorageAdapter.commit([{ type: 'delete', store: STORES.SNAPSHOTS, key: snapshotKey }]));
+        return true;
+    }
+
+    /**
+     * Purge les éléments de la corbeille plus anciens que la durée de conservation du livre.
+     * @returns {boolean} true si au moins un élément a été purgé
+     */
+    function expireTrash() {
+        const days = Number(state.settings.trashRetentionDays);
+        if (!days || days <= 0) return false;
+
+        const minTimestamp = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = state.trash.filter(item => item.deletedAt < minTimestamp);
+        expired.forEach(item => purgeTrashItem(item.chapter.id));
+        return expired.length > 0;
+    }
+
+    /**
+     * Purge la corbeille expirée, enregistre et prévient l'interface (la purge retire aussi des commandes du journal).
+     * @returns {boolean} true si au moins un élément a été purgé
+     */
+    function expireTrashAndNotify() {
+        if (!expireTrash()) return false;
+        saveToStorage();
+        emit('trash-updated', state.trash.slice());
+        emit('history-changed', window.AppStore.getHistoryStatus());
+        return true;
+    }
+
+    /**
+     * Purge périodique : un onglet peut rester ouvert bien plus longtemps que la durée de conservation.
+     */
+    function expireTrashPeriodically() {
+        if (state.bookId) expireTrashAndNotify();
+    }
+
+    // ========================================================================
+    // OPÉRATIONS STRUCTURELLES (partagées entre l'API et le journal annuler/rétablir)
+    // ========================================================================
+
+    /**
+     * Rétablit l'ordre de lecture : chapitres hors partie en tête, puis ceux de chaque partie
+     * dans l'ordre des parties. L'ordre relatif des chapitres d'une même partie est conservé.
+     */
+    function normalizeChapterOrder() {
+        const rank = new Map(state.parts.map((part, index) => [part.id, index]));
+        state.chapters.forEach(chap => {
+            if (!rank.has(chap.partId)) chap.partId = null;
+        });
+        const rankOf = chap => (chap.partId ? rank.get(chap.partId) : -1);
+        state.chapters = state.chapters
+            .map((chap, index) => ({ chap, index }))
+            .sort((a, b) => rankOf(a.chap) - rankOf(b.chap) || a.index - b.index)
+            .map(entry => entry.chap);
+    }
+
+    function applyRename(id, title) {
+        const chapter = state.chapters.find(c => c.id === id);
+        if (!chapter) return false;
+        chapter.title = title;
+        saveToStorage();
+        emit('chapter-renamed', chapter);
+        return true;
+    }
+
+    function applyOrder(orderIds) {
+        const newChapters =[];
+        orderIds.forEach(id => {
+            const chap = state.chapters.find(c => c.id === id);
+            if (chap) newChapters.push(chap);
+        });
+
+        if (newChapters.length !== state.chapters.length) return false;
+        state.chapters = newChapters;
+        normalizeChapterOrder();
+        saveToStorage();
+        emit('chapters-reordered', state.chapters);
+        return true;
+    }
+
+    function applyRemoval(id) {
+        const index = state.chapters.findIndex(c => c.id === id);
+        if (index === -1 || state.chapters.length <= 1) return false;
+
+        // Le chapitre part en corbeille : son contenu reste en mémoire et dans le stockage
+        const [chapter] = state.chapters.splice(index, 1);
+        state.trash.push({ chapter, index, deletedAt: Date.now() });
+
+        // Si on a supprimé le chapitre courant, on bascule sur le précédent (ou le premier)
+        const wasCurrent = state.currentChapterId === id;
+        if (wasCurrent) {
+            const newCurrentIndex = Math.max(0, index - 1);
+            state.currentChapterId = state.chapters[newCurrentIndex].id;
+        }
+
+        saveToStorage();
+        emit('chapter-deleted', { deletedId: id, newCurrentId: state.currentChapterId });
+        emit('trash-updated', state.trash.slice());
+        if (wasCurrent) emit('chapter-selected', state.currentChapterId);
+        return true;
+    }
+
+    /**
+     * Sort un chapitre de la corbeille et le réinsère à sa position d'origine.
+     */
+    function applyRestore(chapterId) {
+        const trashIndex = state.trash.findIndex(item => item.chapter.id === chapterId);
+        if (trashIndex === -1) return false;
+
+        const [item] = state.trash.splice(trashIndex, 1);
+        state.chapters.splice(Math.min(item.index, state.chapters.length), 0, item.chapter);
+        normalizeChapterOrder(); // Sa partie a pu être supprimée entre-temps
+        state.currentChapterId = item.chapter.id;
+
+        saveToStorage();
+        emit('chapter-restored', item.chapter);
+        emit('trash-updated', state.trash.slice());
+        emit('chapter-selected', item.chapter.id);
+        return true;
+    }
+
+    /**
+     * Forme du livre ouvert que remplace un import : ordre des chapitres, parties et métadonnées remplaçables.
+     * Le texte n'en fait pas partie (le journal resterait sinon une copie complète du livre) : les chapitres
+     * remplacés restent en corbeille, d'où l'annulation les fait revenir.
+     */
+    function captureBook() {
+        const metadata = {};
+        IMPORTED_METADATA.forEach(key => {
+            metadata[key] = state.metadata[key];
+        });
+        return {
+            chapterIds: state.chapters.map(c => c.id),
+            parts: state.parts.map(part => ({ ...part })),
+            metadata,
+            currentChapterId: state.currentChapterId
+        };
+    }
+
+    /**
+     * Remplace les chapitres du livre par ceux d'une forme capturée (voir captureBook), repris du livre ou de la corbeille.
+     * Les chapitres actuels qu'elle n'inclut pas partent en corbeille : aucun texte n'est perdu ni réécrit.
+     * L'auteur confirme d'abord l'envoi en corbeille des chapitres ajoutés depuis l'état attendu.
+     * @param {Object} target Forme à appliquer
+     * @param {Object} expected Forme supposée être l'état actuel
+     * @param {Array} [newChapters] Chapitres créés par l'opération (import), déjà présents dans les contenus
+     * @returns {boolean|null} false si un chapitre a été purgé de la corbeille depuis, null si l'auteur renonce
+     */
+    function applyBookSnapshot(target, expected, newChapters = []) {
+        const available = new Map(newChapters.map(chap => [chap.id, chap]));
+        state.chapters.forEach(chap => available.set(chap.id, chap));
+        state.trash.forEach(item => available.set(item.chapter.id, item.chapter));
+        if (!target.chapterIds.every(id => available.has(id))) return false;
+
+        const targetIds = new Set(target.chapterIds);
+        const addedCount = state.chapters.filter(chap => !targetIds.has(chap.id) && !expected.chapterIds.includes(chap.id)).length;
+        if (addedCount > 0 && !confirm(`${addedCount} chapitre(s) ont été ajoutés depuis. Ils seront placés dans la corbeille. Continuer ?`)) {
+            return null;
+        }
+
+        state.trash = state.trash.filter(item => !targetIds.has(item.chapter.id));
+        state.chapters.forEach((chap, index) => {
+            if (!targetIds.has(chap.id)) state.trash.push({ chapter: chap, index, deletedAt: Date.now() });
+        });
+        state.parts = target.parts.map(part => ({ ...part }));
+        state.chapters = target.chapterIds.map(id => available.get(id));
+        normalizeChapterOrder();
+        newChapters.forEach(chap => markDirty(chap.id));
+        state.currentChapterId = targetIds.has(target.currentChapterId) ? target.currentChapterId : state.chapters[0].id;
+
+        // Métadonnées : seules celles que l'auteur n'a pas modifiées depuis sont remplacées
+        let metadataChanged = false;
+        Object.keys(target.metadata).forEach(key => {
+            const value = target.metadata[key];
+            if (state.metadata[key] !== expected.metadata[key] || state.metadata[key] === value) return;
+            if (key === 'cover' && value && !state.assets.some(asset => asset.id === value)) return; // Ressource supprimée depuis
+            state.metadata[key] = value;
+            metadataChanged = true;
+        });
+        if (metadataChanged) metadataDirty = true;
+
+        saveToStorage();
+        emit('book-imported', window.AppStore.getState());
+        if (metadataChanged) emit('metadata-updated', { ...state.metadata });
+        emit('trash-updated', state.trash.slice());
+        return true;
+    }
+
+    /**
+     * Forme minimale de l'arbre du livre : parties et rattachement ordonné des chapitres.
+     */
+    function captureStructure() {
+        return {
+            parts: state.parts.map(part => ({ ...part })),
+            chapters: state.chapters.map(chap => ({ id: chap.id, partId: chap.partId || null }))
+        };
+    }
+
+    function applyStructure(structure) {
+        const byId = new Map(state.chapters.map(chap => [chap.id, chap]));
+        const isComplete = structure.chapters.length === state.chapters.length && structure.chapters.every(entry => byId.has(entry.id));
+        if (!isComplete) return false;
+
+        state.parts = structure.parts.map(part => ({ ...part }));
+        state.chapters = structure.chapters.map(entry => Object.assign(byId.get(entry.id), { partId: entry.partId }));
+        normalizeChapterOrder();
+        saveToStorage();
+        emit('chapters-reordered', state.chapters);
+        return true;
+    }
+
+    /**
+     * Modifie l'arbre du livre via une copie de travail et enregistre l'opération dans le journal.
+     * @param {string} label Libellé affiché dans les boutons annuler / rétablir
+     * @param {Function} mutate Reçoit la copie ({ parts, chapters }) à modifier
+     */
+    function changeStructure(label, mutate) {
+        const before = captureStructure();
+        const after = captureStructure();
+        mutate(after);
+        recordCommand({ type: 'structure', label, before, after });
+        applyStructure(after);
+        emit('history-changed', window.AppStore.getHistoryStatus());
+    }
+
+    /**
+     * Inverse (undo) et réapplication (redo) de chaque type de commande du journal.
+     * Chaque fonction renvoie true si l'opération est appliquée, false si elle ne peut plus l'être,
+     * null si l'auteur y renonce.
+     */
+    const COMMANDS = {
+        rename: {
+            undo: cmd => applyRename(cmd.id, cmd.oldTitle),
+            redo: cmd => applyRename(cmd.id, cmd.newTitle)
+        },
+        reorder: {
+            undo: cmd => applyOrder(cmd.before),
+            redo: cmd => applyOrder(cmd.after)
+        },
+        delete: {
+            undo: cmd => applyRestore(cmd.chapter.id),
+            redo: cmd => applyRemoval(cmd.chapter.id)
+        },
+        restore: {
+            undo: cmd => applyRemoval(cmd.chapter.id),
+            redo: cmd => applyRestore(cmd.chapter.id)
+        },
+        import: {
+            undo: cmd => applyBookSnapshot(cmd.before, cmd.after),
+            redo: cmd => applyBookSnapshot(cmd.after, cmd.before)
+        },
+        structure: {
+            undo: cmd => applyStructure(cmd.before),
+            redo: cmd => applyStructure(cmd.after)
+        }
+    };
+
+    /**
+     * Enregistre une commande dans le journal (vide la pile « rétablir »).
+     * Doit être appelé avant l'opération pour que sa sauvegarde inclue le journal.
+     */
+    function recordCommand(command) {
+        command.timestamp = Date.now();
+        history.undo.push(command);
+        if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+        history.redo = [];
+        historyDirty = true;
+    }
+
+    /**
+     * Annule ou rétablit la dernière commande d'une pile. Appliquée, elle passe sur l'autre pile ;
+     * devenue inapplicable, elle est retirée du journal ; abandonnée par l'auteur, elle reste en place.
+     * @param {Array} fromStack Pile d'où vient la commande
+     * @param {Array} toStack Pile qui la reçoit une fois appliquée
+     * @param {string} direction 'undo' | 'redo'
+     */
+    function replayCommand(fromStack, toStack, direction) {
+        const command = fromStack[fromStack.length - 1];
+        if (!command) return false;
+
+        const applied = COMMANDS[command.type][direction](command);
+        if (applied === null) return false;
+
+        // Le journal est marqué avant l'écriture planifiée par l'opération (elle s'exécute de façon asynchrone)
+        fromStack.pop();
+        if (applied) toStack.push(command);
+        historyDirty = true;
+        if (!applied) persist();
+        emit('history-changed', window.AppStore.getHistoryStatus());
+        return applied;
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.AppStore)
+    // ========================================================================
+    window.AppStore = {
+        CHAPTER_STATUSES,
+        CHAPTER_TYPES,
+        CONTRIBUTOR_ROLES,
+        COVER_MEDIA_TYPES,
+        IMAGE_MEDIA_TYPES,
+        FONT_MEDIA_TYPES,
+
+        /**
+         * Initialise l'état au chargement de l'application (ouverture du stockage et migration incluses).
+         * Rouvre le dernier livre utilisé, ou crée un premier livre si la bibliothèque est vide.
+         */
+        async init() {
+            let book = null;
+            let bookHistory;
+            try {
+                await window.StorageAdapter.init();
+                library = (await window.StorageAdapter.get(STORES.META, LIBRARY_KEY)) || library;
+
+                const lastBookId = library.lastBookId || (library.books[0] && library.books[0].id);
+                if (lastBookId) book = await readBook(lastBookId);
+                if (book) bookHistory = await readHistory(book.bookId);
+            } catch (e) {
+                console.error("Erreur de chargement du stockage local", e);
+            }
+
+            // Écoute des écritures effectuées par les autres onglets
+            window.TabSync.subscribe(handleTabMessage);
+            // Purge de la corbeille tant que l'onglet reste ouvert
+            setInterval(expireTrashPeriodically, TRASH_EXPIRY_INTERVAL);
+
+            if (book) {
+                activateBook(book, bookHistory);
+                return;
+            }
+
+            // Bibliothèque vide (premier lancement) : on crée un premier livre
+            book = createBlankBook('');
+            library.books.push({ id: book.bookId, title: '', updatedAt: Date.now() });
+            activateBook(book);
+            state.chapters.forEach(chap => markDirty(chap.id));
+            debouncedSave();
+        },
+
+        // ====================================================================
+        // BIBLIOTHÈQUE (multi-livres)
+        // ====================================================================
+
+        /**
+         * Liste les livres de la bibliothèque, du plus récemment modifié au plus ancien.
+         */
+        listBooks() {
+            return library.books
+                .map(b => ({ ...b, isCurrent: b.id === state.bookId }))
+                .sort((a, b) => b.updatedAt - a.updatedAt);
+        },
+
+        getCurrentBookId() {
+            return state.bookId;
+        },
+
+        /**
+         * Ouvre un autre livre. Le livre courant est sauvegardé avant la bascule.
+         */
+        async switchBook(bookId) {
+            if (bookId === state.bookId) return true;
+            if (!library.books.find(b => b.id === bookId)) return false;
+
+            await saveToStorage();
+            const book = await readBook(bookId);
+            if (!book) {
+                alert("Impossible d'ouvrir ce livre : ses données sont introuvables.");
+                return false;
+            }
+            const bookHistory = await readHistory(bookId);
+            await flushBeforeLeaving();
+            activateBook(book, bookHistory);
+            saveToStorage(); // Persiste le pointeur lastBookId
+            return true;
+        },
+
+        /**
+         * Crée un livre vierge et l'ouvre.
+         */
+        async createBook(title) {
+            await saveToStorage();
+            const book = createBlankBook(title);
+            library.books.push({ id: book.bookId, title: book.metadata.title, updatedAt: Date.now() });
+            library.lastBookId = book.bookId;
+            await writeBook(book);
+            window.TabSync.broadcast({ type: 'library-changed' });
+            await flushBeforeLeaving();
+            activateBook(book);
+            return book.bookId;
+        },
+
+        /**
+         * Duplique un livre (arbre et contenus) sous un nouvel identifiant, sans l'ouvrir.
+         */
+        async duplicateBook(bookId) {
+            if (bookId === state.bookId) await saveToStorage();
+            const source = await readBook(bookId);
+            if (!source) return null;
 
-            // 2. Sauvegarde des contenus (un chapitre = une clé)
-            state.chapters.forEach(chap => {
-                // CORRECTION : Restauration de l'accès dynamique
-                const content = state.contents || '';
-                localStorage.setItem(STORAGE_KEY_CHAPTER_PREFIX + chap.id, content);
+            const copy = createEmptyState(generateUUID());
+            copy.metadata = { ...source.metadata, title: `${source.metadata.title || 'Livre sans titre'} (copie)` };
+            copy.chapters = source.chapters.map(c => ({ ...c }));
+            copy.parts = source.parts.map(part => ({ ...part }));
+            copy.labels = source.labels.map(label => ({ ...label }));
+            copy.chapters.forEach(chap => {
+                copy.contents[chap.id] = source.contents[chap.id];
             });
+            copy.currentChapterId = source.currentChapterId;
+            copy.settings = { ...source.settings };
+            copy.assets = source.assets.map(asset => ({ ...asset }));
 
-            // 3. Nettoyage des clés orphelines (chapitres supprimés)
-            const validKeys = new Set(state.chapters.map(c => STORAGE_KEY_CHAPTER_PREFIX + c.id));
-            validKeys.add(STORAGE_KEY_META);
-            
-            for (let i = localStorage.length - 1; i >= 0; i--) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith(STORAGE_KEY_CHAPTER_PREFIX) && !validKeys.has(key)) {
-                    localStorage.removeItem(key);
+            library.books.push({ id: copy.bookId, title: copy.metadata.title, updatedAt: Date.now() });
+            await writeBook(copy, await readAssetData(bookId, source.assets));
+            window.TabSync.broadcast({ type: 'library-changed' });
+            emit('library-updated', this.listBooks());
+            return copy.bookId;
+        },
+
+        /**
+         * Renomme un livre (titre des métadonnées et entrée de la bibliothèque).
+         */
+        async renameBook(bookId, newTitle) {
+            if (!newTitle || newTitle.trim() === '') return false;
+            const entry = library.books.find(b => b.id === bookId);
+            if (!entry) return false;
+
+            if (bookId === state.bookId) {
+                state.metadata.title = newTitle.trim();
+                metadataDirty = true;
+                await saveToStorage();
+                emit('metadata-updated', { ...state.metadata });
+            } else {
+                // Le livre peut être ouvert dans un autre onglet : on relit tant que sa révision change sous nos pieds
+                let saved;
+                let applied = false;
+                while (!applied) {
+                    saved = await window.StorageAdapter.get(STORES.META, bookKey(bookId));
+                    if (!saved) return false;
+                    const revision = saved.revision || 0;
+                    saved.metadata = { ...saved.metadata, title: newTitle.trim() };
+                    saved.revision = revision + 1;
+                    entry.title = newTitle.trim();
+                    applied = await window.StorageAdapter.commit([
+                        { type: 'put', store: STORES.META, key: LIBRARY_KEY, value: library },
+                        { type: 'put', store: STORES.META, key: bookKey(bookId), value: saved }
+                    ], { store: STORES.META, key: bookKey(bookId), revision });
                 }
+                window.TabSync.broadcast({ type: 'book-saved', bookId, revision: saved.revision, changedChapterIds: [] });
             }
-            
-            emit('saved'); // Notifie que la sauvegarde est effective (pour la barre de statut)
-        } catch (error) {
-            console.error('Erreur de sauvegarde locale', error);
-            if (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
-                alert("⚠️ Attention : L'espace de stockage de votre navigateur est plein. Veuillez exporter votre livre immédiatement pour ne pas perdre vos données.");
-            }
-        }
-    }
-
-    /**
-     * Déclenche une sauvegarde avec un délai (Debounce 700ms) pour éviter de saturer le stockage à chaque frappe.
-     */
-    function debouncedSave() {
-        if (saveTimeout) clearTimeout(saveTimeout);
-        saveTimeout = setTimeout(saveToStorage, 700);
-    }
+            emit('library-updated', this.listBooks());
+            return true;
+        },
 
-    // ========================================================================
-    // API PUBLIQUE (window.AppStore)
-    // ========================================================================
-    window.AppStore = {
         /**
-         * Initialise l'état au chargement de l'application.
+         * Supprime définitivement un livre et tous ses chapitres. Le dernier livre est protégé.
          */
-        init() {
-            const savedMeta = localStorage.getItem(STORAGE_KEY_META);
-            
-            if (savedMeta) {
-                try {
-                    const parsed = JSON.parse(savedMeta);
-                    state.metadata = parsed.metadata || state.metadata;
-                    state.chapters = parsed.chapters ||[];
-                    state.currentChapterId = parsed.currentChapterId;
-                    
-                    // Chargement des contenus
-                    state.chapters.forEach(chap => {
-                        const content = localStorage.getItem(STORAGE_KEY_CHAPTER_PREFIX + chap.id);
-                        // CORRECTION : Restauration de
-                        state.contents = content !== null ? content : '';
-                    });
-                } catch (e) {
-                    console.error("Erreur de parsing des métadonnées", e);
-                }
+        async deleteBook(bookId) {
+            if (library.books.length <= 1) {
+                alert("Impossible de supprimer le dernier livre de la bibliothèque.");
+                return false;
             }
+            const index = library.books.findIndex(b => b.id === bookId);
+            if (index === -1) return false;
 
-            // Si le livre est totalement vide, on crée un premier chapitre
-            if (state.chapters.length === 0) {
-                this.addChapter("Chapitre 1", null, true);
-            } else if (!state.currentChapterId || !state.chapters.find(c => c.id === state.currentChapterId)) {
-                // Si l'ID courant est invalide, on sélectionne le premier
-                // CORRECTION : Restauration de l'index
-                state.currentChapterId = state.chapters.id;
+            // Si on supprime le livre ouvert, on bascule d'abord sur un autre
+            if (bookId === state.bookId) {
+                const other = library.books.find(b => b.id !== bookId);
+                const switched = await this.switchBook(other.id);
+                if (!switched) return false;
             }
 
-            emit('state-loaded', this.getState());
+            const saved = await window.StorageAdapter.get(STORES.META, bookKey(bookId));
+            library.books.splice(library.books.findIndex(b => b.id === bookId), 1);
+
+            const operations = [
+                { type: 'put', store: STORES.META, key: LIBRARY_KEY, value: library },
+                { type: 'delete', store: STORES.META, key: bookKey(bookId) },
+                { type: 'delete', store: STORES.META, key: historyKey(bookId) }
+            ];
+            ((saved && saved.chapters) || []).forEach(chap => {
+                operations.push({ type: 'delete', store: STORES.CHAPTERS, key: chapterKey(bookId, chap.id) });
+            });
+            ((saved && saved.trash) || []).forEach(item => {
+                operations.push({ type: 'delete', store: STORES.CHAPTERS, key: chapterKey(bookId, item.chapter.id) });
+            });
+            ((saved && saved.assets) || []).forEach(asset => {
+                operations.push({ type: 'delete', store: STORES.ASSETS, key: assetKey(bookId, asset.id) });
+            });
+            const snapshotKeys = await window.StorageAdapter.keys(STORES.SNAPSHOTS);
+            snapshotKeys.filter(key => key.startsWith(`${bookId}:`)).forEach(key => {
+                operations.push({ type: 'delete', store: STORES.SNAPSHOTS, key });
+            });
+            await window.StorageAdapter.commit(operations);
+            window.TabSync.broadcast({ type: 'book-deleted', bookId });
+
+            emit('library-updated', this.listBooks());
+            return true;
+        },
+
+        /**
+         * Crée un livre à partir de données complètes (ouverture d'un fichier projet) et l'ouvre.
+         * @param {Object} data { metadata, settings, chapters: [{ ...chapitre, content }], parts, labels, currentChapterId, assets: [{ ...ressource, dataUrl }] }
+         */
+        async createBookFromData(data) {
+            await saveToStorage();
+
+            const book = createEmptyState(generateUUID());
+            book.metadata = Object.assign(book.metadata, data.metadata);
+            book.settings = Object.assign(book.settings, data.settings);
+
+            book.chapters = (data.chapters || []).map(({ content, ...chap }) => {
+                const chapter = { ...chap, id: chap.id || generateUUID() };
+                book.contents[chapter.id] = content || '';
+                return chapter;
+            });
+            book.parts = (data.parts || []).map(part => ({ ...part }));
+            book.labels = (data.labels || []).map(label => ({ ...label }));
+            book.currentChapterId = data.currentChapterId;
+
+            const assetData = {};
+            book.assets = (data.assets || []).map(({ dataUrl, ...asset }) => {
+                const record = { ...asset, id: asset.id || generateUUID() };
+                assetData[record.id] = dataUrl;
+                return record;
+            });
+
+            library.books.push({ id: book.bookId, title: book.metadata.title, updatedAt: Date.now() });
+            library.lastBookId = book.bookId;
+            await writeBook(book, assetData);
+            window.TabSync.broadcast({ type: 'library-changed' });
+            await flushBeforeLeaving();
+            activateBook(book);
+            return book.bookId;
         },
 
+        // ====================================================================
+        // LIVRE OUVERT
+        // ====================================================================
+
         getState() {
             return { ...state };
         },
 
         getChapterContent(id) {
-            // CORRECTION : Restauration de l'accès
-            return state.contents || '';
+            return state.contents[id] || '';
         },
 
         updateMetadata(key, value) {
-            // CORRECTION : Restauration de l'accès dynamique
-            if (state.metadata !== undefined) {
-                state.metadata = value;
+            if (state.metadata[key] !== undefined) {
+                state.metadata[key] = value;
+                metadataDirty = true;
                 debouncedSave();
             }
         },
 
+        /**
+         * Met à jour plusieurs métadonnées d'un coup (clés connues seulement) et en informe l'interface.
+         * Utilisé par les imports, contrairement à updateMetadata qui suit la saisie.
+         */
+        setMetadata(changes) {
+            Object.keys(changes).forEach(key => {
+                if (state.metadata[key] !== undefined) state.metadata[key] = changes[key];
+            });
+            metadataDirty = true;
+            saveToStorage();
+            emit('metadata-updated', { ...state.metadata });
+        },
+
         updateCurrentChapterContent(newContent) {
             if (!state.currentChapterId) return;
-            // CORRECTION : Restauration de l'accès
-            state.contents = newContent;
+            state.contents[state.currentChapterId] = newContent;
+            markDirty(state.currentChapterId);
             debouncedSave();
             emit('content-updated', newContent);
         },
 
         setCurrentChapter(id) {
             if (state.chapters.find(c => c.id === id)) {
+                if (state.currentChapterId && state.currentChapterId !== id) {
+                    autoSnapshot(state.currentChapterId, "Changement de chapitre");
+                }
                 state.currentChapterId = id;
                 saveToStorage(); 
                 emit('chapter-selected', id);
             }
         },
 
+        /**
+         * Ajoute un chapitre après `afterId` (dans la même partie), ou à la fin du livre.
+         */
         addChapter(title, afterId = null, skipSave = false) {
             const newId = generateUUID();
-            const newChapter = { id: newId, title: title };
+            const lastPart = state.parts[state.parts.length - 1];
+            const newChapter = { id: newId, title: title, partId: lastPart ? lastPart.id : null };
             
-            // CORRECTION : Restauration de l'accès
-            state.contents = '';
+            state.contents[newId] = '';
+            markDirty(newId);
 
             const insertIndex = state.chapters.findIndex(c => c.id === afterId);
             if (insertIndex !== -1) {
+                newChapter.partId = state.chapters[insertIndex].partId || null;
                 state.chapters.splice(insertIndex + 1, 0, newChapter);
             } else {
                 state.chapters.push(newChapter);
@@ -192,13 +1442,19 @@
         renameChapter(id, newTitle) {
             if (!newTitle || newTitle.trim() === '') return false;
             const chapter = state.chapters.find(c => c.id === id);
-            if (chapter) {
-                chapter.title = newTitle.trim();
-                saveToStorage();
-                emit('chapter-renamed', chapter);
-                return true;
-            }
-            return false;
+            if (!chapter) return false;
+            if (chapter.title === newTitle.trim()) return true;
+
+            recordCommand({
+                type: 'rename',
+                label: `Renommage de « ${chapter.title} »`,
+                id,
+                oldTitle: chapter.title,
+                newTitle: newTitle.trim()
+            });
+            applyRename(id, newTitle.trim());
+            emit('history-changed', this.getHistoryStatus());
+            return true;
         },
 
         deleteChapter(id) {
@@ -208,54 +1464,527 @@
             }
 
             const index = state.chapters.findIndex(c => c.id === id);
-            if (index !== -1) {
-                state.chapters.splice(index, 1);
-                // CORRECTION : Restauration de
-                delete state.contents;
-
-                // Si on a supprimé le chapitre courant, on bascule sur le précédent (ou le premier)
-                if (state.currentChapterId === id) {
-                    const newCurrentIndex = Math.max(0, index - 1);
-                    // CORRECTION : Restauration de l'index
-                    state.currentChapterId = state.chapters.id;
-                }
+            if (index === -1) return false;
 
-                saveToStorage();
-                emit('chapter-deleted', { deletedId: id, newCurrentId: state.currentChapterId });
-                return true;
-            }
-            return false;
+            const chapter = state.chapters[index];
+            recordCommand({
+                type: 'delete',
+                label: `Suppression de « ${chapter.title} »`,
+                chapter: { id: chapter.id, title: chapter.title }
+            });
+            applyRemoval(id);
+            emit('history-changed', this.getHistoryStatus());
+            return true;
         },
 
         reorderChapters(newOrderIds) {
-            const newChapters =[];
-            newOrderIds.forEach(id => {
-                const chap = state.chapters.find(c => c.id === id);
-                if (chap) newChapters.push(chap);
+            const before = state.chapters.map(c => c.id);
+            const isComplete = newOrderIds.length === before.length && newOrderIds.every(id => before.includes(id));
+            if (!isComplete || before.join() === newOrderIds.join()) return;
+
+            recordCommand({ type: 'reorder', label: "Réordonnancement des chapitres", before, after: newOrderIds.slice() });
+            applyOrder(newOrderIds);
+            emit('history-changed', this.getHistoryStatus());
+        },
+
+        /**
+         * Remplace les chapitres du livre par ceux d'un import, en une opération annulable.
+         * @param {Array} newChaptersData [{ title, content }]
+         * @param {Object} [importedMetadata] Titre, auteur, langue et couverture (identifiant d'une ressource déjà ajoutée)
+         *        repris de l'import ; les valeurs absentes ne remplacent rien
+         */
+        importFullBook(newChaptersData, importedMetadata = {}) {
+            const before = captureBook();
+            const newChapters = newChaptersData.map(data => {
+                const chapter = { id: generateUUID(), title: data.title };
+                state.contents[chapter.id] = data.content;
+                return chapter;
+            });
+            const after = { chapterIds: newChapters.map(c => c.id), parts: [], metadata: { ...before.metadata }, currentChapterId: null };
+            IMPORTED_METADATA.forEach(key => {
+                if (importedMetadata[key]) after.metadata[key] = importedMetadata[key];
             });
 
-            if (newChapters.length === state.chapters.length) {
-                state.chapters = newChapters;
-                saveToStorage();
-                emit('chapters-reordered', state.chapters);
+            recordCommand({ type: 'import', label: "Import du livre", before, after });
+            applyBookSnapshot(after, before, newChapters);
+            emit('history-changed', this.getHistoryStatus());
+        },
+
+        // ====================================================================
+        // SUIVI ÉDITORIAL (statut, notes, objectif, étiquettes)
+        // ====================================================================
+
+        /**
+         * Fiche de suivi d'un chapitre, valeurs par défaut comprises.
+         */
+        getChapterInfo(id) {
+            const chapter = state.chapters.find(c => c.id === id);
+            if (!chapter) return null;
+            return {
+                type: CHAPTER_TYPES[chapter.type] ? chapter.type : DEFAULT_TYPE,
+                status: chapter.status || DEFAULT_STATUS,
+                notes: chapter.notes || '',
+                targetWords: chapter.targetWords || 0,
+                labels: (chapter.labels || []).filter(labelId => state.labels.some(l => l.id === labelId)),
+                wordCount: countWords(state.contents[id])
+            };
+        },
+
+        /**
+         * Met à jour la fiche de suivi d'un chapitre. Les valeurs invalides sont ignorées.
+         * @param {Object} changes { type, status, notes, targetWords, labels }
+         */
+        updateChapterInfo(id, changes) {
+            const chapter = state.chapters.find(c => c.id === id);
+            if (!chapter) return false;
+
+            if (changes.type !== undefined && CHAPTER_TYPES[changes.type]) {
+                chapter.type = changes.type;
+            }
+            if (changes.status !== undefined && CHAPTER_STATUSES[changes.status]) {
+                chapter.status = changes.status;
+            }
+            if (typeof changes.notes === 'string') {
+                chapter.notes = changes.notes;
+            }
+            if (changes.targetWords !== undefined) {
+                chapter.targetWords = Math.max(0, parseInt(changes.targetWords, 10) || 0);
+            }
+            if (Array.isArray(changes.labels)) {
+                chapter.labels = changes.labels.filter(labelId => state.labels.some(l => l.id === labelId));
+            }
+
+            saveToStorage();
+            emit('chapter-info-updated', { id, ...this.getChapterInfo(id) });
+            return true;
+        },
+
+        /**
+         * Crée une étiquette pour le livre ouvert.
+         * @returns {string|null} Identifiant de l'étiquette (null si le nom est vide)
+         */
+        addLabel(name, color) {
+            if (!name || name.trim() === '') return null;
+            const label = { id: generateUUID(), name: name.trim(), color: color || '#888888' };
+            state.labels.push(label);
+            saveToStorage();
+            emit('labels-updated', state.labels.slice());
+            return label.id;
+        },
+
+        updateLabel(id, changes) {
+            const label = state.labels.find(l => l.id === id);
+            if (!label) return false;
+            if (changes.name && changes.name.trim() !== '') label.name = changes.name.trim();
+            if (changes.color) label.color = changes.color;
+            saveToStorage();
+            emit('labels-updated', state.labels.slice());
+            return true;
+        },
+
+        /**
+         * Supprime une étiquette et la retire de tous les chapitres (corbeille comprise).
+         */
+        deleteLabel(id) {
+            const index = state.labels.findIndex(l => l.id === id);
+            if (index === -1) return false;
+
+            state.labels.splice(index, 1);
+            state.chapters.concat(state.trash.map(item => item.chapter)).forEach(chap => {
+                if (chap.labels) chap.labels = chap.labels.filter(labelId => labelId !== id);
+            });
+            saveToStorage();
+            emit('labels-updated', state.labels.slice());
+            return true;
+        },
+
+        /**
+         * Chapitres à exporter, dans l'ordre de lecture (selon le réglage « finaux seulement »).
+         */
+        getExportChapters() {
+            if (!state.settings.exportFinalOnly) return state.chapters.slice();
+            return state.chapters.filter(chap => chap.status === 'final');
+        },
+
+        // ====================================================================
+        // PARTIES
+        // ====================================================================
+
+        /**
+         * Ajoute une partie vide à la fin du livre.
+         * @returns {string} Identifiant de la partie
+         */
+        addPart(title) {
+            const part = { id: generateUUID(), title: (title || '').trim() || "Nouvelle partie", titlePage: true };
+            changeStructure(`Ajout de la partie « ${part.title} »`, draft => {
+                draft.parts.push(part);
+            });
+            return part.id;
+        },
+
+        renamePart(id, newTitle) {
+            if (!newTitle || newTitle.trim() === '') return false;
+            const part = state.parts.find(p => p.id === id);
+            if (!part) return false;
+            if (part.title === newTitle.trim()) return true;
+
+            changeStructure(`Renommage de la partie « ${part.title} »`, draft => {
+                draft.parts.find(p => p.id === id).title = newTitle.trim();
+            });
+            return true;
+        },
+
+        /**
+         * Supprime une partie. Ses chapitres sont conservés et rejoignent la partie précédente
+         * (ou passent hors partie), ce qui préserve l'ordre de lecture.
+         */
+        deletePart(id) {
+            const index = state.parts.findIndex(p => p.id === id);
+            if (index === -1) return false;
+
+            const previousId = index > 0 ? state.parts[index - 1].id : null;
+            changeStructure(`Suppression de la partie « ${state.parts[index].title} »`, draft => {
+                draft.parts.splice(index, 1);
+                draft.chapters.forEach(entry => {
+                    if (entry.partId === id) entry.partId = previousId;
+                });
+            });
+            return true;
+        },
+
+        /**
+         * Active ou non la page de titre de la partie dans l'EPUB.
+         */
+        setPartTitlePage(id, enabled) {
+            const part = state.parts.find(p => p.id === id);
+            if (!part) return false;
+            if ((part.titlePage !== false) === !!enabled) return true;
+
+            const label = enabled ? 'Ajout de la page de titre' : 'Retrait de la page de titre';
+            changeStructure(`${label} de la partie « ${part.title} »`, draft => {
+                draft.parts.find(p => p.id === id).titlePage = !!enabled;
+            });
+            return true;
+        },
+
+        /**
+         * Applique un nouvel arbre issu du glisser-déposer de la barre latérale.
+         * @param {Array<string>} partIds Ordre des parties
+         * @param {Array<{id: string, partId: string|null}>} chapters Ordre des chapitres et partie de rattachement
+         * @returns {boolean} true si l'arbre a changé
+         */
+        reorderStructure(partIds, chapters) {
+            const current = captureStructure();
+            const currentPartIds = current.parts.map(p => p.id);
+            const currentChapterIds = current.chapters.map(c => c.id);
+
+            const partsComplete = partIds.length === currentPartIds.length && partIds.every(id => currentPartIds.includes(id));
+            const chaptersComplete = chapters.length === currentChapterIds.length
+                && chapters.every(entry => currentChapterIds.includes(entry.id) && (!entry.partId || partIds.includes(entry.partId)));
+            if (!partsComplete || !chaptersComplete) return false;
+
+            const unchanged = partIds.join() === currentPartIds.join()
+                && JSON.stringify(chapters.map(e => [e.id, e.partId || null])) === JSON.stringify(current.chapters.map(e => [e.id, e.partId]));
+            if (unchanged) return false;
+
+            changeStructure("Réorganisation des parties et chapitres", draft => {
+                draft.parts = partIds.map(id => current.parts.find(p => p.id === id));
+                draft.chapters = chapters.map(entry => ({ id: entry.id, partId: entry.partId || null }));
+            });
+            return true;
+        },
+
+        // ====================================================================
+        // RESSOURCES (ASSETS)
+        // ====================================================================
+
+        listAssets() {
+            return state.assets.map(asset => ({ ...asset }));
+        },
+
+        /**
+         * Renvoie les données d'une ressource du livre ouvert sous forme de data URL (ou null).
+         */
+        async getAssetData(assetId) {
+            const key = assetKey(state.bookId, assetId);
+            if (assetDataCache.has(key)) return assetDataCache.get(key);
+
+            const dataUrl = await window.StorageAdapter.get(STORES.ASSETS, key);
+            if (dataUrl !== null) assetDataCache.set(key, dataUrl);
+            return dataUrl;
+        },
+
+        findAssetByName(name) {
+            const asset = state.assets.find(a => a.name === name);
+            return asset ? { ...asset } : null;
+        },
+
+        /**
+         * Charge les images du livre ouvert désignées par leur nom (les noms inconnus sont ignorés).
+         * @param {string[]} names
+         * @returns {Promise<Map<string, {mediaType: string, dataUrl: string}>>}
+         */
+        async getImagesByName(names) {
+            const images = new Map();
+            for (const name of names) {
+                const asset = state.assets.find(a => a.name === name);
+                if (!asset) continue;
+                const dataUrl = await this.getAssetData(asset.id);
+                if (dataUrl) images.set(name, { mediaType: asset.mediaType, dataUrl });
+            }
+            return images;
+        },
+
+        /**
+         * Ajoute une ressource au livre ouvert. Le nom est nettoyé et rendu unique si nécessaire.
+         * @param {{name: string, mediaType: string, dataUrl: string}} asset
+         * @returns {Promise<Object>} L'enregistrement de la ressource créée
+         */
+        async addAsset({ name, mediaType, dataUrl }) {
+            const record = {
+                id: generateUUID(),
+                name: uniqueAssetName(safeAssetName(name)),
+                mediaType,
+                size: dataUrlSize(dataUrl),
+                addedAt: Date.now()
+            };
+            const key = assetKey(state.bookId, record.id);
+            await window.StorageAdapter.commit([{ type: 'put', store: STORES.ASSETS, key, value: dataUrl }]);
+            assetDataCache.set(key, dataUrl);
+
+            state.assets.push(record);
+            saveToStorage();
+            emit('assets-updated', this.listAssets());
+            return { ...record };
+        },
+
+        /**
+         * Définit l'image de couverture (JPEG ou PNG). L'ancienne couverture est supprimée.
+         * @param {{name: string, mediaType: string, dataUrl: string}} image
+         */
+        async setCoverImage(image) {
+            if (!COVER_MEDIA_TYPES.includes(image.mediaType)) return false;
+
+            const previousId = state.metadata.cover;
+            const asset = await this.addAsset(image);
+            state.metadata.cover = asset.id;
+            metadataDirty = true;
+            if (previousId) this.deleteAsset(previousId);
+
+            saveToStorage();
+            emit('metadata-updated', { ...state.metadata });
+            return true;
+        },
+
+        removeCoverImage() {
+            const coverId = state.metadata.cover;
+            if (!coverId) return false;
+
+            this.deleteAsset(coverId);
+            emit('metadata-updated', { ...state.metadata });
+            return true;
+        },
+
+        /**
+         * Renvoie la couverture du livre ouvert ({ name, mediaType, dataUrl }) ou null.
+         */
+        async getCoverImage() {
+            const asset = state.assets.find(a => a.id === state.metadata.cover);
+            if (!asset) return null;
+            const dataUrl = await this.getAssetData(asset.id);
+            return dataUrl ? { name: asset.name, mediaType: asset.mediaType, dataUrl } : null;
+        },
+
+        deleteAsset(assetId) {
+            const index = state.assets.findIndex(asset => asset.id === assetId);
+            if (index === -1) return false;
+
+            state.assets.splice(index, 1);
+            if (state.metadata.cover === assetId) {
+                state.metadata.cover = '';
+                metadataDirty = true;
             }
+            const fontSettings = FONT_SETTINGS.filter(setting => state.settings[setting] === assetId);
+            fontSettings.forEach(setting => {
+                state.settings[setting] = '';
+            });
+            const key = assetKey(state.bookId, assetId);
+            assetDataCache.delete(key);
+            window.StorageAdapter.commit([{ type: 'delete', store: STORES.ASSETS, key }])
+                .catch(error => console.error('Erreur lors de la suppression d\'une ressource', error));
+
+            saveToStorage();
+            emit('assets-updated', this.listAssets());
+            if (fontSettings.length > 0) emit('settings-updated', { ...state.settings });
+            return true;
+        },
+
+        // ====================================================================
+        // CORBEILLE
+        // ====================================================================
+
+        /**
+         * Liste les chapitres en corbeille, du plus récemment supprimé au plus ancien.
+         */
+        listTrash() {
+            return state.trash
+                .map(item => ({ ...item, expiresAt: item.deletedAt + state.settings.trashRetentionDays * 24 * 60 * 60 * 1000 }))
+                .reverse();
         },
 
-        importFullBook(newChaptersData) {
-            state.chapters =[];
-            state.contents = {};
+        restoreFromTrash(chapterId) {
+            const item = state.trash.find(t => t.chapter.id === chapterId);
+            if (!item) return false;
 
-            newChaptersData.forEach((data, index) => {
-                const id = generateUUID();
-                state.chapters.push({ id, title: data.title });
-                // CORRECTION : Restauration de l'accès
-                state.contents = data.content;
-                if (index === 0) state.currentChapterId = id;
+            recordCommand({
+                type: 'restore',
+                label: `Restauration de « ${item.chapter.title} »`,
+                chapter: { id: item.chapter.id, title: item.chapter.title }
             });
+            applyRestore(chapterId);
+            emit('history-changed', this.getHistoryStatus());
+            return true;
+        },
+
+        /**
+         * Supprime définitivement un chapitre de la corbeille (irréversible).
+         */
+        purgeFromTrash(chapterId) {
+            if (!purgeTrashItem(chapterId)) return false;
+            saveToStorage();
+            emit('trash-updated', state.trash.slice());
+            emit('history-changed', this.getHistoryStatus());
+            return true;
+        },
 
+        emptyTrash() {
+            state.trash.map(item => item.chapter.id).forEach(id => purgeTrashItem(id));
             saveToStorage();
-            emit('book-imported', this.getState());
+            emit('trash-updated', []);
+            emit('history-changed', this.getHistoryStatus());
+        },
+
+        /**
+         * Met à jour des réglages du livre ouvert (seules les clés connues sont prises en compte).
+         */
+        updateSettings(changes) {
+            Object.keys(changes).forEach(key => {
+                if (key in DEFAULT_SETTINGS) state.settings[key] = changes[key];
+            });
+            saveToStorage();
+            emit('settings-updated', { ...state.settings });
+        },
+
+        /**
+         * Modifie la durée de conservation de la corbeille (en jours, 0 = jamais purgée).
+         */
+        setTrashRetentionDays(days) {
+            const value = Math.max(0, parseInt(days, 10) || 0);
+            state.settings.trashRetentionDays = value;
+            if (!expireTrashAndNotify()) saveToStorage();
+        },
+
+        // ====================================================================
+        // VERSIONS DES CHAPITRES
+        // ====================================================================
+
+        /**
+         * Crée une version manuelle d'un chapitre (à la demande de l'auteur).
+         */
+        createSnapshot(chapterId, reason = "Version manuelle") {
+            if (!state.chapters.find(c => c.id === chapterId)) return Promise.resolve(null);
+            return takeSnapshot(state.bookId, chapterId, state.contents[chapterId] || '', reason, true);
+        },
+
+        /**
+         * Liste les versions d'un chapitre, de la plus récente à la plus ancienne.
+         */
+        listSnapshots(chapterId) {
+            const key = chapterKey(state.bookId, chapterId);
+            return queueSnapshotTask(async () => {
+                const snapshots = await window.StorageAdapter.get(STORES.SNAPSHOTS, key);
+                return (snapshots || []).slice().reverse();
+            });
+        },
+
+        /**
+         * Restaure une version dans le chapitre courant.
+         * Le texte actuel est d'abord sauvegardé comme version pour rendre la restauration réversible.
+         */
+        async restoreSnapshot(snapshotId) {
+            const chapterId = state.currentChapterId;
+            const snapshots = await this.listSnapshots(chapterId);
+            const snapshot = snapshots.find(snap => snap.id === snapshotId);
+            if (!snapshot) return false;
+
+            await takeSnapshot(state.bookId, chapterId, state.contents[chapterId] || '', "Avant restauration");
+            if (state.currentChapterId !== chapterId) return false; // Chapitre changé entre-temps
+
+            this.updateCurrentChapterContent(snapshot.content);
+            return true;
+        },
+
+        /**
+         * Remplace le texte de plusieurs chapitres (correction appliquée à un chapitre ou à tout le livre).
+         * Le texte actuel de chaque chapitre modifié est d'abord sauvegardé comme version.
+         * @param {Object} contents Identifiant de chapitre -> nouveau texte
+         * @param {string} reason Motif des versions créées
+         * @returns {Promise<number>} Nombre de chapitres modifiés
+         */
+        async replaceChapterContents(contents, reason) {
+            const bookId = state.bookId;
+            const ids = Object.keys(contents).filter(id => state.chapters.find(c => c.id === id)
+                && (state.contents[id] || '') !== contents[id]);
+
+            for (const id of ids) {
+                await takeSnapshot(bookId, id, state.contents[id] || '', reason);
+            }
+            if (state.bookId !== bookId) return 0; // Livre changé entre-temps
+
+            ids.forEach(id => {
+                state.contents[id] = contents[id];
+                markDirty(id);
+            });
+            debouncedSave();
+            if (ids.includes(state.currentChapterId)) emit('content-updated', state.contents[state.currentChapterId]);
+            return ids.length;
+        },
+
+        deleteSnapshot(chapterId, snapshotId) {
+            const key = chapterKey(state.bookId, chapterId);
+            return queueSnapshotTask(async () => {
+                const snapshots = (await window.StorageAdapter.get(STORES.SNAPSHOTS, key)) || [];
+                const remaining = snapshots.filter(snap => snap.id !== snapshotId);
+                await window.StorageAdapter.commit([{ type: 'put', store: STORES.SNAPSHOTS, key, value: remaining }]);
+                emit('snapshots-changed', { chapterId });
+            });
+        },
+
+        // ====================================================================
+        // ANNULER / RÉTABLIR
+        // ====================================================================
+
+        /**
+         * Indique ce qui peut être annulé ou rétabli (pour les boutons de la barre d'outils).
+         */
+        getHistoryStatus() {
+            const lastUndo = history.undo[history.undo.length - 1];
+            const lastRedo = history.redo[history.redo.length - 1];
+            return {
+                canUndo: !!lastUndo,
+                canRedo: !!lastRedo,
+                undoLabel: lastUndo ? lastUndo.label : null,
+                redoLabel: lastRedo ? lastRedo.label : null
+            };
+        },
+
+        undo() {
+            return replayCommand(history.undo, history.redo, 'undo');
+        },
+
+        redo() {
+            return replayCommand(history.redo, history.undo, 'redo');
         }
     };
 
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,325 @@
+/**
+ * storage.js
+ * Couche d'adaptation de la persistance (IndexedDB avec repli localStorage).
+ * Responsabilités : Ouvrir la base, exposer une API clé/valeur asynchrone par magasin,
+ * écrire les lots de modifications de façon atomique et migrer les anciennes clés localStorage.
+ */
+
+(function() {
+    'use strict';
+
+    // Base IndexedDB
+    const DB_NAME = 'epub_editor';
+    const DB_VERSION = 3;
+
+    // Magasins d'objets (un magasin = un espace de clés indépendant)
+    // Les magasins absents sont créés à la montée de version (voir onupgradeneeded).
+    const STORES = {
+        META: 'meta',
+        CHAPTERS: 'chapters',
+        SNAPSHOTS: 'snapshots',
+        ASSETS: 'assets' // Ressources binaires (images, polices...) stockées en data URL
+    };
+
+    // Clé de l'index de la bibliothèque dans le magasin META
+    const LIBRARY_KEY = 'library';
+
+    // Anciennes clés localStorage (avant l'adoption d'IndexedDB)
+    const LEGACY_KEY_META = 'epub_editor_meta';
+    const LEGACY_KEY_CHAPTER_PREFIX = 'epub_editor_chapter_';
+
+    // Préfixe utilisé par le backend de repli localStorage
+    const FALLBACK_PREFIX = 'epub_editor_store_';
+
+    /**
+     * Génère un UUID v4 pour l'identifiant des livres créés lors des migrations.
+     */
+    function generateUUID() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            const r = Math.random() * 16 | 0;
+            const v = c === 'x' ? r : (r & 0x3 | 0x8);
+            return v.toString(16);
+        });
+    }
+
+    /**
+     * Clés namespacées par livre : l'arbre d'un livre, le contenu de ses chapitres et ses ressources.
+     */
+    function bookKey(bookId) {
+        return `book:${bookId}`;
+    }
+
+    function chapterKey(bookId, chapterId) {
+        return `${bookId}:${chapterId}`;
+    }
+
+    function assetKey(bookId, assetId) {
+        return `${bookId}:${assetId}`;
+    }
+
+    function historyKey(bookId) {
+        return `history:${bookId}`;
+    }
+
+    /**
+     * Révision d'une valeur stockée (null si la clé n'existe pas encore).
+     */
+    function readRevision(value) {
+        return value ? value.revision || 0 : null;
+    }
+
+    /**
+     * Transforme une requête IndexedDB en Promise.
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ========================================================================
+    // BACKEND INDEXEDDB
+    // ========================================================================
+    const IndexedDBBackend = {
+        name: 'indexeddb',
+        db: null,
+
+        async open() {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(STORES).forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName);
+                    }
+                });
+            };
+            this.db = await promisifyRequest(request);
+        },
+
+        async get(storeName, key) {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const value = await promisifyRequest(tx.objectStore(storeName).get(key));
+            return value !== undefined ? value : null;
+        },
+
+        async keys(storeName) {
+            const tx = this.db.transaction(storeName, 'readonly');
+            const keys = await promisifyRequest(tx.objectStore(storeName).getAllKeys());
+            return keys.map(String);
+        },
+
+        /**
+         * Applique un lot d'opérations dans une seule transaction (tout ou rien).
+         * La révision attendue est relue dans la même transaction : si elle a changé, rien n'est écrit.
+         */
+        commit(operations, expected) {
+            if (operations.length === 0) return Promise.resolve(true);
+            const storeNames = Array.from(new Set(operations.map(op => op.store).concat(expected ? [expected.store] : [])));
+
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction(storeNames, 'readwrite');
+                let conflict = false;
+                const write = () => {
+                    operations.forEach(op => {
+                        const store = tx.objectStore(op.store);
+                        if (op.type === 'delete') {
+                            store.delete(op.key);
+                        } else {
+                            store.put(op.value, op.key);
+                        }
+                    });
+                };
+
+                if (expected) {
+                    const request = tx.objectStore(expected.store).get(expected.key);
+                    request.onsuccess = () => {
+                        if (readRevision(request.result) === expected.revision) {
+                            write();
+                        } else {
+                            conflict = true;
+                            tx.abort();
+                        }
+                    };
+                } else {
+                    write();
+                }
+                tx.oncomplete = () => resolve(true);
+                tx.onerror = () => { if (!conflict) reject(tx.error); };
+                tx.onabort = () => (conflict ? resolve(false) : reject(tx.error));
+            });
+        }
+    };
+
+    // ========================================================================
+    // BACKEND DE REPLI (localStorage)
+    // Utilisé si IndexedDB est indisponible (navigation privée de certains navigateurs).
+    // ========================================================================
+    const LocalStorageBackend = {
+        name: 'localstorage',
+
+        fullKey(storeName, key) {
+            return `${FALLBACK_PREFIX}${storeName}_${key}`;
+        },
+
+        async open() {},
+
+        async get(storeName, key) {
+            const raw = localStorage.getItem(this.fullKey(storeName, key));
+            return raw !== null ? JSON.parse(raw) : null;
+        },
+
+        async keys(storeName) {
+            const prefix = this.fullKey(storeName, '');
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(prefix)) keys.push(key.substring(prefix.length));
+            }
+            return keys;
+        },
+
+        async commit(operations, expected) {
+            if (expected && readRevision(await this.get(expected.store, expected.key)) !== expected.revision) return false;
+            operations.forEach(op => {
+                const key = this.fullKey(op.store, op.key);
+                if (op.type === 'delete') {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, JSON.stringify(op.value));
+                }
+            });
+            return true;
+        }
+    };
+
+    let backend = null;
+
+    /**
+     * Ajoute un livre complet à la bibliothèque (créée si absente) en un seul lot d'écriture.
+     * @param {Object} book { metadata, chapters, currentChapterId }
+     * @param {Object} contents Dictionnaire { chapterId: markdown }
+     */
+    async function appendBookToLibrary(book, contents) {
+        const library = (await backend.get(STORES.META, LIBRARY_KEY)) || { books: [], lastBookId: null };
+        const bookId = generateUUID();
+        const metadata = book.metadata || {};
+
+        library.books.push({ id: bookId, title: metadata.title || '', updatedAt: Date.now() });
+        library.lastBookId = bookId;
+
+        const operations = [
+            { type: 'put', store: STORES.META, key: LIBRARY_KEY, value: library },
+            { type: 'put', store: STORES.META, key: bookKey(bookId), value: book }
+        ];
+        (book.chapters || []).forEach(chap => {
+            operations.push({ type: 'put', store: STORES.CHAPTERS, key: chapterKey(bookId, chap.id), value: contents[chap.id] || '' });
+        });
+
+        await backend.commit(operations);
+        return bookId;
+    }
+
+    /**
+     * Recopie les anciennes clés localStorage dans le backend actif, puis les supprime.
+     * N'est exécutée qu'une fois : après succès, la clé méta historique n'existe plus.
+     */
+    async function migrateLegacyStorage() {
+        const savedMeta = localStorage.getItem(LEGACY_KEY_META);
+        if (savedMeta === null) return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(savedMeta);
+        } catch (e) {
+            console.error("Migration impossible : métadonnées historiques illisibles", e);
+            return;
+        }
+
+        const chapters = parsed.chapters || [];
+        const contents = {};
+        chapters.forEach(chap => {
+            contents[chap.id] = localStorage.getItem(LEGACY_KEY_CHAPTER_PREFIX + chap.id);
+        });
+
+        await appendBookToLibrary({
+            metadata: parsed.metadata,
+            chapters: chapters,
+            currentChapterId: parsed.currentChapterId
+        }, contents);
+
+        // Nettoyage des anciennes clés seulement après une écriture réussie
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && (key === LEGACY_KEY_META || key.startsWith(LEGACY_KEY_CHAPTER_PREFIX))) {
+                localStorage.removeItem(key);
+            }
+        }
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.StorageAdapter)
+    // ========================================================================
+    window.StorageAdapter = {
+        STORES,
+        LIBRARY_KEY,
+        bookKey,
+        chapterKey,
+        assetKey,
+        historyKey,
+
+        /**
+         * Sélectionne le backend, ouvre la base et migre les données historiques.
+         */
+        async init() {
+            if (backend) return;
+
+            backend = IndexedDBBackend;
+            try {
+                if (typeof indexedDB === 'undefined') throw new Error('IndexedDB indisponible');
+                await backend.open();
+            } catch (error) {
+                console.error("IndexedDB indisponible, repli sur localStorage", error);
+                backend = LocalStorageBackend;
+                await backend.open();
+            }
+
+            await migrateLegacyStorage();
+        },
+
+        get(storeName, key) {
+            return backend.get(storeName, key);
+        },
+
+        /**
+         * Lit plusieurs clés d'un magasin et renvoie un dictionnaire { clé: valeur }.
+         */
+        async getMany(storeName, keys) {
+            const values = await Promise.all(keys.map(key => backend.get(storeName, key)));
+            const result = {};
+            keys.forEach((key, index) => {
+                result[key] = values[index];
+            });
+            return result;
+        },
+
+        keys(storeName) {
+            return backend.keys(storeName);
+        },
+
+        /**
+         * Écrit un lot d'opérations : [{ type: 'put'|'delete', store, key, value }].
+         * Avec expected ({ store, key, revision }), le lot n'est écrit que si la valeur stockée
+         * sous cette clé a toujours cette révision (null = clé absente).
+         * @returns {Promise<boolean>} false si la révision a changé entre-temps (rien n'est écrit)
+         */
+        commit(operations, expected) {
+            return backend.commit(operations, expected);
+        }
+    };
+
+})();
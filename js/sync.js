@@ -0,0 +1,81 @@
+/**
+ * sync.js
+ * Canal de communication entre onglets ouverts sur l'éditeur.
+ * Responsabilités : Identifier l'onglet courant, diffuser les notifications de sauvegarde
+ * et relayer celles des autres onglets (BroadcastChannel, repli sur l'événement storage).
+ */
+
+(function() {
+    'use strict';
+
+    const CHANNEL_NAME = 'epub_editor_sync';
+    // Clé localStorage éphémère utilisée par le repli (l'événement storage ne se déclenche que dans les AUTRES onglets)
+    const FALLBACK_KEY = 'epub_editor_sync_message';
+
+    const tabId = (typeof crypto !== 'undefined' && crypto.randomUUID)
+        ? crypto.randomUUID()
+        : `tab-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+    const handlers = [];
+    let channel = null;
+
+    /**
+     * Transmet un message reçu aux abonnés, en ignorant ceux émis par cet onglet.
+     */
+    function dispatch(message) {
+        if (!message || message.tabId === tabId) return;
+        handlers.forEach(handler => {
+            try {
+                handler(message);
+            } catch (error) {
+                console.error('Erreur lors du traitement d\'un message inter-onglets', error);
+            }
+        });
+    }
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = (e) => dispatch(e.data);
+    } else {
+        window.addEventListener('storage', (e) => {
+            if (e.key !== FALLBACK_KEY || !e.newValue) return;
+            try {
+                dispatch(JSON.parse(e.newValue));
+            } catch (error) {
+                console.error('Message inter-onglets illisible', error);
+            }
+        });
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.TabSync)
+    // ========================================================================
+    window.TabSync = {
+        tabId,
+
+        /**
+         * Abonne une fonction aux messages des autres onglets.
+         */
+        subscribe(handler) {
+            handlers.push(handler);
+        },
+
+        /**
+         * Diffuse un message à tous les autres onglets.
+         * @param {Object} message Doit contenir au moins un champ `type`
+         */
+        broadcast(message) {
+            const payload = { ...message, tabId, sentAt: Date.now() };
+            if (channel) {
+                channel.postMessage(payload);
+            } else {
+                try {
+                    localStorage.setItem(FALLBACK_KEY, JSON.stringify(payload));
+                } catch (error) {
+                    console.error('Diffusion inter-onglets impossible', error);
+                }
+            }
+        }
+    };
+
+})();
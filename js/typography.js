@@ -1,158 +1,405 @@
 /**
  * typography.js
  * Moteur de correction typographique et d'espacement Markdown.
- * Responsabilité unique : Appliquer les règles typographiques sur du texte brut sans altérer le code.
+ * Responsabilités : Appliquer sur du texte brut, sans altérer le code ni les adresses, les règles typographiques
+ * de la langue du livre (guillemets, apostrophes, espaces insécables, points de suspension, tirets, tirets de dialogue),
+ * chaque règle pouvant être désactivée pour un livre, et repérer les guillemets « » mal appariés d'un dialogue.
  */
 
 (function() {
     'use strict';
 
+    // Espaces insécables : normale (U+00A0) et fine (U+202F)
+    const NBSP = '\u00A0';
+    const NNBSP = '\u202F';
+
+    // Conventions de chaque langue (étiquette BCP 47 en minuscules ; une variante régionale complète sa langue)
+    //   quotes / innerQuotes : guillemets de premier et de second niveau
+    //   dash : remplacement d'un trait d'union isolé entre deux mots (incise)
+    //   spaces : espace insérée avant chaque ponctuation haute ; quoteSpace : espace à l'intérieur des guillemets
+    //   dialogueDash : début de réplique (mode dialogue) qui remplace le tiret saisi en tête de ligne
+    const LOCALES = {
+        fr: {
+            label: 'français',
+            quotes: ['«', '»'],
+            innerQuotes: ['“', '”'],
+            dash: ' — ',
+            spaces: { ';': NNBSP, '!': NNBSP, '?': NNBSP, ':': NBSP },
+            quoteSpace: NBSP,
+            dialogueDash: '\u2014' + NBSP
+        },
+        // Au Canada, seuls le deux-points et les guillemets sont précédés d'une espace
+        'fr-ca': {
+            label: 'français (Canada)',
+            quotes: ['«', '»'],
+            innerQuotes: ['“', '”'],
+            dash: ' — ',
+            spaces: { ':': NBSP },
+            quoteSpace: NBSP,
+            dialogueDash: '\u2014' + NBSP
+        },
+        en: {
+            label: 'anglais',
+            quotes: ['“', '”'],
+            innerQuotes: ['‘', '’'],
+            dash: '—'
+        },
+        de: {
+            label: 'allemand',
+            quotes: ['„', '“'],
+            innerQuotes: ['‚', '‘'],
+            dash: ' – '
+        },
+        es: {
+            label: 'espagnol',
+            quotes: ['«', '»'],
+            innerQuotes: ['“', '”'],
+            dash: ' — ',
+            // Le tiret espagnol est collé à la réplique (—Hola)
+            dialogueDash: '\u2014'
+        },
+        it: {
+            label: 'italien',
+            quotes: ['«', '»'],
+            innerQuotes: ['“', '”'],
+            dash: ' – '
+        }
+    };
+
+    // Règles proposées, dans l'ordre d'application ; requires : propriété de la langue sans laquelle la règle ne s'applique pas.
+    // Le mode dialogue est désactivé par défaut (réglages du livre) : une réplique saisie avec un trait d'union
+    // n'est reconnue que hors d'une liste à tiret, que Markdown lit comme une liste à puces.
+    const RULES = {
+        dialogue: { label: 'Mode dialogue : tiret cadratin en tête de réplique (hors listes à tiret)', requires: 'dialogueDash' },
+        emphasisSpaces: { label: 'Espaces superflues dans l\'emphase (* et **)' },
+        quotes: { label: 'Guillemets typographiques', requires: 'quotes' },
+        apostrophes: { label: 'Apostrophe typographique (’)' },
+        ellipsis: { label: 'Points de suspension (…)' },
+        dashes: { label: 'Tirets d\'incise', requires: 'dash' },
+        punctuationSpaces: { label: 'Espaces insécables avant ; : ! ? et dans les guillemets', requires: 'spaces' }
+    };
+
+    // Passages jamais modifiés : blocs et extraits de code, adresses des liens et des images, commentaires
+    // et balises HTML, liens automatiques, entités HTML, adresses web et courriel, appels de note
+    // et définitions de liens ou de notes
+    const PROTECTED = [
+        /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:\n {0,3}\1[^\n]*|(?![\s\S]))/gm,
+        /(`+)[^`\n](?:[^\n]*?[^`\n])?\1(?!`)/g,
+        /\]\([^)\n]*\)/g,
+        /<!--[\s\S]*?-->/g,
+        /<\/?[A-Za-z][\w-]*(?:\s[^<>]*)?>/g,
+        /<[^<>\s]+>/g,
+        /&[#\w]+;/g,
+        /\b(?:https?|ftp):\/\/[^\s<>()]+|\bwww\.[^\s<>()]+|\bmailto:[^\s<>()]+/g,
+        /\[\^[^\]\n]+\]:?/g,
+        /^ {0,3}\[[^\]\n]+\]:/gm
+    ];
+
+    // Jetons de remplacement des passages protégés (caractères à usage privé)
+    const TOKEN = /\uE000(\d+)\uE001/g;
+
+    // Ligne de séparation Markdown (---, * * *, ___) et ligne d'alignement d'un tableau (|:---|---:|) :
+    // leurs traits et deux-points ne sont pas de la ponctuation
+    const THEMATIC_BREAK = /^ {0,3}([-*_])( *\1){2,} *$/;
+    const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    // Tiret saisi en tête de réplique (trait d'union, demi-cadratin, cadratin ou barre horizontale suivi d'une espace)
+    const DIALOGUE_DASH = /^( {0,3})[-\u2013\u2014\u2015][ \t\u00A0\u202F]+(?=\S)/;
+
+    // Élément de liste à puces saisi avec un trait d'union, et ligne de suite d'un élément (texte en retrait)
+    const HYPHEN_ITEM = /^ {0,3}-[ \t]+\S/;
+    const ITEM_CONTINUATION = /^(?: {2,}|\t)\S/;
+
+    // Début d'un paragraphe qui poursuit un dialogue : guillemet, tiret de réplique
+    const DIALOGUE_START = /^\s*[«»\u2014\u2013\u2015]/;
+
+    /**
+     * Repère les lignes des listes à tiret : au moins deux éléments à trait d'union qui se suivent,
+     * séparés ou non par des lignes vides. Un trait d'union isolé, entouré de narration, reste une réplique.
+     * @param {string[]} lines Lignes du texte (passages protégés remplacés par des jetons)
+     * @returns {Set<number>} Index des éléments de ces listes
+     */
+    function findHyphenLists(lines) {
+        const listLines = new Set();
+        let previousItem = -1;
+        lines.forEach((line, index) => {
+            if (line.trim() === '' || (previousItem !== -1 && ITEM_CONTINUATION.test(line))) return;
+            if (!HYPHEN_ITEM.test(line) || THEMATIC_BREAK.test(line)) {
+                previousItem = -1;
+                return;
+            }
+            if (previousItem !== -1) listLines.add(previousItem).add(index);
+            previousItem = index;
+        });
+        return listLines;
+    }
+
     window.TypographyEngine = {
+        LOCALES,
+        RULES,
 
         /**
-         * Vérifie si un caractère est alphanumérique (inclut les accents français).
+         * Vérifie si un caractère est alphanumérique (lettres accentuées de toutes les langues comprises).
          */
         isAlphanumeric(char) {
-            // CORRECTION : Restauration de la regex alphanumérique avec support des accents
-            return /^$/.test(char);
+            return /^[\p{L}\p{N}]$/u.test(char);
+        },
+
+        /**
+         * Conventions de la langue d'un livre (« fr-CA » : variante canadienne, sinon conventions de « fr »).
+         * @returns {Object|null} null si la langue n'a pas de règles propres
+         */
+        getLocale(language) {
+            const tag = String(language || '').trim().toLowerCase().replace(/_/g, '-');
+            const parts = tag.split('-');
+            const regional = parts.length > 1 ? `${parts[0]}-${parts[parts.length - 1]}` : null;
+            return LOCALES[tag] || (regional && LOCALES[regional]) || LOCALES[parts[0]] || null;
+        },
+
+        /**
+         * Liste les règles applicables à une langue.
+         * @returns {Array<{id: string, label: string}>}
+         */
+        getRules(language) {
+            const locale = this.getLocale(language) || {};
+            return Object.entries(RULES)
+                .filter(([, rule]) => !rule.requires || locale[rule.requires])
+                .map(([id, rule]) => ({ id, label: rule.label }));
+        },
+
+        /**
+         * Options du livre ouvert : sa langue et les règles qu'il désactive.
+         */
+        getBookOptions() {
+            if (!window.AppStore) return {};
+            const state = window.AppStore.getState();
+            return { language: state.metadata.language, disabled: state.settings.typographyDisabled };
         },
 
         /**
-         * Fonction principale de traitement du texte.
+         * Fonction principale de traitement du texte. Le nombre de lignes est conservé
+         * (la prévisualisation et le contrôle de l'EPUB s'appuient sur les numéros de ligne).
          * @param {string} text Le contenu Markdown brut d'un chapitre
+         * @param {Object} [options] { language, disabled: identifiants des règles désactivées } (défaut : livre ouvert)
          * @returns {string} Le contenu corrigé
          */
-        process(text) {
+        process(text, options = this.getBookOptions()) {
             if (!text) return text;
 
-            // 1. Extraction et protection des blocs de code et du code inline
-            // On les remplace temporairement par des jetons uniques pour ne pas les altérer.
-            const codePlaceholders = [];
-            const extractRegex = /(```*?(?:```|$)|`+`)/g;
-            
-            let processedText = text.replace(extractRegex, (match) => {
-                codePlaceholders.push(match);
-                return `__CODE_BLOCK_${codePlaceholders.length - 1}__`;
-            });
+            const locale = this.getLocale(options.language) || {};
+            const disabled = new Set(options.disabled || []);
+            const active = new Set(this.getRules(options.language).map(rule => rule.id).filter(id => !disabled.has(id)));
+            if (active.size === 0) return text;
+
+            // 1. Protection des passages à ne pas modifier, remplacés temporairement par des jetons
+            const protectedParts = [];
+            let processedText = PROTECTED.reduce((result, regex) => result.replace(regex, (match) => {
+                protectedParts.push(match);
+                return `\uE000${protectedParts.length - 1}\uE001`;
+            }), text);
 
-            // 2. Traitement ligne par ligne
+            // 2. Traitement ligne par ligne (l'ouverture des guillemets persiste d'une ligne à l'autre)
             const lines = processedText.split('\n');
-            let isDialogueOpen = false; // L'état persiste sur l'ensemble du texte ("sur toute la ligne")
+            const quoteState = { double: false, single: false };
+            const hyphenLists = active.has('dialogue') ? findHyphenLists(lines) : new Set();
 
             for (let i = 0; i < lines.length; i++) {
-                // CORRECTION : Restauration de l'index du tableau
-                let line = lines;
+                let line = lines[i];
+                if (line.trim() === '' || /^\uE000\d+\uE001$/.test(line.trim())) continue;
 
-                // Si la ligne est uniquement un jeton de code protégé, on l'ignore
-                if (/^__CODE_BLOCK_\d+__$/.test(line.trim())) {
-                    continue;
+                const isMarkup = THEMATIC_BREAK.test(line) || TABLE_DELIMITER.test(line);
+                if (active.has('dialogue') && !isMarkup && !hyphenLists.has(i)) line = line.replace(DIALOGUE_DASH, `$1${locale.dialogueDash}`);
+                if (active.has('quotes') || active.has('apostrophes')) {
+                    line = this.convertQuotes(line, locale, quoteState, active);
                 }
+                if (active.has('quotes')) line = this.reorderMarkers(line, locale.quotes);
+                // Après le réordonnancement, qui peut laisser l'espace d'un guillemet à l'intérieur de l'emphase
+                if (active.has('emphasisSpaces')) line = this.fixEmphasisSpaces(line);
+                if (active.has('ellipsis')) line = line.replace(/(?<!\.)\.{3}(?!\.)/g, '…');
+                if (active.has('dashes') && !isMarkup) {
+                    line = line.replace(/(\S)[ \t]+-{1,2}[ \t]+(?=\S)/g, (match, prev) => prev + locale.dash);
+                }
+                if (active.has('punctuationSpaces') && !isMarkup) line = this.fixPunctuationSpaces(line, locale);
+
+                lines[i] = line;
+            }
+
+            processedText = lines.join('\n');
 
-                // A. Correction des espaces superflus autour de l'emphase
-                line = this.fixEmphasisSpaces(line);
+            // 3. Réinsertion des passages protégés (un passage peut en contenir un autre)
+            let previous;
+            do {
+                previous = processedText;
+                processedText = processedText.replace(TOKEN, (match, index) => protectedParts[Number(index)] ?? match);
+            } while (processedText !== previous);
 
-                // B. Traitement des guillemets typographiques (caractère par caractère)
-                let smartLine = '';
-                for (let j = 0; j < line.length; j++) {
-                    // CORRECTION : Restauration de l'index de la chaîne
-                    let c = line;
-                    
+            return processedText;
+        },
+
+        /**
+         * Repère les guillemets « » mal appariés d'un texte corrigé par process() : un dialogue peut s'étendre
+         * sur plusieurs paragraphes tant que chacun commence par un guillemet ou un tiret de réplique,
+         * mais un paragraphe de narration, un titre ou la fin du texte signalent un guillemet jamais refermé.
+         * @param {string} text Contenu Markdown d'un chapitre
+         * @param {Object} [options] Comme pour process() (défaut : livre ouvert)
+         * @returns {Array<{line: number, message: string}>} Numéros de ligne à partir de 1 ; [] si la langue
+         *          n'emploie pas les guillemets « »
+         */
+        checkDialogue(text, options = this.getBookOptions()) {
+            const locale = this.getLocale(options.language);
+            if (!text || !locale || locale.quotes[0] !== '«') return [];
+
+            // Les guillemets du code et des adresses ne comptent pas (le nombre de lignes est conservé)
+            const masked = PROTECTED.reduce((result, regex) => result.replace(regex, match => match.replace(/[«»]/g, ' ')),
+                this.process(text, options));
+            const issues = [];
+            const openLines = []; // Lignes des guillemets « encore ouverts
+            let paragraphStart = true;
+
+            const unclosed = (reason) => {
+                openLines.forEach(line => issues.push({ line, message: `Guillemet « jamais refermé (${reason}).` }));
+                openLines.length = 0;
+            };
+
+            masked.split('\n').forEach((line, index) => {
+                const lineNumber = index + 1;
+                if (line.trim() === '') {
+                    paragraphStart = true;
+                    return;
+                }
+
+                if (openLines.length > 0 && /^ {0,3}#{1,6}\s/.test(line)) {
+                    unclosed(`titre ligne ${lineNumber}`);
+                } else if (openLines.length > 0 && paragraphStart && !DIALOGUE_START.test(line)) {
+                    unclosed(`paragraphe de narration ligne ${lineNumber}`);
+                }
+
+                // En tête de paragraphe, un « ou » répété poursuit la citation du paragraphe précédent
+                const lead = line.length - line.trimStart().length;
+                const continues = paragraphStart && openLines.length > 0 && /^[«»]/.test(line.trimStart());
+
+                Array.from(line.substring(lead + (continues ? 1 : 0))).forEach(c => {
                     if (c === '«') {
-                        isDialogueOpen = true;
-                        smartLine += c;
+                        if (openLines.length > 0) {
+                            issues.push({
+                                line: lineNumber,
+                                message: `Guillemet « ouvert alors que celui de la ligne ${openLines[openLines.length - 1]} n'est pas refermé (guillemets intérieurs : “ ”).`
+                            });
+                        }
+                        openLines.push(lineNumber);
                     } else if (c === '»') {
-                        isDialogueOpen = false;
-                        smartLine += c;
-                    } else if (c === "'" || c === '"') {
-                        // CORRECTION : Restauration des accès aux caractères précédent et suivant
-                        let prev = j > 0 ? line : ' ';
-                        let next = j < line.length - 1 ? line : ' ';
-                        
-                        // Détection de l'apostrophe interne
-                        if (this.isAlphanumeric(prev) && this.isAlphanumeric(next)) {
-                            smartLine += c; 
-                        } else {
-                            // Remplacement intelligent
-                            if (isDialogueOpen) {
-                                smartLine += '»';
-                                isDialogueOpen = false;
-                            } else {
-                                smartLine += '«';
-                                isDialogueOpen = true;
-                            }
+                        if (openLines.length === 0) {
+                            issues.push({ line: lineNumber, message: 'Guillemet » sans guillemet « ouvrant.' });
                         }
-                    } else {
-                        smartLine += c;
+                        openLines.pop();
                     }
-                }
-                line = smartLine;
+                });
+                paragraphStart = false;
+            });
 
-                // C. Réordonnancement strict : guillemets toujours à l'extérieur de l'emphase
-                line = this.reorderMarkers(line);
+            unclosed('fin du chapitre');
+            return issues;
+        },
 
-                // CORRECTION : Restauration de l'index du tableau
-                lines = line;
-            }
+        /**
+         * Remplace les guillemets et apostrophes droits d'une ligne.
+         * Un guillemet est ouvrant en début de mot, fermant en fin de mot ; entre deux espaces,
+         * l'état d'ouverture (qui persiste sur l'ensemble du texte) décide.
+         * @param {Object} quoteState { double, single } Guillemets ouverts, mis à jour
+         */
+        convertQuotes(line, locale, quoteState, active) {
+            const useQuotes = active.has('quotes') && locale.quotes;
+            const useApostrophes = active.has('apostrophes');
+            let result = '';
 
-            processedText = lines.join('\n');
+            for (let j = 0; j < line.length; j++) {
+                const c = line[j];
+                const prev = j > 0 ? line[j - 1] : ' ';
+                const next = j < line.length - 1 ? line[j + 1] : ' ';
+                const opensWord = /[\s([{—–*_-]/.test(prev) && !/\s/.test(next);
+                const closesWord = !/\s/.test(prev) && /[\s.,;:!?)\]}*_—–-]/.test(next);
 
-            // 3. Réinsertion des blocs de code originaux à la place des jetons
-            processedText = processedText.replace(/__CODE_BLOCK_(\d+)__/g, (match, index) => {
-                // CORRECTION : Restauration de l'accès au tableau via l'index parsé
-                return codePlaceholders;
+                if (useQuotes && (c === locale.quotes[0] || c === '«' || c === '„')) {
+                    quoteState.double = true;
+                    result += c;
+                } else if (useQuotes && (c === locale.quotes[1] || c === '»')) {
+                    quoteState.double = false;
+                    result += c;
+                } else if (c === '"' && useQuotes) {
+                    const opening = opensWord || (!closesWord && !quoteState.double);
+                    quoteState.double = opening;
+                    result += opening ? locale.quotes[0] : locale.quotes[1];
+                } else if (c === "'") {
+                    // Apostrophe : dans un mot, ou en fin de mot sans citation simple ouverte (élision, possessif anglais)
+                    const inWord = this.isAlphanumeric(prev) && this.isAlphanumeric(next);
+                    if (inWord || (!opensWord && !quoteState.single) || !useQuotes || !locale.innerQuotes) {
+                        result += useApostrophes ? '’' : c;
+                    } else {
+                        quoteState.single = opensWord;
+                        result += opensWord ? locale.innerQuotes[0] : locale.innerQuotes[1];
+                    }
+                } else {
+                    result += c;
+                }
+            }
+            return result;
+        },
+
+        /**
+         * Espaces insécables de la langue avant la ponctuation haute et à l'intérieur des guillemets.
+         * Les espaces déjà présentes (ordinaires ou insécables) sont remplacées.
+         */
+        fixPunctuationSpaces(line, locale) {
+            line = line.replace(/([^\s;:!?])[ \t\u00A0\u202F]*([;:!?])/g, (match, prev, mark, offset, source) => {
+                const space = locale.spaces[mark];
+                const next = source[offset + match.length] || '';
+                // Image Markdown (![), heure ou rapport (12:30), ou ponctuation sans espace dans cette langue
+                if (!space || (mark === '!' && next === '[') || (mark === ':' && /\d/.test(prev) && /\d/.test(next))) {
+                    return match;
+                }
+                return prev + space + mark;
             });
 
-            return processedText;
+            if (locale.quoteSpace) {
+                const [open, close] = locale.quotes;
+                line = line.replace(new RegExp(`${open}[ \\u00A0\\u202F]*(?=\\S)`, 'g'), open + locale.quoteSpace);
+                line = line.replace(new RegExp(`(\\S)[ \\u00A0\\u202F]*${close}`, 'g'), `$1${locale.quoteSpace}${close}`);
+            }
+            return line;
         },
 
         /**
-         * Supprime les espaces superflus à l'intérieur des marqueurs d'emphase.
+         * Supprime les espaces superflus à l'intérieur des marqueurs d'emphase (« ** gras ** » -> « **gras** »).
+         * Un marqueur ouvrant suit un début de ligne, une espace ou une ponctuation ouvrante ; le marqueur fermant
+         * précède une fin de ligne, une espace ou une ponctuation. Une puce de liste (* élément) n'est pas concernée.
          */
         fixEmphasisSpaces(line) {
-            // Traitement de l'emphase forte (*** et **)
-            line = line.replace(/(\*\*\*)\s+(.*?)\s+(\*\*\*)/g, '$1$2$3');
-            line = line.replace(/(\*\*\*)\s+(.*?)(\*\*\*)/g, '$1$2$3');
-            line = line.replace(/(\*\*\*)(.*?)\s+(\*\*\*)/g, '$1$2$3');
-
-            line = line.replace(/(\*\*)\s+(.*?)\s+(\*\*)/g, '$1$2$3');
-            line = line.replace(/(\*\*)\s+(.*?)(\*\*)/g, '$1$2$3');
-            line = line.replace(/(\*\*)(.*?)\s+(\*\*)/g, '$1$2$3');
-
-            // CORRECTION : Restauration de la regex de détection de liste non ordonnée
-            // On cherche des espaces optionnels suivis d'un * puis d'un espace obligatoire
-            let isList = /^\s*\*\s+/.test(line);
-            if (isList) {
-                // On remplace temporairement l'astérisque de la liste pour le protéger
-                line = line.replace(/^(\s*)\*(\s+)/, '$1__LIST__$2');
-            }
+            const list = line.match(/^\s*\*\s+/);
+            const prefix = list ? list[0] : '';
+            let body = line.substring(prefix.length);
 
-            line = line.replace(/(\*)\s+(.*?)\s+(\*)/g, '$1$2$3');
-            line = line.replace(/(\*)\s+(.*?)(\*)/g, '$1$2$3');
-            line = line.replace(/(\*)(.*?)\s+(\*)/g, '$1$2$3');
-
-            // Restauration du marqueur de liste
-            if (isList) {
-                line = line.replace(/__LIST__/, '*');
-            }
+            // Ordre décroissant : ***, **, *
+            ['\\*\\*\\*', '\\*\\*', '\\*'].forEach(marker => {
+                const regex = new RegExp(`(^|[\\s([{«“„‚‘—–-])(${marker})[ \\t]*([^*\\s](?:[^*\\n]*?[^*\\s])?)[ \\t]*${marker}(?=$|[\\s)\\]}.,;:!?»”“’—–-])`, 'g');
+                body = body.replace(regex, '$1$2$3$2');
+            });
 
-            return line;
+            return prefix + body;
         },
 
         /**
          * Force les guillemets à englober les marqueurs d'emphase.
+         * @param {string[]} [quotes] Guillemets ouvrant et fermant de la langue (défaut : « »)
          */
-        reorderMarkers(line) {
+        reorderMarkers(line, quotes = ['«', '»']) {
+            const [open, close] = quotes;
             // Ordre décroissant : ***, **, *
-            line = line.replace(/(\*\*\*)«/g, '«***');
-            line = line.replace(/(\*\*)«/g, '«**');
-            line = line.replace(/(\*)«/g, '«*');
-
-            line = line.replace(/»(\*\*\*)/g, '***»');
-            line = line.replace(/»(\*\*)/g, '**»');
-            line = line.replace(/»(\*)/g, '*»');
-            
+            ['***', '**', '*'].forEach(marker => {
+                line = line.split(marker + open).join(open + marker);
+                line = line.split(close + marker).join(marker + close);
+            });
             return line;
         }
     };
 
-})();
\ No newline at end of file
+})();
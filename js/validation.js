@@ -0,0 +1,170 @@
+/**
+ * validation.js
+ * Composant UI du rapport de contrôle de l'EPUB.
+ * Responsabilités : Afficher les erreurs et avertissements du contrôle regroupés par chapitre (ou par fichier
+ * du paquet), amener l'éditeur sur la ligne Markdown d'un problème, et proposer le téléchargement malgré tout.
+ */
+
+(function() {
+    'use strict';
+
+    const validationDialog = document.getElementById('validation-dialog');
+    const validationSummary = document.getElementById('validation-summary');
+    const validationGroups = document.getElementById('validation-groups');
+    const btnDownloadAnyway = document.getElementById('btn-download-anyway');
+    const btnCloseValidation = document.getElementById('btn-close-validation');
+    const textarea = document.getElementById('markdown-editor');
+    const lineNumbers = document.getElementById('line-numbers');
+
+    // Téléchargement en attente de l'EPUB contrôlé
+    let pendingDownload = null;
+
+    /**
+     * Regroupe les problèmes par chapitre, dans l'ordre du livre, puis par fichier pour le reste du paquet.
+     * @returns {Array<{label: string, issues: Array}>}
+     */
+    function groupIssues(issues) {
+        const groups = new Map();
+        const chapterOrder = window.AppStore.getState().chapters.map(chap => chap.id);
+
+        issues.forEach(issue => {
+            const key = issue.chapterId || issue.file;
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    label: issue.chapterTitle ? `Chapitre « ${issue.chapterTitle} »` : issue.file,
+                    order: issue.chapterId ? chapterOrder.indexOf(issue.chapterId) : Infinity,
+                    issues: []
+                });
+            }
+            groups.get(key).issues.push(issue);
+        });
+
+        return Array.from(groups.values()).sort((a, b) => a.order - b.order);
+    }
+
+    function createIssueItem(issue) {
+        const li = document.createElement('li');
+        li.className = `validation-issue ${issue.severity}`;
+
+        const severity = document.createElement('span');
+        severity.className = 'validation-severity';
+        severity.textContent = issue.severity === 'error' ? 'Erreur' : 'Avertissement';
+
+        const message = document.createElement('span');
+        message.className = 'validation-message';
+        message.textContent = issue.message;
+
+        li.appendChild(severity);
+        li.appendChild(message);
+
+        // Les problèmes d'un chapitre mènent à sa source (à la ligne concernée si elle est connue)
+        if (issue.chapterId) {
+            const location = document.createElement('button');
+            location.className = 'validation-jump';
+            location.textContent = issue.sourceLine ? `Ligne ${issue.sourceLine}` : 'Ouvrir';
+            location.title = 'Afficher la source dans l\'éditeur';
+            location.setAttribute('data-chapter', issue.chapterId);
+            location.setAttribute('data-line', issue.sourceLine || '');
+            li.appendChild(location);
+        } else if (issue.line) {
+            const location = document.createElement('span');
+            location.className = 'validation-location';
+            location.textContent = `ligne ${issue.line}`;
+            li.appendChild(location);
+        }
+        return li;
+    }
+
+    function renderReport(report) {
+        validationSummary.textContent = `${report.errorCount} erreur(s), ${report.warningCount} avertissement(s). `
+            + (report.errorCount > 0
+                ? 'Certaines liseuses refuseront ce fichier.'
+                : 'Le fichier sera lisible, mais ces points méritent une vérification.');
+
+        validationGroups.innerHTML = '';
+        groupIssues(report.issues).forEach(group => {
+            const section = document.createElement('section');
+            section.className = 'validation-group';
+
+            const heading = document.createElement('h3');
+            heading.textContent = group.label;
+            section.appendChild(heading);
+
+            const list = document.createElement('ul');
+            group.issues.forEach(issue => list.appendChild(createIssueItem(issue)));
+            section.appendChild(list);
+            validationGroups.appendChild(section);
+        });
+    }
+
+    /**
+     * Ouvre un chapitre dans l'éditeur et y sélectionne une ligne (numérotée à partir de 1).
+     */
+    function revealLine(chapterId, line) {
+        if (window.AppStore.getState().currentChapterId !== chapterId) {
+            window.AppStore.setCurrentChapter(chapterId);
+        }
+        if (!line) return;
+
+        const lines = textarea.value.split('\n');
+        const index = Math.min(line, lines.length) - 1;
+        const start = lines.slice(0, index).reduce((offset, text) => offset + text.length + 1, 0);
+        textarea.focus();
+        textarea.setSelectionRange(start, start + lines[index].length);
+
+        // La gouttière connaît la hauteur réelle de chaque ligne (retours à la ligne automatiques compris)
+        const top = Array.from(lineNumbers.children).slice(0, index).reduce((height, node) => height + node.offsetHeight, 0);
+        textarea.scrollTop = Math.max(0, top - textarea.clientHeight / 3);
+    }
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    validationGroups.addEventListener('click', (e) => {
+        const jump = e.target.closest('.validation-jump');
+        if (!jump) return;
+        revealLine(jump.getAttribute('data-chapter'), Number(jump.getAttribute('data-line')) || null);
+    });
+
+    btnDownloadAnyway.addEventListener('click', () => {
+        const download = pendingDownload;
+        validationDialog.close();
+        if (download) download();
+    });
+
+    btnCloseValidation.addEventListener('click', () => validationDialog.close());
+
+    validationDialog.addEventListener('close', () => {
+        pendingDownload = null;
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    // Le rapport porte sur le livre contrôlé : on le ferme si le livre change
+    ['app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (validationDialog.open) validationDialog.close();
+        });
+    });
+
+    // ========================================================================
+    // API PUBLIQUE (window.ValidationReport)
+    // ========================================================================
+    window.ValidationReport = {
+
+        /**
+         * Affiche le rapport d'un contrôle dans un panneau non modal (l'éditeur reste utilisable pour corriger).
+         * @param {Object} report Résultat de EpubValidator.validate
+         * @param {Function} onDownload Téléchargement de l'EPUB contrôlé, proposé malgré les problèmes
+         */
+        open(report, onDownload) {
+            pendingDownload = onDownload;
+            renderReport(report);
+            if (!validationDialog.open) validationDialog.show();
+        }
+    };
+
+})();
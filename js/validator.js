@@ -0,0 +1,356 @@
+/**
+ * validator.js
+ * Contrôle d'un paquet EPUB avant téléchargement.
+ * Responsabilités : Relire chaque fichier XHTML comme du XML, vérifier le mimetype, le container, le manifeste
+ * et la spine, le code de langue, les identifiants en double et les ressources référencées, les guillemets
+ * des dialogues de chaque chapitre, puis rattacher chaque problème au chapitre et à la ligne Markdown qui l'ont produit.
+ */
+
+(function() {
+    'use strict';
+
+    const OPF_MEDIA_TYPES = {
+        xhtml: 'application/xhtml+xml',
+        ncx: 'application/x-dtbncx+xml'
+    };
+
+    // Étiquette de langue BCP 47 (langue, écriture, région, variantes)
+    const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?(-([a-z\d]{5,8}|\d[a-z\d]{3}))*$/i;
+
+    // Liens vers l'extérieur du paquet : leur cible n'est pas vérifiée
+    const EXTERNAL_LINK = /^([a-z][a-z\d+.-]*:|\/\/)/i;
+
+    /**
+     * Résout un chemin relatif par rapport au dossier d'un fichier de l'archive.
+     */
+    function resolvePath(basePath, href) {
+        const segments = basePath.split('/').slice(0, -1);
+        let decoded = href;
+        try {
+            decoded = decodeURIComponent(href);
+        } catch (e) {
+            // Encodage invalide : le chemin est gardé tel quel et sera signalé comme introuvable
+        }
+        decoded.split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment !== '.' && segment !== '') {
+                segments.push(segment);
+            }
+        });
+        return segments.join('/');
+    }
+
+    /**
+     * Analyse un document XML. Renvoie { doc } ou { error, line } si le document est mal formé.
+     */
+    function parseXml(text, mimeType) {
+        const doc = new DOMParser().parseFromString(text, mimeType);
+        const errorNode = doc.getElementsByTagName('parsererror')[0];
+        if (!errorNode) return { doc };
+
+        // Le message du navigateur indique la ligne fautive (« line 12 », « Line Number 12 », « ligne 12 »)
+        const message = errorNode.textContent.replace(/\s+/g, ' ').trim();
+        const lineMatch = message.match(/(?:line|ligne)(?: number)?\s*:?\s*(\d+)/i);
+        return { error: message, line: lineMatch ? Number(lineMatch[1]) : null };
+    }
+
+    /**
+     * Numéro de ligne de la n-ième occurrence (à partir de 0) d'un fragment de texte, ou null.
+     */
+    function lineOf(text, fragment, occurrence = 0) {
+        let index = -1;
+        for (let i = 0; i <= occurrence; i++) {
+            index = text.indexOf(fragment, index + 1);
+            if (index === -1) return null;
+        }
+        return text.slice(0, index).split('\n').length;
+    }
+
+    /**
+     * Accumulateur des problèmes d'un contrôle. Chaque problème est rattaché à son fichier et,
+     * pour un chapitre, à la ligne Markdown correspondante (donnée directement par sourceLine
+     * pour les contrôles faits sur la source).
+     */
+    function createReport(sources) {
+        const issues = [];
+
+        function add(severity, file, message, line = null, sourceLine = null) {
+            const source = sources.get(file) || null;
+            issues.push({
+                severity,
+                file,
+                message,
+                line,
+                chapterId: source ? source.chapterId : null,
+                chapterTitle: source ? source.chapterTitle : null,
+                sourceLine: sourceLine || (source && line ? source.lines[line - 1] || null : null)
+            });
+        }
+
+        return {
+            error: (file, message, line) => add('error', file, message, line),
+            warning: (file, message, line, sourceLine) => add('warning', file, message, line, sourceLine),
+            result: () => ({
+                issues,
+                errorCount: issues.filter(issue => issue.severity === 'error').length,
+                warningCount: issues.filter(issue => issue.severity === 'warning').length
+            })
+        };
+    }
+
+    /**
+     * Métadonnées obligatoires de l'OPF (identifiant unique, titre, langue, date de modification).
+     */
+    function checkMetadata(opf, opfPath, opfText, report) {
+        const uniqueId = opf.documentElement.getAttribute('unique-identifier');
+        const identifiers = Array.from(opf.getElementsByTagNameNS('*', 'identifier'));
+        if (!uniqueId || !identifiers.some(identifier => identifier.getAttribute('id') === uniqueId)) {
+            report.error(opfPath, "L'identifiant unique du livre (unique-identifier) ne correspond à aucun dc:identifier.");
+        }
+
+        const title = opf.getElementsByTagNameNS('*', 'title')[0];
+        if (!title || !title.textContent.trim()) report.error(opfPath, "Le titre du livre (dc:title) est absent.");
+
+        const languages = Array.from(opf.getElementsByTagNameNS('*', 'language'));
+        if (languages.length === 0) report.error(opfPath, "La langue du livre (dc:language) est absente.");
+        languages.forEach(language => {
+            const code = language.textContent.trim();
+            if (!LANGUAGE_TAG.test(code)) {
+                report.error(opfPath, `Code de langue invalide : « ${code} » (attendu : fr, en, fr-CA...).`, lineOf(opfText, '<dc:language'));
+            }
+        });
+
+        const modified = Array.from(opf.getElementsByTagNameNS('*', 'meta')).find(meta => meta.getAttribute('property') === 'dcterms:modified');
+        if (!modified) report.error(opfPath, "La date de modification (dcterms:modified) est absente.");
+    }
+
+    /**
+     * Manifeste : attributs obligatoires, identifiants et chemins uniques, fichiers présents et déclarés.
+     * @returns {Map<string, Object>} id -> { path, mediaType, properties }
+     */
+    function checkManifest(zip, opf, opfPath, opfText, report) {
+        const manifest = new Map();
+        const paths = new Set();
+
+        Array.from(opf.getElementsByTagNameNS('*', 'item')).forEach(item => {
+            const id = item.getAttribute('id');
+            const href = item.getAttribute('href');
+            const mediaType = item.getAttribute('media-type');
+            const line = lineOf(opfText, `id="${id}"`);
+
+            if (!id || !href || !mediaType) {
+                report.error(opfPath, `Entrée du manifeste incomplète (id, href et media-type sont obligatoires) : ${id || href || '?'}.`, line);
+                return;
+            }
+            if (manifest.has(id)) {
+                report.error(opfPath, `Identifiant en double dans le manifeste : « ${id} ».`, lineOf(opfText, `id="${id}"`, 1));
+                return;
+            }
+
+            const path = resolvePath(opfPath, href);
+            if (paths.has(path)) report.error(opfPath, `Fichier déclaré deux fois dans le manifeste : ${href}.`, line);
+            paths.add(path);
+            if (!zip.file(path)) report.error(opfPath, `Fichier du manifeste absent de l'archive : ${href}.`, line);
+
+            manifest.set(id, { path, mediaType, properties: (item.getAttribute('properties') || '').split(/\s+/) });
+        });
+
+        const navItems = Array.from(manifest.values()).filter(item => item.properties.includes('nav'));
+        if (navItems.length !== 1) {
+            report.error(opfPath, `Le manifeste doit déclarer exactement un document de navigation (properties="nav"), ${navItems.length} trouvé(s).`);
+        }
+
+        // Fichiers de l'archive que le manifeste ne déclare pas (hors mimetype, META-INF et OPF)
+        Object.keys(zip.files).forEach(path => {
+            if (zip.files[path].dir || path === 'mimetype' || path.startsWith('META-INF/') || path === opfPath) return;
+            if (!paths.has(path)) report.warning(path, "Fichier présent dans l'archive mais absent du manifeste.");
+        });
+
+        return manifest;
+    }
+
+    /**
+     * Spine : références au manifeste, documents lisibles, absence de doublons, table NCX.
+     */
+    function checkSpine(opf, opfPath, opfText, manifest, report) {
+        const spine = opf.getElementsByTagNameNS('*', 'spine')[0];
+        if (!spine) {
+            report.error(opfPath, "La spine (ordre de lecture) est absente.");
+            return;
+        }
+
+        const tocId = spine.getAttribute('toc');
+        if (tocId && (!manifest.has(tocId) || manifest.get(tocId).mediaType !== OPF_MEDIA_TYPES.ncx)) {
+            report.error(opfPath, `La table NCX de la spine (toc="${tocId}") ne correspond à aucun fichier NCX du manifeste.`, lineOf(opfText, '<spine'));
+        }
+
+        const seen = new Set();
+        const itemrefs = Array.from(spine.getElementsByTagNameNS('*', 'itemref'));
+        if (itemrefs.length === 0) report.error(opfPath, "La spine ne contient aucun document.", lineOf(opfText, '<spine'));
+
+        itemrefs.forEach(itemref => {
+            const idref = itemref.getAttribute('idref');
+            const line = lineOf(opfText, `idref="${idref}"`);
+            const item = manifest.get(idref);
+            if (!item) {
+                report.error(opfPath, `Document de la spine absent du manifeste : « ${idref} ».`, line);
+                return;
+            }
+            if (seen.has(idref)) report.warning(opfPath, `Document présent deux fois dans la spine : « ${idref} ».`, lineOf(opfText, `idref="${idref}"`, 1));
+            seen.add(idref);
+            if (item.mediaType !== OPF_MEDIA_TYPES.xhtml) {
+                report.error(opfPath, `Document de la spine qui n'est pas du XHTML : « ${idref} » (${item.mediaType}).`, line);
+            }
+        });
+
+        // Documents XHTML hors spine : inaccessibles à la lecture suivie (le document de navigation peut en être absent)
+        manifest.forEach((item, id) => {
+            if (item.mediaType === OPF_MEDIA_TYPES.xhtml && !seen.has(id) && !item.properties.includes('nav')) {
+                report.warning(item.path, "Document XHTML absent de la spine : il n'apparaîtra pas dans l'ordre de lecture.");
+            }
+        });
+    }
+
+    /**
+     * Document XHTML : XML bien formé, identifiants uniques, ressources et ancres référencées existantes.
+     * @param {Map<string, Set<string>>} idsByPath Identifiants de chaque document déjà lu (pour les ancres)
+     * @returns {Array} Liens internes vers une ancre : { href, target, anchor, line }
+     */
+    function checkDocument(path, text, doc, manifestPaths, idsByPath, report) {
+        const ids = idsByPath.get(path);
+        const occurrences = new Map();
+        Array.from(doc.getElementsByTagName('*')).forEach(element => {
+            const id = element.getAttribute('id');
+            if (!id) return;
+            occurrences.set(id, (occurrences.get(id) || 0) + 1);
+            if (occurrences.get(id) === 2) {
+                report.error(path, `Identifiant en double : « ${id} ».`, lineOf(text, `id="${id}"`, 1));
+            }
+            ids.add(id);
+        });
+
+        const references = [];
+        Array.from(doc.getElementsByTagName('*')).forEach(element => {
+            const name = element.localName.toLowerCase();
+            if (name === 'img' || name === 'image' || name === 'source') {
+                const src = element.getAttribute('src') || element.getAttribute('xlink:href') || element.getAttribute('href');
+                if (src) references.push({ attribute: src, resource: true });
+            } else if (name === 'link' || name === 'a') {
+                const href = element.getAttribute('href');
+                if (href) references.push({ attribute: href, resource: name === 'link' });
+            }
+        });
+
+        // Les ancres sont vérifiées une fois tous les documents lus : elles sont renvoyées à l'appelant
+        const anchors = [];
+        references.filter(ref => !EXTERNAL_LINK.test(ref.attribute)).forEach(ref => {
+            const [file, anchor] = ref.attribute.split('#');
+            const target = file ? resolvePath(path, file) : path;
+            const line = lineOf(text, `"${ref.attribute}"`);
+            if (!manifestPaths.has(target)) {
+                report.error(path, ref.resource
+                    ? `Ressource introuvable dans le paquet : ${ref.attribute}.`
+                    : `Lien vers un fichier absent du paquet : ${ref.attribute}.`, line);
+            } else if (anchor) {
+                anchors.push({ href: ref.attribute, target, anchor, line });
+            }
+        });
+        return anchors;
+    }
+
+    // ========================================================================
+    // API PUBLIQUE (window.EpubValidator)
+    // ========================================================================
+    window.EpubValidator = {
+
+        /**
+         * Contrôle une archive EPUB construite par EpubGenerator.build().
+         * @param {JSZip} zip
+         * @param {Map} [sources] Chemin d'un fichier de chapitre -> { chapterId, chapterTitle, lines, content }
+         * @returns {Promise<Object>} { issues: [{ severity: 'error'|'warning', file, message, line, chapterId,
+         *          chapterTitle, sourceLine }], errorCount, warningCount }
+         */
+        async validate(zip, sources = new Map()) {
+            const report = createReport(sources);
+
+            // 1. mimetype : premier fichier de l'archive, contenu exact
+            const firstFile = Object.keys(zip.files)[0];
+            if (firstFile !== 'mimetype') report.error('mimetype', "Le fichier mimetype doit être le premier de l'archive.");
+            if (!zip.file('mimetype') || (await zip.file('mimetype').async('string')) !== 'application/epub+zip') {
+                report.error('mimetype', "Le fichier mimetype doit contenir exactement « application/epub+zip ».");
+            }
+
+            // 2. container.xml -> OPF
+            const containerPath = 'META-INF/container.xml';
+            if (!zip.file(containerPath)) {
+                report.error(containerPath, "Fichier container.xml absent.");
+                return report.result();
+            }
+            const container = parseXml(await zip.file(containerPath).async('string'), 'application/xml');
+            if (container.error) {
+                report.error(containerPath, `XML mal formé : ${container.error}`, container.line);
+                return report.result();
+            }
+            const rootfile = container.doc.getElementsByTagNameNS('*', 'rootfile')[0];
+            const opfPath = rootfile ? rootfile.getAttribute('full-path') : null;
+            if (!opfPath || !zip.file(opfPath)) {
+                report.error(containerPath, "Le container ne désigne aucun package OPF présent dans l'archive.");
+                return report.result();
+            }
+
+            // 3. OPF : métadonnées, manifeste, spine
+            const opfText = await zip.file(opfPath).async('string');
+            const opf = parseXml(opfText, 'application/xml');
+            if (opf.error) {
+                report.error(opfPath, `XML mal formé : ${opf.error}`, opf.line);
+                return report.result();
+            }
+            checkMetadata(opf.doc, opfPath, opfText, report);
+            const manifest = checkManifest(zip, opf.doc, opfPath, opfText, report);
+            checkSpine(opf.doc, opfPath, opfText, manifest, report);
+
+            // 4. Documents XHTML et NCX
+            const manifestPaths = new Set(Array.from(manifest.values()).map(item => item.path));
+            const idsByPath = new Map();
+            const anchors = [];
+            for (const item of manifest.values()) {
+                if (!zip.file(item.path)) continue;
+
+                if (item.mediaType === OPF_MEDIA_TYPES.ncx) {
+                    const ncx = parseXml(await zip.file(item.path).async('string'), 'application/xml');
+                    if (ncx.error) report.error(item.path, `XML mal formé : ${ncx.error}`, ncx.line);
+                } else if (item.mediaType === OPF_MEDIA_TYPES.xhtml) {
+                    const text = await zip.file(item.path).async('string');
+                    const parsed = parseXml(text, OPF_MEDIA_TYPES.xhtml);
+                    if (parsed.error) {
+                        report.error(item.path, `XHTML mal formé : ${parsed.error}`, parsed.line);
+                        continue;
+                    }
+                    idsByPath.set(item.path, new Set());
+                    checkDocument(item.path, text, parsed.doc, manifestPaths, idsByPath, report)
+                        .forEach(ref => anchors.push({ ...ref, source: item.path }));
+                }
+            }
+
+            // 5. Ancres des liens internes (#id) dans les documents lus
+            anchors.forEach(ref => {
+                const ids = idsByPath.get(ref.target);
+                if (ids && !ids.has(ref.anchor)) {
+                    report.warning(ref.source, `Ancre introuvable : ${ref.href}.`, ref.line);
+                }
+            });
+
+            // 6. Dialogues : guillemets « » mal appariés, relevés sur la source Markdown des chapitres
+            if (window.TypographyEngine) {
+                sources.forEach((source, path) => {
+                    window.TypographyEngine.checkDialogue(source.content || '')
+                        .forEach(issue => report.warning(path, issue.message, null, issue.line));
+                });
+            }
+
+            return report.result();
+        }
+    };
+
+})();
@@ -0,0 +1,212 @@
+/**
+ * workflow.js
+ * Composant UI de la fiche de suivi d'un chapitre.
+ * Responsabilités : Éditer le type (pages liminaires, corps, pages de fin), le statut, l'objectif de mots,
+ * les notes et les étiquettes d'un chapitre,
+ * et gérer le catalogue d'étiquettes colorées du livre (création, suppression).
+ */
+
+(function() {
+    'use strict';
+
+    const chapterList = document.getElementById('chapter-list');
+    const infoDialog = document.getElementById('chapter-info-dialog');
+    const dialogTitle = document.getElementById('chapter-info-title');
+    const selectType = document.getElementById('info-type');
+    const selectStatus = document.getElementById('info-status');
+    const inputTarget = document.getElementById('info-target');
+    const progressText = document.getElementById('info-progress');
+    const labelList = document.getElementById('info-labels');
+    const inputLabelName = document.getElementById('new-label-name');
+    const inputLabelColor = document.getElementById('new-label-color');
+    const btnAddLabel = document.getElementById('btn-add-label');
+    const inputNotes = document.getElementById('info-notes');
+    const btnCloseInfo = document.getElementById('btn-close-chapter-info');
+
+    // Chapitre affiché dans la fiche
+    let chapterId = null;
+
+    function renderProgress(info) {
+        progressText.textContent = info.targetWords
+            ? `${info.wordCount} / ${info.targetWords} mot(s) (${Math.round(info.wordCount / info.targetWords * 100)} %)`
+            : `${info.wordCount} mot(s)`;
+    }
+
+    /**
+     * Reconstruit les cases à cocher des étiquettes du livre.
+     */
+    function renderLabels(info) {
+        const labels = window.AppStore.getState().labels;
+        labelList.innerHTML = '';
+
+        if (labels.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'label-empty';
+            empty.textContent = 'Aucune étiquette. Créez-en une ci-dessous.';
+            labelList.appendChild(empty);
+            return;
+        }
+
+        labels.forEach(label => {
+            const row = document.createElement('div');
+            row.className = 'label-row';
+            row.setAttribute('data-id', label.id);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'label-toggle';
+            checkbox.checked = info.labels.includes(label.id);
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'label-color';
+            color.value = label.color;
+            color.title = 'Couleur de l\'étiquette';
+
+            const name = document.createElement('span');
+            name.className = 'label-name';
+            name.textContent = label.name;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'label-delete';
+            deleteBtn.textContent = '✖';
+            deleteBtn.title = 'Supprimer cette étiquette de tout le livre';
+
+            row.appendChild(checkbox);
+            row.appendChild(color);
+            row.appendChild(name);
+            row.appendChild(deleteBtn);
+            labelList.appendChild(row);
+        });
+    }
+
+    /**
+     * Remplit la fiche avec les valeurs du chapitre affiché.
+     */
+    function renderInfo() {
+        const chapter = window.AppStore.getState().chapters.find(c => c.id === chapterId);
+        const info = window.AppStore.getChapterInfo(chapterId);
+        if (!chapter || !info) {
+            infoDialog.close();
+            return;
+        }
+
+        dialogTitle.textContent = `Fiche de « ${chapter.title} »`;
+        selectType.value = info.type;
+        selectStatus.value = info.status;
+        inputTarget.value = info.targetWords || '';
+        // Les notes en cours de saisie ne sont pas écrasées
+        if (document.activeElement !== inputNotes) inputNotes.value = info.notes;
+        renderProgress(info);
+        renderLabels(info);
+    }
+
+    function openInfo(id) {
+        chapterId = id;
+        inputLabelName.value = '';
+        renderInfo();
+        infoDialog.showModal();
+    }
+
+    // Options du type et du statut (fixes)
+    Object.entries(window.AppStore.CHAPTER_TYPES).forEach(([value, type]) => {
+        selectType.appendChild(new Option(type.label, value));
+    });
+    Object.entries(window.AppStore.CHAPTER_STATUSES).forEach(([value, label]) => {
+        selectStatus.appendChild(new Option(label, value));
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS DOM
+    // ========================================================================
+
+    chapterList.addEventListener('click', (e) => {
+        const infoBtn = e.target.closest('.chapter-info');
+        if (!infoBtn) return;
+        openInfo(infoBtn.closest('.chapter-item').getAttribute('data-id'));
+    });
+
+    selectType.addEventListener('change', () => {
+        window.AppStore.updateChapterInfo(chapterId, { type: selectType.value });
+    });
+
+    selectStatus.addEventListener('change', () => {
+        window.AppStore.updateChapterInfo(chapterId, { status: selectStatus.value });
+    });
+
+    inputTarget.addEventListener('change', () => {
+        window.AppStore.updateChapterInfo(chapterId, { targetWords: inputTarget.value });
+    });
+
+    // Les notes sont enregistrées à la perte de focus (et à la fermeture de la fiche)
+    inputNotes.addEventListener('change', () => {
+        window.AppStore.updateChapterInfo(chapterId, { notes: inputNotes.value });
+    });
+
+    labelList.addEventListener('change', (e) => {
+        const row = e.target.closest('.label-row');
+        if (!row) return;
+        const labelId = row.getAttribute('data-id');
+
+        if (e.target.classList.contains('label-toggle')) {
+            const labels = window.AppStore.getChapterInfo(chapterId).labels.filter(id => id !== labelId);
+            if (e.target.checked) labels.push(labelId);
+            window.AppStore.updateChapterInfo(chapterId, { labels });
+        } else if (e.target.classList.contains('label-color')) {
+            window.AppStore.updateLabel(labelId, { color: e.target.value });
+        }
+    });
+
+    labelList.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.label-delete');
+        if (!deleteBtn) return;
+        const row = deleteBtn.closest('.label-row');
+        const name = row.querySelector('.label-name').textContent;
+        if (confirm(`Supprimer l'étiquette « ${name} » ? Elle sera retirée de tous les chapitres.`)) {
+            window.AppStore.deleteLabel(row.getAttribute('data-id'));
+        }
+    });
+
+    btnAddLabel.addEventListener('click', () => {
+        const labelId = window.AppStore.addLabel(inputLabelName.value, inputLabelColor.value);
+        if (!labelId) return;
+        inputLabelName.value = '';
+        // L'étiquette créée depuis une fiche est directement attribuée au chapitre
+        const labels = window.AppStore.getChapterInfo(chapterId).labels.concat(labelId);
+        window.AppStore.updateChapterInfo(chapterId, { labels });
+    });
+
+    inputLabelName.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            btnAddLabel.click();
+        }
+    });
+
+    btnCloseInfo.addEventListener('click', () => infoDialog.close());
+
+    infoDialog.addEventListener('close', () => {
+        const info = window.AppStore.getChapterInfo(chapterId);
+        if (info && info.notes !== inputNotes.value) {
+            window.AppStore.updateChapterInfo(chapterId, { notes: inputNotes.value });
+        }
+    });
+
+    // ========================================================================
+    // ÉVÉNEMENTS APPSTORE
+    // ========================================================================
+
+    ['app:chapter-info-updated', 'app:labels-updated', 'app:book-synced', 'app:chapter-renamed'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (infoDialog.open) renderInfo();
+        });
+    });
+
+    // La fiche porte sur un chapitre du livre ouvert : on la ferme si le livre change
+    ['app:state-loaded', 'app:book-imported'].forEach(evt => {
+        window.addEventListener(evt, () => {
+            if (infoDialog.open) infoDialog.close();
+        });
+    });
+
+})();
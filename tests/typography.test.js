@@ -0,0 +1,65 @@
+/**
+ * typography.test.js
+ * Cas de référence du moteur typographique : passages que les règles ne doivent jamais modifier.
+ * Exécution : node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Le moteur est un script de page : on l'exécute avec un objet window minimal
+const context = { window: {} };
+vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../js/typography.js'), 'utf8'), context);
+const { TypographyEngine } = context.window;
+
+const FRENCH = { language: 'fr', disabled: [] };
+const NBSP = '\u00A0';
+const NNBSP = '\u202F';
+
+test('les entités HTML restent intactes', () => {
+    assert.strictEqual(TypographyEngine.process('AT&amp;T et&nbsp;ici', FRENCH), 'AT&amp;T et&nbsp;ici');
+    assert.strictEqual(TypographyEngine.process('Un tiret &#8212; ou &#x2014;', FRENCH), 'Un tiret &#8212; ou &#x2014;');
+});
+
+test('les balises HTML avec attributs et les commentaires restent intacts', () => {
+    assert.strictEqual(
+        TypographyEngine.process('Voir <span class="note">ceci</span> : bien', FRENCH),
+        `Voir <span class="note">ceci</span>${NBSP}: bien`
+    );
+    assert.strictEqual(
+        TypographyEngine.process('<a href="https://exemple.fr/?q=a:b">lien</a>', FRENCH),
+        '<a href="https://exemple.fr/?q=a:b">lien</a>'
+    );
+    assert.strictEqual(TypographyEngine.process('<!-- note : "à revoir" -->', FRENCH), '<!-- note : "à revoir" -->');
+});
+
+test('les liens automatiques et les adresses mailto restent intacts', () => {
+    assert.strictEqual(TypographyEngine.process('<https://exemple.fr/a?b>', FRENCH), '<https://exemple.fr/a?b>');
+    assert.strictEqual(
+        TypographyEngine.process('Écrire à mailto:moi@exemple.fr?subject=Bonjour!', FRENCH),
+        'Écrire à mailto:moi@exemple.fr?subject=Bonjour!'
+    );
+});
+
+test('le texte autour des passages protégés est corrigé', () => {
+    assert.strictEqual(TypographyEngine.process('AT&amp;T? Oui!', FRENCH), `AT&amp;T${NNBSP}? Oui${NNBSP}!`);
+});
+
+test('le mode dialogue laisse les listes à tiret intactes', () => {
+    const list = '- pommes\n- poires\n\n- prunes\n  en retrait';
+    assert.strictEqual(TypographyEngine.process(list, { language: 'fr', disabled: ['punctuationSpaces'] }), list);
+});
+
+test('le mode dialogue reconnaît les répliques hors des listes', () => {
+    const options = { language: 'fr', disabled: ['punctuationSpaces'] };
+    assert.strictEqual(
+        TypographyEngine.process('« Bonjour, dit-il.\n- Salut.\n– Ça va ? »', options),
+        `« Bonjour, dit-il.\n—${NBSP}Salut.\n—${NBSP}Ça va ? »`
+    );
+    assert.strictEqual(TypographyEngine.process('Il entra.\n\n- Bonjour.\n\nElle sourit.', options), `Il entra.\n\n—${NBSP}Bonjour.\n\nElle sourit.`);
+});